@@ -0,0 +1,758 @@
+/**
+ * ADMIN.JS
+ * Editor de la carta en el navegador (admin.html)
+ * Carga data/menu.json con MenuModel, permite editar categorías y platos,
+ * valida con MenuSchema, muestra la vista previa con las tarjetas reales y
+ * descarga el JSON actualizado. No necesita servidor.
+ * La Arboleda Club - 2025
+ */
+
+import { Utils } from './utils.js';
+import { Html } from './html.js';
+import { Dialog } from './dialog.js';
+import { MenuSchema } from './menu-schema.js';
+import { MenuModel } from './menu-model.js';
+import { MenuRender } from './menu-render.js';
+
+// ============================================
+// CONFIGURACIÓN Y ESTADO
+// ============================================
+const ADMIN_CONFIG = {
+  fileName: 'menu.json',
+  translationLanguage: 'en' // Idioma de los campos de traducción del formulario
+};
+
+const AdminState = {
+  doc: null, // Documento JSON en edición (sin normalizar)
+  category: null, // Categoría seleccionada
+  editingIndex: null, // Índice del plato en edición, -1 para uno nuevo
+  isValid: false, // El documento pasa la validación sin errores
+  isDirty: false // Hay cambios sin descargar
+};
+
+
+// ============================================
+// ELEMENTOS DEL DOM
+// ============================================
+const AdminDOM = {
+  root: null,
+  status: null,
+  importInput: null,
+  reloadBtn: null,
+  downloadBtn: null,
+  categories: null,
+  categoryForm: null,
+  categoryName: null,
+  renameForm: null,
+  renameInput: null,
+  dishesTitle: null,
+  dishes: null,
+  addDishBtn: null,
+  dishForm: null,
+  report: null,
+  preview: null,
+
+  init() {
+    this.root = document.getElementById('adminEditor');
+    this.status = document.getElementById('adminStatus');
+    this.importInput = document.getElementById('adminImport');
+    this.reloadBtn = document.getElementById('adminReload');
+    this.downloadBtn = document.getElementById('adminDownload');
+    this.categories = document.getElementById('adminCategories');
+    this.categoryForm = document.getElementById('adminCategoryForm');
+    this.categoryName = document.getElementById('adminCategoryName');
+    this.renameForm = document.getElementById('adminRenameForm');
+    this.renameInput = document.getElementById('adminRenameInput');
+    this.dishesTitle = document.getElementById('adminDishesTitle');
+    this.dishes = document.getElementById('adminDishes');
+    this.addDishBtn = document.getElementById('adminAddDish');
+    this.dishForm = document.getElementById('adminDishForm');
+    this.report = document.getElementById('adminReport');
+    this.preview = document.getElementById('adminPreview');
+  }
+};
+
+
+// ============================================
+// CARGA DEL DOCUMENTO
+// ============================================
+
+/**
+ * Descarga la carta publicada con el mismo loader que la página del menú
+ */
+async function loadPublishedMenu() {
+  if (AdminState.isDirty && !await Dialog.confirm({
+    title: '¿Recargar la carta publicada?',
+    message: 'Hay cambios sin descargar y se perderán.',
+    confirmLabel: 'Descartar y recargar'
+  })) {
+    return;
+  }
+
+  try {
+    setStatus('Cargando carta publicada...');
+    const { doc } = await MenuModel.fetchDocument({ force: true });
+    setDocument(doc);
+    setStatus('Carta publicada cargada.');
+  } catch (error) {
+    console.error('Error al cargar el menú en el editor:', error);
+    setStatus(`No se pudo cargar data/menu.json: ${error.message}`, true);
+  }
+}
+
+/**
+ * Importa un archivo JSON elegido por el usuario
+ *
+ * @param {File} file - Archivo seleccionado
+ */
+async function importFile(file) {
+  try {
+    const doc = JSON.parse(await file.text());
+    MenuSchema.validate(structuredClone(doc)); // Lanza si el archivo no es una carta
+    setDocument(doc);
+    AdminState.isDirty = true;
+    setStatus(`Archivo "${file.name}" importado.`);
+  } catch (error) {
+    setStatus(`El archivo no es una carta válida: ${error.message}`, true);
+  }
+}
+
+/**
+ * Reemplaza el documento en edición y vuelve a renderizar todo
+ */
+function setDocument(doc) {
+  // Se edita y se descarga siempre en la versión de esquema actual
+  AdminState.doc = MenuSchema.upgrade(doc);
+  AdminState.isDirty = false;
+
+  const categories = Object.keys(doc.categorias || {});
+  if (!categories.includes(AdminState.category)) {
+    AdminState.category = categories[0] || null;
+  }
+
+  closeDishForm();
+  refresh();
+}
+
+
+// ============================================
+// CATEGORÍAS
+// ============================================
+
+/**
+ * Reconstruye "categorias" con las claves en un nuevo orden
+ * (el orden del objeto es el orden de la carta)
+ *
+ * @param {string[]} keys - Claves en el orden deseado
+ * @param {Object} renamed - { claveAnterior: claveNueva }
+ */
+function rebuildCategories(keys, renamed = {}) {
+  const { categorias } = AdminState.doc;
+  const rebuilt = {};
+
+  keys.forEach(key => {
+    rebuilt[renamed[key] || key] = categorias[key];
+  });
+
+  AdminState.doc.categorias = rebuilt;
+}
+
+/**
+ * Agrega una categoría vacía al final
+ *
+ * @param {string} name - Nombre escrito por el usuario
+ */
+function addCategory(name) {
+  const key = Utils.slugify(name);
+  if (!key) return;
+
+  if (AdminState.doc.categorias[key]) {
+    setStatus(`La categoría "${key}" ya existe.`, true);
+    return;
+  }
+
+  AdminState.doc.categorias[key] = [];
+  AdminState.category = key;
+  markChanged(`Categoría "${key}" agregada.`);
+}
+
+/**
+ * Cambia la clave de la categoría seleccionada
+ * También mueve su disponibilidad y sus traducciones.
+ *
+ * @param {string} name - Nuevo nombre
+ */
+function renameCategory(name) {
+  const oldKey = AdminState.category;
+  const newKey = Utils.slugify(name);
+  if (!oldKey || !newKey || newKey === oldKey) return;
+
+  if (AdminState.doc.categorias[newKey]) {
+    setStatus(`La categoría "${newKey}" ya existe.`, true);
+    return;
+  }
+
+  rebuildCategories(Object.keys(AdminState.doc.categorias), { [oldKey]: newKey });
+
+  const { disponibilidad, traducciones } = AdminState.doc;
+  if (disponibilidad?.[oldKey]) {
+    disponibilidad[newKey] = disponibilidad[oldKey];
+    delete disponibilidad[oldKey];
+  }
+  Object.values(traducciones || {}).forEach(texts => {
+    if (texts.categorias?.[oldKey]) {
+      texts.categorias[newKey] = texts.categorias[oldKey];
+      delete texts.categorias[oldKey];
+    }
+  });
+
+  AdminState.category = newKey;
+  markChanged(`Categoría "${oldKey}" renombrada a "${newKey}".`);
+}
+
+/**
+ * Mueve una categoría una posición arriba (-1) o abajo (+1)
+ */
+function moveCategory(key, offset) {
+  const keys = Object.keys(AdminState.doc.categorias);
+  const from = keys.indexOf(key);
+  const to = from + offset;
+  if (from === -1 || to < 0 || to >= keys.length) return;
+
+  [keys[from], keys[to]] = [keys[to], keys[from]];
+  rebuildCategories(keys);
+  markChanged();
+}
+
+/**
+ * Elimina una categoría con todos sus platos
+ */
+async function deleteCategory(key) {
+  const count = AdminState.doc.categorias[key]?.length || 0;
+  const confirmed = await Dialog.confirm({
+    title: `¿Eliminar la categoría "${key}"?`,
+    message: `También se eliminarán sus ${count} platos.`,
+    confirmLabel: 'Eliminar'
+  });
+  if (!confirmed) return;
+
+  delete AdminState.doc.categorias[key];
+  delete AdminState.doc.disponibilidad?.[key];
+  Object.values(AdminState.doc.traducciones || {}).forEach(texts => {
+    delete texts.categorias?.[key];
+  });
+
+  if (AdminState.category === key) {
+    AdminState.category = Object.keys(AdminState.doc.categorias)[0] || null;
+    closeDishForm();
+  }
+  markChanged(`Categoría "${key}" eliminada.`);
+}
+
+
+// ============================================
+// PLATOS
+// ============================================
+
+/**
+ * Platos (sin normalizar) de la categoría seleccionada
+ */
+function getCurrentDishes() {
+  return AdminState.doc?.categorias[AdminState.category] || [];
+}
+
+/**
+ * Mueve un plato una posición arriba (-1) o abajo (+1)
+ */
+function moveDish(index, offset) {
+  const platos = getCurrentDishes();
+  const to = index + offset;
+  if (to < 0 || to >= platos.length) return;
+
+  [platos[index], platos[to]] = [platos[to], platos[index]];
+  markChanged();
+}
+
+/**
+ * Elimina un plato de la categoría seleccionada
+ */
+async function deleteDish(index) {
+  const plato = getCurrentDishes()[index];
+  if (!plato || !await Dialog.confirm({ title: `¿Eliminar "${plato.nombre}"?`, confirmLabel: 'Eliminar' })) return;
+
+  getCurrentDishes().splice(index, 1);
+  if (AdminState.editingIndex === index) closeDishForm();
+  markChanged(`"${plato.nombre}" eliminado.`);
+}
+
+/**
+ * Todos los ids usados en el documento, excepto el del plato indicado
+ */
+function getUsedIds(except = null) {
+  return new Set(
+    Object.values(AdminState.doc.categorias)
+      .flat()
+      .filter(plato => plato !== except)
+      .map(plato => plato.id)
+  );
+}
+
+/**
+ * Genera un id único a partir del nombre ("ceviche-mixto", "ceviche-mixto-2"...)
+ */
+function generateDishId(nombre, except) {
+  const base = Utils.slugify(nombre);
+  const used = getUsedIds(except);
+  let id = base;
+  let n = 2;
+
+  while (used.has(id)) {
+    id = `${base}-${n++}`;
+  }
+  return id;
+}
+
+
+// ============================================
+// FORMULARIO DE PLATO
+// ============================================
+
+/**
+ * Abre el formulario con un plato existente o vacío
+ *
+ * @param {number} index - Índice en la categoría, -1 para un plato nuevo
+ */
+function openDishForm(index) {
+  const form = AdminDOM.dishForm;
+  if (!form || !AdminState.category) return;
+
+  const plato = getCurrentDishes()[index] || { etiquetas: [] };
+  const translation = plato.traducciones?.[ADMIN_CONFIG.translationLanguage] || {};
+  AdminState.editingIndex = index;
+
+  form.elements.nombre.value = plato.nombre || '';
+  form.elements.id.value = plato.id || '';
+  form.elements.precio.value = plato.precio ?? '';
+  form.elements.descripcion.value = plato.descripcion || '';
+  form.elements.imagen.value = plato.imagen || '';
+  form.elements.agotado.checked = plato.agotado === true;
+  form.elements.nombreEn.value = translation.nombre || '';
+  form.elements.descripcionEn.value = translation.descripcion || '';
+
+  renderCategoryOptions(form.elements.categoria);
+  renderTagCheckboxes(plato.etiquetas || []);
+
+  form.querySelector('.admin-form__title').textContent = index === -1
+    ? `Nuevo plato en "${AdminState.category}"`
+    : `Editar "${plato.nombre}"`;
+
+  form.classList.remove('hidden');
+  form.elements.nombre.focus();
+}
+
+/**
+ * Cierra el formulario sin guardar
+ */
+function closeDishForm() {
+  AdminState.editingIndex = null;
+  AdminDOM.dishForm?.classList.add('hidden');
+}
+
+/**
+ * Guarda el formulario en el documento
+ * Conserva los campos que el formulario no edita (popularidad, disponibilidad...).
+ */
+function saveDishForm() {
+  const form = AdminDOM.dishForm;
+  const platos = getCurrentDishes();
+  const original = platos[AdminState.editingIndex];
+  const plato = original ? { ...original } : {};
+
+  const nombre = form.elements.nombre.value.trim();
+  const precio = MenuSchema.parsePrice(form.elements.precio.value);
+
+  // Con tamaños ("variantes") el precio sale de ellos y puede quedar vacío
+  const hasVariants = Array.isArray(plato.variantes) && plato.variantes.length > 0;
+  if (!nombre || (precio === null && !hasVariants)) {
+    setStatus('El plato necesita nombre y un precio numérico.', true);
+    return;
+  }
+
+  plato.id = form.elements.id.value.trim() || generateDishId(nombre, original);
+  if (getUsedIds(original).has(plato.id)) {
+    setStatus(`El id "${plato.id}" ya lo usa otro plato.`, true);
+    return;
+  }
+
+  plato.nombre = nombre;
+  plato.descripcion = form.elements.descripcion.value.trim();
+  if (precio !== null) {
+    plato.precio = precio.toFixed(2);
+  } else {
+    delete plato.precio;
+  }
+  plato.imagen = form.elements.imagen.value.trim();
+  plato.etiquetas = Array.from(form.querySelectorAll('input[name="etiquetas"]:checked'))
+    .map(input => input.value);
+
+  if (form.elements.agotado.checked) {
+    plato.agotado = true;
+  } else {
+    delete plato.agotado;
+  }
+
+  applyTranslationFields(plato, {
+    nombre: form.elements.nombreEn.value.trim(),
+    descripcion: form.elements.descripcionEn.value.trim()
+  });
+
+  // Guardar en su posición o moverlo al final de otra categoría
+  const target = form.elements.categoria.value;
+  if (original && target === AdminState.category) {
+    platos[AdminState.editingIndex] = plato;
+  } else {
+    if (original) platos.splice(AdminState.editingIndex, 1);
+    AdminState.doc.categorias[target].push(plato);
+    AdminState.category = target;
+  }
+
+  closeDishForm();
+  markChanged(`"${plato.nombre}" guardado.`);
+}
+
+/**
+ * Escribe (o quita, si están vacías) las traducciones del formulario
+ */
+function applyTranslationFields(plato, texts) {
+  const lang = ADMIN_CONFIG.translationLanguage;
+  const filled = Object.fromEntries(Object.entries(texts).filter(([, value]) => value));
+  const others = { ...plato.traducciones };
+  delete others[lang];
+
+  if (Object.keys(filled).length > 0) {
+    plato.traducciones = { ...others, [lang]: filled };
+  } else if (Object.keys(others).length > 0) {
+    plato.traducciones = others;
+  } else {
+    delete plato.traducciones;
+  }
+}
+
+/**
+ * Opciones del selector de categoría del formulario
+ */
+function renderCategoryOptions(select) {
+  select.innerHTML = '';
+  Object.keys(AdminState.doc.categorias).forEach(key => {
+    const option = document.createElement('option');
+    option.value = key;
+    option.textContent = key;
+    option.selected = key === AdminState.category;
+    select.appendChild(option);
+  });
+}
+
+/**
+ * Casillas de etiquetas según el catálogo del documento
+ */
+function renderTagCheckboxes(selected) {
+  const container = AdminDOM.dishForm.querySelector('.admin-form__tags');
+  container.innerHTML = '';
+
+  Object.entries(AdminState.doc.etiquetas || {}).forEach(([key, tag]) => {
+    const label = document.createElement('label');
+    label.className = 'admin-form__check';
+
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.name = 'etiquetas';
+    input.value = key;
+    input.checked = selected.includes(key);
+
+    label.append(input, ` ${tag.nombre || key}`);
+    container.appendChild(label);
+  });
+}
+
+
+// ============================================
+// RENDERIZADO
+// ============================================
+
+/**
+ * Crea un botón pequeño de acción
+ */
+function createActionButton(icon, label, onClick, disabled = false) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'admin-list__action';
+  button.setAttribute('aria-label', label);
+  button.title = label;
+  button.disabled = disabled;
+  Html.render(button, Html.html`<i class="fas ${icon}" aria-hidden="true"></i>`);
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * Lista de categorías con acciones de orden y borrado
+ */
+function renderCategories() {
+  const keys = Object.keys(AdminState.doc.categorias);
+  AdminDOM.categories.innerHTML = '';
+
+  keys.forEach((key, index) => {
+    const item = document.createElement('li');
+    item.className = 'admin-list__item';
+
+    const select = document.createElement('button');
+    select.type = 'button';
+    select.className = 'admin-list__name';
+    select.textContent = `${key} (${AdminState.doc.categorias[key].length})`;
+    select.setAttribute('aria-pressed', key === AdminState.category);
+    select.addEventListener('click', () => {
+      AdminState.category = key;
+      closeDishForm();
+      refresh();
+    });
+
+    item.classList.toggle('admin-list__item--active', key === AdminState.category);
+    item.append(
+      select,
+      createActionButton('fa-arrow-up', `Subir ${key}`, () => moveCategory(key, -1), index === 0),
+      createActionButton('fa-arrow-down', `Bajar ${key}`, () => moveCategory(key, 1), index === keys.length - 1),
+      createActionButton('fa-trash-alt', `Eliminar ${key}`, () => deleteCategory(key))
+    );
+    AdminDOM.categories.appendChild(item);
+  });
+
+  if (AdminDOM.renameInput) {
+    AdminDOM.renameInput.value = AdminState.category || '';
+  }
+  AdminDOM.renameForm?.classList.toggle('hidden', !AdminState.category);
+}
+
+/**
+ * Lista de platos de la categoría seleccionada
+ */
+function renderDishes() {
+  const platos = getCurrentDishes();
+  AdminDOM.dishes.innerHTML = '';
+  AdminDOM.dishesTitle.textContent = AdminState.category
+    ? `Platos de "${AdminState.category}"`
+    : 'Platos';
+  AdminDOM.addDishBtn.disabled = !AdminState.category;
+
+  platos.forEach((plato, index) => {
+    const item = document.createElement('li');
+    item.className = 'admin-list__item';
+    item.classList.toggle('admin-list__item--active', index === AdminState.editingIndex);
+
+    const edit = document.createElement('button');
+    edit.type = 'button';
+    edit.className = 'admin-list__name';
+    const precio = plato.variantes?.length ? 'tamaños' : `S/ ${plato.precio ?? '?'}`;
+    edit.textContent = `${plato.nombre || '(sin nombre)'} — ${precio}`;
+    edit.addEventListener('click', () => openDishForm(index));
+
+    item.append(
+      edit,
+      createActionButton('fa-arrow-up', `Subir ${plato.nombre}`, () => moveDish(index, -1), index === 0),
+      createActionButton('fa-arrow-down', `Bajar ${plato.nombre}`, () => moveDish(index, 1), index === platos.length - 1),
+      createActionButton('fa-trash-alt', `Eliminar ${plato.nombre}`, () => deleteDish(index))
+    );
+    AdminDOM.dishes.appendChild(item);
+  });
+}
+
+/**
+ * Valida una copia del documento, muestra el reporte y la vista previa
+ * La vista previa usa createMenuCard, igual que la carta pública.
+ */
+function validateAndPreview() {
+  AdminDOM.report.innerHTML = '';
+  AdminDOM.preview.innerHTML = '';
+
+  let report;
+  let data = null;
+  try {
+    data = MenuModel.applyDocument(structuredClone(AdminState.doc));
+    report = MenuModel.state.report;
+  } catch (error) {
+    report = { errors: [error.message], warnings: [] };
+  }
+
+  AdminState.isValid = report.errors.length === 0;
+  AdminDOM.downloadBtn.disabled = !AdminState.isValid;
+
+  const entries = [
+    ...report.errors.map(message => ['error', message]),
+    ...report.warnings.map(message => ['warning', message])
+  ];
+
+  if (entries.length === 0) {
+    entries.push(['ok', 'Sin errores ni avisos.']);
+  }
+
+  entries.forEach(([type, message]) => {
+    const item = document.createElement('li');
+    item.className = `admin-report__item admin-report__item--${type}`;
+    item.textContent = message;
+    AdminDOM.report.appendChild(item);
+  });
+
+  // Vista previa de la categoría seleccionada con los datos ya normalizados
+  const platos = data?.[AdminState.category] || [];
+
+  platos.forEach((plato, index) => {
+    const card = MenuRender.createMenuCard(plato, index, { orderable: false });
+    card.classList.add('visible');
+    AdminDOM.preview.appendChild(card);
+  });
+}
+
+/**
+ * Vuelve a renderizar listas, reporte y vista previa
+ */
+function refresh() {
+  if (!AdminState.doc) return;
+
+  renderCategories();
+  renderDishes();
+  validateAndPreview();
+}
+
+/**
+ * Registra un cambio en el documento
+ *
+ * @param {string} message - Mensaje opcional para la barra de estado
+ */
+function markChanged(message = '') {
+  AdminState.isDirty = true;
+  refresh();
+  if (message) setStatus(message);
+}
+
+/**
+ * Muestra un mensaje en la barra de estado (también para lectores de pantalla)
+ */
+function setStatus(message, isError = false) {
+  if (!AdminDOM.status) return;
+  AdminDOM.status.textContent = message;
+  AdminDOM.status.classList.toggle('admin-status--error', isError);
+}
+
+
+// ============================================
+// EXPORTAR JSON
+// ============================================
+
+/**
+ * Serializa el documento con el formato de data/menu.json
+ * (2 espacios; listas cortas como "etiquetas" en una sola línea)
+ *
+ * @returns {string}
+ */
+function serializeMenu() {
+  return JSON.stringify(AdminState.doc, null, 2)
+    .replace(/\[\n\s+([^[\]{}]*?)\n\s+\]/g, (match, items) => `[${items.split(/,\n\s+/).join(', ')}]`) + '\n';
+}
+
+/**
+ * Descarga el documento como menu.json
+ */
+function downloadMenu() {
+  if (!AdminState.isValid) {
+    setStatus('Corrige los errores antes de descargar.', true);
+    return;
+  }
+
+  const blob = new Blob([serializeMenu()], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = ADMIN_CONFIG.fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+
+  AdminState.isDirty = false;
+  setStatus('menu.json descargado. Reemplaza data/menu.json y sube CONFIG.dataVersion en js/menu-loader.js.');
+}
+
+
+// ============================================
+// INICIALIZACIÓN
+// ============================================
+
+/**
+ * Conecta los controles del editor
+ */
+function initAdminListeners() {
+  AdminDOM.reloadBtn?.addEventListener('click', loadPublishedMenu);
+  AdminDOM.downloadBtn?.addEventListener('click', downloadMenu);
+
+  AdminDOM.importInput?.addEventListener('change', () => {
+    const file = AdminDOM.importInput.files[0];
+    if (file) importFile(file);
+    AdminDOM.importInput.value = '';
+  });
+
+  AdminDOM.categoryForm?.addEventListener('submit', (e) => {
+    e.preventDefault();
+    addCategory(AdminDOM.categoryName.value);
+    AdminDOM.categoryName.value = '';
+  });
+
+  AdminDOM.renameForm?.addEventListener('submit', (e) => {
+    e.preventDefault();
+    renameCategory(AdminDOM.renameInput.value);
+  });
+
+  AdminDOM.addDishBtn?.addEventListener('click', () => openDishForm(-1));
+
+  AdminDOM.dishForm?.addEventListener('submit', (e) => {
+    e.preventDefault();
+    saveDishForm();
+  });
+  AdminDOM.dishForm?.querySelector('[data-action="cancel"]')
+    ?.addEventListener('click', closeDishForm);
+
+  // Avisar antes de salir con cambios sin descargar
+  window.addEventListener('beforeunload', (e) => {
+    if (AdminState.isDirty) {
+      e.preventDefault();
+      e.returnValue = '';
+    }
+  });
+}
+
+/**
+ * Inicializa el editor y carga la carta publicada
+ */
+async function initAdmin() {
+  AdminDOM.init();
+
+  if (!AdminDOM.root) {
+    console.warn('Editor de carta no encontrado');
+    return;
+  }
+
+  initAdminListeners();
+  await loadPublishedMenu();
+
+  console.log('✅ Editor de carta inicializado');
+}
+
+
+// ============================================
+// EXPORTAR API PÚBLICA
+// ============================================
+
+export const MenuAdmin = {
+  init: initAdmin,
+  load: loadPublishedMenu,
+  download: downloadMenu,
+  serialize: serializeMenu
+};
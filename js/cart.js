@@ -0,0 +1,574 @@
+/**
+ * CART.JS
+ * Pedido del cliente con envío por WhatsApp
+ * La Arboleda Club - 2025
+ */
+
+import { Utils } from './utils.js';
+import { Html } from './html.js';
+import { I18n } from './i18n.js';
+import { MenuModel } from './menu-model.js';
+import { MenuOptions } from './menu-options.js';
+import { MenuAvailability } from './menu-availability.js';
+import { TableMode } from './table-mode.js';
+import { Modal } from './modal.js';
+import { Dialog } from './dialog.js';
+
+// ============================================
+// CONFIGURACIÓN
+// ============================================
+const CART_CONFIG = {
+  storageKey: 'arboleda_pedido',
+  whatsappNumber: '51908881162',
+  maxQuantity: 20,
+  maxNoteLength: 140
+};
+
+
+// ============================================
+// ESTADO DEL PEDIDO
+// ============================================
+
+// Cada línea guarda solo el id del plato y su selección (tamaño y opciones):
+// nombre y precio se leen del menú vigente para que el pedido refleje
+// siempre los precios actuales
+const CartState = {
+  items: [], // [{ key, id, seleccion, cantidad, nota }]
+  isOpen: false
+};
+
+
+// ============================================
+// ELEMENTOS DEL DOM
+// ============================================
+const CartDOM = {
+  toggle: null,
+  count: null,
+  panel: null,
+  title: null,
+  closeBtn: null,
+  list: null,
+  empty: null,
+  total: null,
+  checkoutBtn: null,
+  clearBtn: null,
+
+  init() {
+    this.toggle = document.getElementById('cartToggle');
+    this.count = document.getElementById('cartCount');
+    this.panel = document.getElementById('cartPanel');
+    this.title = document.getElementById('cartTitle');
+    this.closeBtn = document.getElementById('cartClose');
+    this.list = document.getElementById('cartItems');
+    this.empty = document.getElementById('cartEmpty');
+    this.total = document.getElementById('cartTotal');
+    this.checkoutBtn = document.getElementById('cartCheckout');
+    this.clearBtn = document.getElementById('cartClear');
+  }
+};
+
+
+// ============================================
+// PERSISTENCIA
+// ============================================
+
+/**
+ * Carga el pedido guardado en localStorage
+ * localStorage se puede editar a mano: se descartan las líneas sin id o con
+ * una cantidad que no sea un entero positivo, y las cantidades se limitan
+ * al máximo por línea.
+ */
+function loadCart() {
+  const saved = Utils.getLocalStorage(CART_CONFIG.storageKey, []);
+  CartState.items = Array.isArray(saved)
+    ? saved
+      .filter(item => item && typeof item.id === 'string' && Number.isInteger(item.cantidad) && item.cantidad >= 1)
+      .map(item => {
+        const seleccion = item.seleccion || { variante: null, opciones: {} };
+        return {
+          ...item,
+          seleccion,
+          key: MenuOptions.getKey(item.id, seleccion),
+          cantidad: Math.min(item.cantidad, CART_CONFIG.maxQuantity),
+          nota: typeof item.nota === 'string' ? item.nota.slice(0, CART_CONFIG.maxNoteLength) : ''
+        };
+      })
+    : [];
+}
+
+/**
+ * Guarda el pedido en localStorage
+ */
+function saveCart() {
+  Utils.setLocalStorage(CART_CONFIG.storageKey, CartState.items);
+}
+
+
+// ============================================
+// OPERACIONES DEL PEDIDO
+// ============================================
+
+/**
+ * Agrega un plato al pedido (o suma una unidad si ya está con la misma selección)
+ *
+ * @param {string} id - Id del plato
+ * @param {number} cantidad - Unidades a agregar
+ * @param {Object|null} seleccion - Tamaño y opciones; null para la selección por defecto
+ */
+function addToCart(id, cantidad = 1, seleccion = null) {
+  const plato = MenuModel.findDish(id);
+  if (!plato) {
+    console.warn(`No se puede agregar al pedido, plato no encontrado: ${id}`);
+    return;
+  }
+
+  // Agotado o fuera de su horario
+  const status = MenuAvailability.getStatus(plato);
+  if (!status.available) {
+    announceCart(`${I18n.localize(plato, 'nombre')}: ${status.label}`);
+    return;
+  }
+
+  // Las opciones obligatorias se eligen en el modal
+  const elegida = MenuOptions.normalize(plato, seleccion || MenuOptions.getDefaultSelection(plato));
+  if (!elegida || MenuOptions.getMissingGroups(plato, elegida).length > 0) {
+    console.warn(`No se puede agregar al pedido, faltan opciones de: ${id}`);
+    return;
+  }
+
+  const key = MenuOptions.getKey(id, elegida);
+  const item = CartState.items.find(line => line.key === key);
+  if (item) {
+    item.cantidad = Math.min(item.cantidad + cantidad, CART_CONFIG.maxQuantity);
+  } else {
+    CartState.items.push({ key, id, seleccion: elegida, cantidad, nota: '' });
+  }
+
+  saveCart();
+  renderCart();
+  announceCart(I18n.t('cart.added', { name: I18n.localize(plato, 'nombre') }));
+}
+
+/**
+ * Cambia la cantidad de una línea; con 0 se elimina
+ *
+ * @param {string} key - Clave de la línea
+ * @param {number} cantidad - Nueva cantidad
+ */
+function updateQuantity(key, cantidad) {
+  if (cantidad <= 0) {
+    removeFromCart(key);
+    return;
+  }
+
+  const item = CartState.items.find(line => line.key === key);
+  if (!item) return;
+
+  item.cantidad = Math.min(cantidad, CART_CONFIG.maxQuantity);
+  saveCart();
+  renderCart();
+}
+
+/**
+ * Guarda la nota de una línea (sin re-renderizar para no perder el foco)
+ *
+ * @param {string} key - Clave de la línea
+ * @param {string} nota - Indicaciones del cliente
+ */
+function updateNote(key, nota) {
+  const item = CartState.items.find(line => line.key === key);
+  if (!item) return;
+
+  item.nota = nota.slice(0, CART_CONFIG.maxNoteLength);
+  saveCart();
+}
+
+/**
+ * Quita una línea del pedido
+ *
+ * @param {string} key - Clave de la línea (el id del plato si no tiene opciones)
+ */
+function removeFromCart(key) {
+  const item = CartState.items.find(line => line.key === key);
+  const plato = item && MenuModel.findDish(item.id);
+
+  CartState.items = CartState.items.filter(line => line.key !== key);
+  saveCart();
+  renderCart();
+
+  if (plato) {
+    announceCart(I18n.t('cart.removed', { name: I18n.localize(plato, 'nombre') }));
+  }
+}
+
+/**
+ * Vacía el pedido
+ */
+function clearCart() {
+  CartState.items = [];
+  saveCart();
+  renderCart();
+  announceCart(I18n.t('cart.cleared'));
+}
+
+/**
+ * Líneas del pedido con los datos actuales de cada plato
+ * Se omiten los platos que ya no existen en el menú y las líneas cuyo
+ * tamaño u opción obligatoria ya no se ofrece.
+ *
+ * @returns {Array<{ key: string, plato: Object, seleccion: Object, cantidad: number, nota: string, subtotal: number }>}
+ */
+function getCartLines() {
+  return CartState.items
+    .map(item => {
+      const plato = MenuModel.findDish(item.id);
+      if (!plato) return null;
+
+      const seleccion = MenuOptions.normalize(plato, item.seleccion);
+      if (!seleccion || MenuOptions.getMissingGroups(plato, seleccion).length > 0) return null;
+
+      return {
+        key: item.key,
+        plato,
+        seleccion,
+        cantidad: item.cantidad,
+        nota: item.nota || '',
+        subtotal: MenuOptions.getPrice(plato, seleccion) * item.cantidad
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Total del pedido en soles
+ */
+function getCartTotal() {
+  return getCartLines().reduce((total, line) => total + line.subtotal, 0);
+}
+
+/**
+ * Número total de unidades en el pedido
+ */
+function getCartCount() {
+  return getCartLines().reduce((count, line) => count + line.cantidad, 0);
+}
+
+
+// ============================================
+// CHECKOUT POR WHATSAPP
+// ============================================
+
+/**
+ * Compone el mensaje de WhatsApp con el pedido completo
+ * Siempre en español y con los nombres de la carta: lo lee el personal.
+ *
+ * @returns {string}
+ */
+function buildOrderMessage() {
+  const lines = getCartLines();
+
+  const detail = lines.map(({ plato, seleccion, cantidad, nota, subtotal }) => {
+    const { variante, grupos } = MenuOptions.describe(plato, seleccion, false);
+    const nombre = variante ? `${plato.nombre} - ${variante}` : plato.nombre;
+
+    let text = `• ${cantidad} x ${nombre} (${Utils.formatPrice(subtotal)})`;
+    grupos.forEach(grupo => {
+      text += `\n   ${grupo.nombre}: ${grupo.items.join(', ')}`;
+    });
+    if (nota.trim()) {
+      text += `\n   Nota: ${nota.trim()}`;
+    }
+    return text;
+  });
+
+  // En modo mesa el pedido va para la mesa del QR
+  const table = TableMode.get();
+  const greeting = table
+    ? `¡Hola La Arboleda Club! Quisiera hacer el siguiente pedido para la mesa ${table}:`
+    : '¡Hola La Arboleda Club! Quisiera hacer el siguiente pedido:';
+
+  return [
+    greeting,
+    '',
+    ...detail,
+    '',
+    `*Total: ${Utils.formatPrice(getCartTotal())}*`
+  ].join('\n');
+}
+
+/**
+ * Abre WhatsApp con el pedido listo para enviar
+ */
+function checkout() {
+  if (getCartLines().length === 0) return;
+
+  const text = encodeURIComponent(buildOrderMessage());
+  const url = `https://wa.me/${CART_CONFIG.whatsappNumber}?text=${text}`;
+
+  window.open(url, '_blank', 'noopener');
+}
+
+
+// ============================================
+// RENDERIZADO
+// ============================================
+
+/**
+ * Renderiza el contador, las líneas y el total del pedido
+ */
+function renderCart() {
+  const lines = getCartLines();
+  const count = getCartCount();
+
+  if (CartDOM.count) {
+    CartDOM.count.textContent = count;
+    CartDOM.count.classList.toggle('hidden', count === 0);
+  }
+
+  if (CartDOM.toggle) {
+    CartDOM.toggle.setAttribute('aria-label', I18n.t('cart.toggle', { count }));
+  }
+
+  if (!CartDOM.list) return;
+
+  CartDOM.list.innerHTML = '';
+  lines.forEach((line, index) => CartDOM.list.appendChild(createCartLine(line, index)));
+
+  CartDOM.empty?.classList.toggle('hidden', lines.length > 0);
+
+  if (CartDOM.total) {
+    CartDOM.total.textContent = Utils.formatPrice(getCartTotal());
+  }
+
+  if (CartDOM.checkoutBtn) {
+    CartDOM.checkoutBtn.disabled = lines.length === 0;
+  }
+
+  if (CartDOM.clearBtn) {
+    CartDOM.clearBtn.disabled = lines.length === 0;
+  }
+}
+
+/**
+ * Crea el elemento de una línea del pedido
+ */
+function createCartLine({ key, plato, seleccion, cantidad, nota, subtotal }, index) {
+  const { variante, grupos } = MenuOptions.describe(plato, seleccion);
+  const nombre = variante
+    ? `${I18n.localize(plato, 'nombre')} - ${variante}`
+    : I18n.localize(plato, 'nombre');
+  const opciones = grupos.map(grupo => grupo.items.join(', ')).join(' · ');
+
+  const item = document.createElement('li');
+  item.className = 'cart-line';
+  item.dataset.key = key;
+
+  Html.render(item, Html.html`
+    <div class="cart-line__header">
+      <span class="cart-line__name">${nombre}</span>
+      <span class="cart-line__subtotal">${Utils.formatPrice(subtotal)}</span>
+    </div>
+    ${opciones && Html.html`<p class="cart-line__options">${opciones}</p>`}
+    <div class="cart-line__controls">
+      <button type="button" class="cart-line__qty-btn" data-action="decrease" aria-label="${I18n.t('cart.decrease', { name: nombre })}">
+        <i class="fas fa-minus" aria-hidden="true"></i>
+      </button>
+      <span class="cart-line__qty" aria-label="${I18n.t('cart.quantity')}">${cantidad}</span>
+      <button type="button" class="cart-line__qty-btn" data-action="increase" aria-label="${I18n.t('cart.increase', { name: nombre })}">
+        <i class="fas fa-plus" aria-hidden="true"></i>
+      </button>
+      <button type="button" class="cart-line__remove" data-action="remove" aria-label="${I18n.t('cart.remove', { name: nombre })}">
+        <i class="fas fa-trash-alt" aria-hidden="true"></i>
+      </button>
+    </div>
+    <label class="sr-only" for="cartNote-${index}">${I18n.t('cart.noteLabel', { name: nombre })}</label>
+    <input
+      type="text"
+      class="cart-line__note"
+      id="cartNote-${index}"
+      maxlength="${CART_CONFIG.maxNoteLength}"
+      placeholder="${I18n.t('cart.notePlaceholder')}">
+  `);
+
+  // La nota se asigna como valor para no interpretarla como HTML
+  item.querySelector('.cart-line__note').value = nota;
+
+  return item;
+}
+
+/**
+ * Crea el botón "Agregar al pedido" para tarjetas y lista
+ * Si el plato tiene tamaños u opciones obligatorias, el botón abre el
+ * modal para elegirlas.
+ *
+ * @param {Object} plato - Plato a agregar
+ * @param {string} className - Clase CSS del botón
+ * @returns {HTMLButtonElement}
+ */
+function createAddButton(plato, className = 'add-to-cart') {
+  const nombre = I18n.localize(plato, 'nombre');
+  const needsChoice = MenuOptions.needsChoice(plato);
+
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = className;
+  button.setAttribute('aria-label', I18n.t(needsChoice ? 'cart.chooseLabel' : 'cart.addLabel', { name: nombre }));
+  Html.render(button, Html.html`<i class="fas fa-plus" aria-hidden="true"></i> <span>${I18n.t(needsChoice ? 'cart.choose' : 'cart.add')}</span>`);
+
+  button.addEventListener('click', (e) => {
+    // Evitar que la tarjeta abra el modal por su cuenta
+    e.stopPropagation();
+
+    if (needsChoice) {
+      Modal.open(plato);
+    } else {
+      addToCart(plato.id);
+    }
+  });
+
+  return button;
+}
+
+/**
+ * Anuncia cambios del pedido para tecnologías asistivas
+ */
+function announceCart(message) {
+  Utils.announce(message);
+}
+
+
+// ============================================
+// PANEL DEL PEDIDO
+// ============================================
+
+/**
+ * Abre el panel del pedido
+ */
+function openCart() {
+  if (!CartDOM.panel) return;
+
+  CartState.isOpen = true;
+  CartDOM.panel.classList.add('cart-panel--open');
+  CartDOM.panel.setAttribute('aria-hidden', 'false');
+  CartDOM.toggle?.setAttribute('aria-expanded', 'true');
+
+  setTimeout(() => CartDOM.closeBtn?.focus(), 100);
+}
+
+/**
+ * Cierra el panel del pedido y devuelve el foco al botón
+ */
+function closeCart() {
+  if (!CartDOM.panel || !CartState.isOpen) return;
+
+  CartState.isOpen = false;
+  CartDOM.panel.classList.remove('cart-panel--open');
+  CartDOM.panel.setAttribute('aria-hidden', 'true');
+  CartDOM.toggle?.setAttribute('aria-expanded', 'false');
+  CartDOM.toggle?.focus();
+}
+
+/**
+ * Maneja los botones de cantidad y eliminar (delegación de eventos)
+ */
+function handleCartClick(event) {
+  const button = event.target.closest('[data-action]');
+  if (!button) return;
+
+  const line = button.closest('.cart-line');
+  const key = line?.dataset.key;
+  const item = CartState.items.find(entry => entry.key === key);
+  if (!item) return;
+
+  const index = Array.from(CartDOM.list.children).indexOf(line);
+  const action = button.dataset.action;
+  if (action === 'increase') updateQuantity(key, item.cantidad + 1);
+  if (action === 'decrease') updateQuantity(key, item.cantidad - 1);
+  if (action === 'remove') removeFromCart(key);
+
+  // Mantener el foco dentro de la línea tras re-renderizar; si la línea
+  // se eliminó, pasa a la siguiente (la que ocupa ahora su lugar) o al
+  // título del panel
+  const current = Array.from(CartDOM.list.children).find(entry => entry.dataset.key === key);
+  if (current) {
+    current.querySelector(`[data-action="${action}"]`)?.focus();
+  } else {
+    const next = CartDOM.list.children[index];
+    (next?.querySelector(`[data-action="${action}"]`) || CartDOM.title)?.focus();
+  }
+}
+
+
+// ============================================
+// INICIALIZACIÓN
+// ============================================
+
+/**
+ * Inicializa el pedido: carga lo guardado y conecta el panel
+ */
+function initCart() {
+  CartDOM.init();
+
+  if (!CartDOM.panel) {
+    console.warn('Panel del pedido no encontrado');
+    return;
+  }
+
+  loadCart();
+
+  CartDOM.toggle?.addEventListener('click', () => {
+    CartState.isOpen ? closeCart() : openCart();
+  });
+  CartDOM.closeBtn?.addEventListener('click', closeCart);
+  CartDOM.checkoutBtn?.addEventListener('click', checkout);
+  CartDOM.clearBtn?.addEventListener('click', clearCart);
+
+  CartDOM.list?.addEventListener('click', handleCartClick);
+  CartDOM.list?.addEventListener('input', (e) => {
+    if (!e.target.classList.contains('cart-line__note')) return;
+    updateNote(e.target.closest('.cart-line').dataset.key, e.target.value);
+  });
+
+  // ESC cierra el panel, salvo que haya un diálogo encima: ese Escape es
+  // suyo (si lo atendió primero, ya lo quitó de la pila y marcó el evento)
+  document.addEventListener('keydown', (e) => {
+    if (e.defaultPrevented || Dialog.getTop()) return;
+
+    if (e.key === 'Escape' && CartState.isOpen) {
+      closeCart();
+    }
+  });
+
+  // Sincronizar entre pestañas abiertas
+  window.addEventListener('storage', (e) => {
+    if (e.key === CART_CONFIG.storageKey) {
+      loadCart();
+      renderCart();
+    }
+  });
+
+  // Traducir las líneas al cambiar de idioma
+  I18n.onChange(renderCart);
+
+  renderCart();
+
+  console.log('✅ Pedido inicializado');
+}
+
+
+// ============================================
+// EXPORTAR API PÚBLICA
+// ============================================
+
+export const Cart = {
+  init: initCart,
+  add: addToCart,
+  remove: removeFromCart,
+  clear: clearCart,
+  open: openCart,
+  close: closeCart,
+  render: renderCart,
+  createAddButton,
+  buildMessage: buildOrderMessage,
+  checkout
+};
@@ -0,0 +1,495 @@
+/**
+ * DIALOG.JS
+ * Diálogos modales reutilizables: contenido libre o plantilla, tamaños,
+ * confirmación y apilado (un diálogo encima de otro), con el foco atrapado
+ * en el diálogo de arriba
+ * La Arboleda Club - 2025
+ */
+
+import { Utils } from './utils.js';
+import { Html } from './html.js';
+import { I18n } from './i18n.js';
+
+// ============================================
+// CONFIGURACIÓN
+// ============================================
+const DIALOG_CONFIG = {
+  sizes: ['sm', 'md', 'lg', 'full'],
+  defaultSize: 'md',
+  closeDelay: 300, // Duración de la animación de salida (ms)
+  focusDelay: 100 // Espera antes de enfocar, para no cortar la animación de entrada
+};
+
+const FOCUSABLE_SELECTOR = [
+  'button:not([disabled])',
+  '[href]',
+  'input:not([disabled])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+// Cambios que pueden agregar o quitar elementos enfocables (class y style
+// incluyen .hidden y display: none)
+const OBSERVER_OPTIONS = {
+  childList: true,
+  subtree: true,
+  attributes: true,
+  attributeFilter: ['disabled', 'hidden', 'tabindex', 'inert', 'class', 'style']
+};
+
+
+// ============================================
+// ESTADO
+// ============================================
+
+// Diálogos abiertos, de abajo hacia arriba: solo el último recibe el teclado
+const stack = [];
+
+let isInitialized = false;
+let dialogCount = 0;
+
+
+// ============================================
+// CREACIÓN
+// ============================================
+
+/**
+ * Crea el elemento de un diálogo nuevo (overlay, panel, botón de cerrar y título)
+ */
+function buildDialogElement({ title, label, role, dismissible }) {
+  const id = `dialog-${++dialogCount}`;
+
+  const element = Utils.createElement('div', {
+    className: 'modal',
+    id,
+    role,
+    'aria-modal': 'true',
+    'aria-labelledby': title ? `${id}-title` : null,
+    'aria-label': title ? null : label,
+    'aria-hidden': 'true'
+  });
+
+  Html.render(element, Html.html`
+    <div class="modal__overlay" data-close-modal></div>
+    <div class="modal__content">
+      ${dismissible && Html.html`
+        <button class="modal__close" type="button" data-close-modal aria-label="${I18n.t('dialog.close')}">
+          <i class="fas fa-times" aria-hidden="true"></i>
+        </button>
+      `}
+      ${title && Html.html`<h2 class="modal__title" id="${id}-title">${title}</h2>`}
+      <div class="modal__body"></div>
+    </div>
+  `);
+
+  return element;
+}
+
+/**
+ * Aplica el tamaño del panel (md es el tamaño sin modificador)
+ */
+function applySize(element, size) {
+  DIALOG_CONFIG.sizes.forEach(name => {
+    element.classList.toggle(`modal--${name}`, name === size && name !== DIALOG_CONFIG.defaultSize);
+  });
+}
+
+/**
+ * Prepara un diálogo
+ * Sin elemento crea uno nuevo, que se agrega a <body> al abrirlo y se quita
+ * al cerrarlo; con un elemento .modal del HTML (p. ej. #menuModal) lo
+ * reutiliza en cada apertura.
+ *
+ * @param {HTMLElement|null} element - Elemento .modal existente
+ * @param {Object} options
+ * @param {string} options.title - Título (solo diálogos nuevos)
+ * @param {string} options.label - Nombre accesible si no hay título
+ * @param {*} options.content - Contenido inicial: texto, nodo, plantilla html`` o lista de ellos
+ * @param {string} options.size - 'sm', 'md', 'lg' o 'full'
+ * @param {boolean} options.dismissible - Se cierra con Escape, el overlay y la X
+ * @param {string} options.role - 'dialog' o 'alertdialog'
+ * @param {HTMLElement|string} options.initialFocus - Elemento o selector a enfocar al abrir
+ * @param {Function} options.returnFocus - (lastFocused) => elemento que recibe el foco al cerrar
+ * @param {Function} options.onClose - Se llama con el resultado al cerrar
+ * @returns {Object} Diálogo con open(), close(result), setContent(content),
+ *   isOpen() e isTop(); status es 'open', 'closing' o 'closed'
+ */
+function createDialog(element = null, options = {}) {
+  const settings = {
+    size: DIALOG_CONFIG.defaultSize,
+    dismissible: true,
+    role: 'dialog',
+    ...options
+  };
+
+  const dialog = {
+    element: element || buildDialogElement(settings),
+    body: null,
+    options: settings,
+    isTemporary: !element,
+    status: 'closed',
+    lastFocused: null,
+    closed: null, // Promesa con el resultado de la apertura en curso
+    resolve: null,
+    closeTimer: null,
+    focusTimer: null,
+    focusable: null, // Elementos enfocables; null para recalcularlos
+    observer: null
+  };
+
+  dialog.body = dialog.element.querySelector('.modal__body') || dialog.element.querySelector('.modal__content');
+
+  // El contenido cambia (p. ej. al pasar de plato): recalcular el focus trap
+  dialog.observer = new MutationObserver(() => {
+    dialog.focusable = null;
+  });
+
+  dialog.element.addEventListener('click', (event) => {
+    if (event.target.closest('[data-close-modal]') && dialog.options.dismissible) {
+      closeDialog(dialog);
+    }
+  });
+
+  applySize(dialog.element, settings.size);
+
+  if (settings.content !== undefined) {
+    setDialogContent(dialog, settings.content);
+  }
+
+  return Object.assign(dialog, {
+    open: () => openDialog(dialog),
+    close: (result) => closeDialog(dialog, result),
+    setContent: (content) => setDialogContent(dialog, content),
+    isOpen: () => dialog.status === 'open',
+    isTop: () => getTopDialog() === dialog
+  });
+}
+
+/**
+ * Reemplaza el contenido del diálogo
+ * Los strings se insertan como texto; para marcado usar html``.
+ */
+function setDialogContent(dialog, content) {
+  dialog.body.replaceChildren();
+  Utils.appendContent(dialog.body, content);
+}
+
+
+// ============================================
+// ABRIR Y CERRAR
+// ============================================
+
+/**
+ * Diálogo de arriba de la pila, o null si no hay ninguno abierto
+ */
+function getTopDialog() {
+  return stack[stack.length - 1] || null;
+}
+
+/**
+ * Profundidad, estilo e inert de cada diálogo según su lugar en la pila
+ */
+function updateStack() {
+  stack.forEach((dialog, index) => {
+    dialog.element.style.setProperty('--modal-depth', index);
+    dialog.element.classList.toggle('modal--stacked', index > 0);
+    dialog.element.toggleAttribute('inert', index < stack.length - 1);
+  });
+}
+
+/**
+ * Abre el diálogo encima de los que ya estén abiertos
+ * Si estaba cerrándose, cancela el cierre sin mover el foco.
+ *
+ * @param {Object} dialog - Diálogo creado con createDialog
+ * @returns {Promise<*>} Resultado con el que se cierre
+ */
+function openDialog(dialog) {
+  if (dialog.status === 'open') return dialog.closed;
+
+  const wasClosing = dialog.status === 'closing';
+  clearTimeout(dialog.closeTimer);
+  dialog.closeTimer = null;
+
+  if (!wasClosing) {
+    dialog.lastFocused = document.activeElement;
+  }
+
+  dialog.closed = new Promise(resolve => {
+    dialog.resolve = resolve;
+  });
+  dialog.status = 'open';
+  stack.push(dialog);
+  updateStack();
+
+  if (!dialog.element.isConnected) {
+    document.body.appendChild(dialog.element);
+  }
+
+  dialog.focusable = null;
+  dialog.observer.observe(dialog.element, OBSERVER_OPTIONS);
+
+  // Mostrar y esperar un frame para la animación
+  dialog.element.style.display = 'flex';
+  dialog.element.setAttribute('aria-hidden', 'false');
+  requestAnimationFrame(() => {
+    dialog.element.style.opacity = '1';
+  });
+
+  // Prevenir scroll del body
+  document.body.style.overflow = 'hidden';
+
+  if (!wasClosing) {
+    dialog.focusTimer = setTimeout(() => {
+      dialog.focusTimer = null;
+      getInitialFocus(dialog)?.focus();
+    }, DIALOG_CONFIG.focusDelay);
+  }
+
+  return dialog.closed;
+}
+
+/**
+ * Cierra el diálogo (esté o no arriba de la pila)
+ *
+ * @param {Object} dialog - Diálogo abierto
+ * @param {*} result - Valor con el que se resuelve open()
+ */
+function closeDialog(dialog, result) {
+  if (dialog.status !== 'open') return;
+
+  // Elegir a dónde volver antes de avisar del cierre
+  const { returnFocus, onClose } = dialog.options;
+  const focusTarget = returnFocus ? returnFocus(dialog.lastFocused) : dialog.lastFocused;
+
+  dialog.status = 'closing';
+  stack.splice(stack.indexOf(dialog), 1);
+  updateStack();
+
+  clearTimeout(dialog.focusTimer);
+  dialog.focusTimer = null;
+
+  dialog.resolve(result);
+  onClose?.(result);
+
+  // Animación de salida
+  dialog.element.style.opacity = '0';
+  dialog.closeTimer = setTimeout(() => finishClose(dialog, focusTarget), DIALOG_CONFIG.closeDelay);
+}
+
+/**
+ * Oculta el diálogo al terminar la animación y devuelve el foco
+ */
+function finishClose(dialog, focusTarget) {
+  dialog.closeTimer = null;
+  dialog.status = 'closed';
+  dialog.observer.disconnect();
+
+  dialog.element.style.display = 'none';
+  dialog.element.setAttribute('aria-hidden', 'true');
+
+  if (dialog.isTemporary) {
+    dialog.element.remove();
+  }
+
+  // Restaurar scroll del body cuando no queda ningún diálogo
+  if (stack.length === 0) {
+    document.body.style.overflow = '';
+  }
+
+  // Volver al elemento anterior, salvo que quede fuera del diálogo de arriba
+  const top = getTopDialog();
+  if (focusTarget?.isConnected && (!top || top.element.contains(focusTarget))) {
+    focusTarget.focus();
+  } else if (top && !top.element.contains(document.activeElement)) {
+    getInitialFocus(top)?.focus();
+  }
+}
+
+/**
+ * Cierra el diálogo de arriba de la pila
+ * @param {*} result - Valor con el que se resuelve su open()
+ */
+function closeTopDialog(result) {
+  const top = getTopDialog();
+  if (top) closeDialog(top, result);
+}
+
+
+// ============================================
+// DIÁLOGOS NUEVOS
+// ============================================
+
+/**
+ * Abre un diálogo nuevo con el contenido indicado
+ *
+ * @param {*} content - Texto, nodo, plantilla html`` o lista de ellos
+ * @param {Object} options - Opciones de createDialog (title, size...)
+ * @returns {Object} Diálogo abierto; dialog.closed se resuelve al cerrarlo
+ */
+function openContentDialog(content, options = {}) {
+  const dialog = createDialog(null, { ...options, content });
+  dialog.open();
+  return dialog;
+}
+
+/**
+ * Pide confirmación con los botones Cancelar y Aceptar
+ * Empieza con el foco en Cancelar, la opción que no cambia nada.
+ *
+ * @param {Object} options
+ * @param {string} options.title - Pregunta
+ * @param {string} options.message - Detalle de la acción
+ * @param {string} options.confirmLabel - Texto del botón de confirmar
+ * @param {string} options.cancelLabel - Texto del botón de cancelar
+ * @returns {Promise<boolean>} true solo si se pulsó confirmar
+ */
+function confirmDialog({
+  title = '',
+  message = '',
+  confirmLabel = I18n.t('dialog.confirm'),
+  cancelLabel = I18n.t('dialog.cancel')
+} = {}) {
+  const dialog = createDialog(null, {
+    title,
+    label: title ? null : message,
+    size: 'sm',
+    role: 'alertdialog',
+    initialFocus: '[data-dialog-cancel]'
+  });
+
+  const messageId = `${dialog.element.id}-message`;
+  dialog.setContent(Html.html`
+    ${message && Html.html`<p class="modal__description" id="${messageId}">${message}</p>`}
+    <div class="modal__actions">
+      <button class="btn btn--outline btn--sm" type="button" data-dialog-cancel>${cancelLabel}</button>
+      <button class="btn btn--primary btn--sm" type="button" data-dialog-confirm>${confirmLabel}</button>
+    </div>
+  `);
+
+  if (message) {
+    dialog.element.setAttribute('aria-describedby', messageId);
+  }
+
+  dialog.body.querySelector('[data-dialog-cancel]').addEventListener('click', () => dialog.close(false));
+  dialog.body.querySelector('[data-dialog-confirm]').addEventListener('click', () => dialog.close(true));
+
+  return dialog.open().then(result => result === true);
+}
+
+
+// ============================================
+// FOCUS TRAP (ACCESIBILIDAD)
+// ============================================
+
+/**
+ * Indica si el elemento se ve dentro del diálogo
+ * Descarta los ocultos con display: none (p. ej. la clase .hidden) en él o
+ * en un contenedor, y los de visibility: hidden.
+ */
+function isRendered(element, container) {
+  if (window.getComputedStyle(element).visibility === 'hidden') return false;
+
+  for (let node = element; node && node !== container; node = node.parentElement) {
+    if (window.getComputedStyle(node).display === 'none') return false;
+  }
+  return true;
+}
+
+/**
+ * Elementos enfocables y visibles del diálogo, en orden del DOM
+ * Se guardan hasta que cambia el contenido.
+ */
+function getFocusable(dialog) {
+  if (!dialog.focusable) {
+    dialog.focusable = Array.from(dialog.element.querySelectorAll(FOCUSABLE_SELECTOR))
+      .filter(element => element.tabIndex >= 0 && !element.closest('[hidden], [inert]'))
+      .filter(element => isRendered(element, dialog.element));
+  }
+  return dialog.focusable;
+}
+
+/**
+ * Elemento a enfocar al abrir: el indicado o el primero enfocable
+ */
+function getInitialFocus(dialog) {
+  const { initialFocus } = dialog.options;
+  const target = typeof initialFocus === 'string'
+    ? dialog.element.querySelector(initialFocus)
+    : initialFocus;
+
+  return target || getFocusable(dialog)[0] || null;
+}
+
+/**
+ * Mantiene Tab y Shift+Tab dentro del diálogo
+ */
+function trapFocus(dialog, event) {
+  const focusable = getFocusable(dialog);
+
+  if (focusable.length === 0) {
+    event.preventDefault();
+    return;
+  }
+
+  const first = focusable[0];
+  const last = focusable[focusable.length - 1];
+  const active = document.activeElement;
+  const isInside = dialog.element.contains(active);
+
+  // Si shift+tab en el primer elemento, ir al último
+  if (event.shiftKey && (active === first || !isInside)) {
+    event.preventDefault();
+    last.focus();
+  }
+  // Si tab en el último elemento, ir al primero
+  else if (!event.shiftKey && (active === last || !isInside)) {
+    event.preventDefault();
+    first.focus();
+  }
+}
+
+/**
+ * Escape y Tab actúan solo sobre el diálogo de arriba
+ */
+function handleKeydown(event) {
+  const dialog = getTopDialog();
+  if (!dialog) return;
+
+  if (event.key === 'Escape' && dialog.options.dismissible) {
+    event.preventDefault();
+    closeDialog(dialog);
+  } else if (event.key === 'Tab') {
+    trapFocus(dialog, event);
+  }
+}
+
+
+// ============================================
+// INICIALIZACIÓN
+// ============================================
+
+/**
+ * Registra el teclado de los diálogos (una sola vez por página)
+ */
+function initDialog() {
+  if (isInitialized) return;
+  isInitialized = true;
+
+  document.addEventListener('keydown', handleKeydown);
+}
+
+
+// ============================================
+// EXPORTAR API PÚBLICA
+// ============================================
+
+export const Dialog = {
+  init: initDialog,
+  create: createDialog,
+  open: openContentDialog,
+  confirm: confirmDialog,
+  close: closeTopDialog,
+  getTop: getTopDialog
+};
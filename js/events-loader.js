@@ -0,0 +1,374 @@
+/**
+ * EVENTS-LOADER.JS
+ * Carga de la sección "Próximos Eventos" desde JSON y exportación a calendario
+ * La Arboleda Club - 2025
+ */
+
+import { Utils } from './utils.js';
+import { I18n } from './i18n.js';
+import { Html } from './html.js';
+
+// ============================================
+// CONFIGURACIÓN
+// ============================================
+const EVENTS_CONFIG = {
+  jsonUrl: 'data/events.json',
+  // Las horas del JSON son de Lima (UTC-5 todo el año, sin horario de verano)
+  timeZone: 'America/Lima',
+  utcOffset: '-05:00',
+  defaultDuration: 180, // minutos, para eventos sin "fin"
+  archiveLimit: 4, // Eventos pasados que se muestran en "Eventos anteriores"
+  locales: { es: 'es-PE', en: 'en-US' },
+  location: 'La Arboleda Club, Av. Celestino Vargas 1820, Tacna 23002, Perú',
+  uidDomain: 'laarboledaclub.pe'
+};
+
+// Formato de fecha y hora local: "2025-11-02T19:00"
+const EVENT_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/;
+
+
+// ============================================
+// ESTADO
+// ============================================
+const EventsState = {
+  events: [], // Eventos válidos ordenados por fecha
+  error: null
+};
+
+
+// ============================================
+// ELEMENTOS DEL DOM
+// ============================================
+const EventsDOM = {
+  grid: null,
+  archive: null,
+  archiveGrid: null,
+
+  init() {
+    this.grid = document.getElementById('eventosGrid');
+    this.archive = document.getElementById('eventosArchive');
+    this.archiveGrid = document.getElementById('eventosArchiveGrid');
+  }
+};
+
+
+// ============================================
+// CARGA Y VALIDACIÓN
+// ============================================
+
+/**
+ * Convierte una fecha local de Lima ("2025-11-02T19:00") en Date
+ *
+ * @returns {Date|null} null si el formato no es válido
+ */
+function parseEventDate(value) {
+  if (typeof value !== 'string' || !EVENT_DATE_PATTERN.test(value)) return null;
+
+  const date = new Date(`${value}:00${EVENTS_CONFIG.utcOffset}`);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Normaliza un evento del JSON; descarta (con aviso) los que no tienen
+ * id, título o fecha de inicio válida
+ *
+ * @param {Object} evento - Evento tal como viene en el JSON
+ * @param {number} index - Posición en la lista, para los avisos
+ * @returns {Object|null}
+ */
+function normalizeEvent(evento, index) {
+  const label = `eventos[${index}]`;
+  const inicio = parseEventDate(evento?.inicio);
+
+  if (!evento?.id || !evento.titulo || !inicio) {
+    console.warn(`${label}: falta "id", "titulo" o "inicio" (AAAA-MM-DDTHH:MM), evento ignorado`);
+    return null;
+  }
+
+  let fin = evento.fin === undefined ? null : parseEventDate(evento.fin);
+  if (evento.fin !== undefined && (!fin || fin <= inicio)) {
+    console.warn(`${label}: "fin" no es válido, se usa la duración por defecto`);
+    fin = null;
+  }
+
+  return {
+    id: String(evento.id),
+    titulo: String(evento.titulo),
+    descripcion: evento.descripcion ? String(evento.descripcion) : '',
+    imagen: evento.imagen ? String(evento.imagen) : '',
+    inicio,
+    fin: fin || new Date(inicio.getTime() + EVENTS_CONFIG.defaultDuration * 60000),
+    traducciones: evento.traducciones || {}
+  };
+}
+
+/**
+ * Descarga data/events.json y devuelve los eventos válidos ordenados por fecha
+ *
+ * @returns {Promise<Array<Object>>}
+ */
+async function loadEvents() {
+  const response = await fetch(EVENTS_CONFIG.jsonUrl);
+
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+
+  const doc = await response.json();
+  const eventos = Array.isArray(doc?.eventos) ? doc.eventos : [];
+
+  return eventos
+    .map(normalizeEvent)
+    .filter(Boolean)
+    .sort((a, b) => a.inicio - b.inicio);
+}
+
+/**
+ * Separa los eventos en próximos (incluye los que están en curso) y pasados
+ *
+ * @param {Date} now - Momento de referencia
+ * @returns {{ upcoming: Object[], past: Object[] }}
+ */
+function splitEvents(now = new Date()) {
+  const upcoming = EventsState.events.filter(evento => evento.fin > now);
+  const past = EventsState.events
+    .filter(evento => evento.fin <= now)
+    .reverse()
+    .slice(0, EVENTS_CONFIG.archiveLimit);
+
+  return { upcoming, past };
+}
+
+
+// ============================================
+// RENDERIZADO
+// ============================================
+
+/**
+ * Fecha y hora del evento en el idioma activo y en hora de Lima
+ * Ej.: "domingo, 2 de noviembre de 2025, 7:00 p. m."
+ */
+function formatEventDate(evento) {
+  return Utils.formatDate(evento.inicio, {
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZone: EVENTS_CONFIG.timeZone
+  }, EVENTS_CONFIG.locales[I18n.getLanguage()]);
+}
+
+/**
+ * Crea la tarjeta de un evento
+ *
+ * @param {Object} evento - Evento normalizado
+ * @param {boolean} isPast - true para la lista de eventos anteriores
+ * @returns {HTMLElement}
+ */
+function createEventCard(evento, isPast) {
+  const card = document.createElement('article');
+  card.className = isPast ? 'evento-card evento-card--past' : 'evento-card';
+  card.dataset.id = evento.id;
+
+  const titulo = I18n.localize(evento, 'titulo');
+
+  Html.render(card, Html.html`
+    <div class="evento-card__content">
+      <h3 class="evento-card__title"></h3>
+      <p class="evento-card__description"></p>
+      <time class="evento-card__date" datetime="${evento.inicio.toISOString()}">
+        <i class="far fa-calendar-alt" aria-hidden="true"></i>
+        <span></span>
+      </time>
+    </div>
+  `);
+
+  card.querySelector('.evento-card__title').textContent = titulo;
+  card.querySelector('.evento-card__description').textContent = I18n.localize(evento, 'descripcion');
+  card.querySelector('.evento-card__date span').textContent = formatEventDate(evento);
+
+  if (evento.imagen) {
+    const img = document.createElement('img');
+    img.src = evento.imagen;
+    img.alt = I18n.t('events.imageAlt', { name: titulo });
+    img.className = 'evento-card__image';
+    img.loading = 'lazy';
+    // Sin imagen la tarjeta se muestra solo con el texto
+    img.addEventListener('error', () => img.remove(), { once: true });
+    card.prepend(img);
+  }
+
+  // Solo los eventos por venir se pueden agendar
+  if (!isPast) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn btn--outline btn--sm evento-card__calendar';
+    button.setAttribute('aria-label', I18n.t('events.addToCalendarLabel', { name: titulo }));
+    Html.render(button, Html.html`<i class="far fa-calendar-plus" aria-hidden="true"></i> ${I18n.t('events.addToCalendar')}`);
+    button.addEventListener('click', () => downloadEventIcs(evento));
+    card.querySelector('.evento-card__content').appendChild(button);
+  }
+
+  return card;
+}
+
+/**
+ * Renderiza los próximos eventos y el archivo de eventos pasados
+ */
+function renderEvents() {
+  if (!EventsDOM.grid) return;
+
+  const { upcoming, past } = splitEvents();
+
+  EventsDOM.grid.innerHTML = '';
+
+  if (upcoming.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'eventos-empty';
+    empty.textContent = I18n.t(EventsState.error ? 'events.error' : 'events.empty');
+    EventsDOM.grid.appendChild(empty);
+  } else {
+    upcoming.forEach(evento => EventsDOM.grid.appendChild(createEventCard(evento, false)));
+  }
+
+  if (EventsDOM.archive && EventsDOM.archiveGrid) {
+    EventsDOM.archiveGrid.innerHTML = '';
+    past.forEach(evento => EventsDOM.archiveGrid.appendChild(createEventCard(evento, true)));
+    EventsDOM.archive.classList.toggle('hidden', past.length === 0);
+  }
+}
+
+
+// ============================================
+// EXPORTAR A CALENDARIO (.ics)
+// ============================================
+
+/**
+ * Fecha en formato iCalendar UTC: 20251103T000000Z
+ */
+function toIcsDate(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Escapa un texto para un campo iCalendar (RFC 5545)
+ */
+function escapeIcsText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Parte las líneas de más de 75 bytes; cada continuación empieza con un espacio
+ */
+function foldIcsLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  let bytes = 0;
+
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    const limit = parts.length === 0 ? 75 : 74;
+
+    if (bytes + size > limit) {
+      parts.push(current);
+      current = '';
+      bytes = 0;
+    }
+    current += char;
+    bytes += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * Genera el archivo iCalendar de un evento, en el idioma activo
+ *
+ * @param {Object} evento - Evento normalizado
+ * @returns {string}
+ */
+function createEventIcs(evento) {
+  const url = `${window.location.origin}${window.location.pathname}#eventos`;
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//La Arboleda Club//Eventos//ES',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'BEGIN:VEVENT',
+    `UID:${evento.id}@${EVENTS_CONFIG.uidDomain}`,
+    `DTSTAMP:${toIcsDate(new Date())}`,
+    `DTSTART:${toIcsDate(evento.inicio)}`,
+    `DTEND:${toIcsDate(evento.fin)}`,
+    `SUMMARY:${escapeIcsText(I18n.localize(evento, 'titulo'))}`,
+    `DESCRIPTION:${escapeIcsText(I18n.localize(evento, 'descripcion'))}`,
+    `LOCATION:${escapeIcsText(EVENTS_CONFIG.location)}`,
+    `URL:${url}`,
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Descarga el evento como archivo .ics
+ */
+function downloadEventIcs(evento) {
+  const blob = new Blob([createEventIcs(evento)], { type: 'text/calendar;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${evento.id}.ics`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+
+// ============================================
+// INICIALIZACIÓN
+// ============================================
+
+/**
+ * Carga y muestra los eventos de la página de inicio
+ */
+async function initEventsLoader() {
+  EventsDOM.init();
+  if (!EventsDOM.grid) return;
+
+  try {
+    EventsState.events = await loadEvents();
+    EventsState.error = null;
+  } catch (error) {
+    EventsState.error = error;
+    console.error('❌ Error al cargar eventos:', error);
+  }
+
+  renderEvents();
+
+  // Re-renderizar textos y fechas al cambiar de idioma
+  I18n.onChange(renderEvents);
+
+  console.log(`✅ Eventos cargados (${EventsState.events.length})`);
+}
+
+
+// ============================================
+// EXPORTAR API PÚBLICA
+// ============================================
+
+export const EventsLoader = {
+  init: initEventsLoader,
+  render: renderEvents,
+  split: splitEvents,
+  createIcs: createEventIcs,
+  downloadIcs: downloadEventIcs,
+  state: EventsState
+};
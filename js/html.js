@@ -0,0 +1,133 @@
+/**
+ * HTML.JS
+ * Plantillas seguras para el renderizado: todo valor interpolado se
+ * escapa como texto salvo el HTML marcado explícitamente como confiable
+ * La Arboleda Club - 2025
+ */
+
+// ============================================
+// ESCAPADO
+// ============================================
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+// Marca interna de los fragmentos confiables: no se puede falsificar desde el JSON
+const TRUSTED = Symbol('html.trusted');
+
+/**
+ * Escapa un valor para usarlo como texto o como valor de atributo entre comillas
+ *
+ * @param {*} value - Valor a escapar (null y undefined quedan vacíos)
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+
+// ============================================
+// HTML CONFIABLE
+// ============================================
+
+/**
+ * Marca un texto como HTML confiable: se inserta tal cual, sin escapar
+ * Solo para marcado generado por el propio sitio (p. ej. el SVG de un código QR),
+ * nunca para datos del menú, de eventos o del usuario.
+ *
+ * @param {string} markup - HTML confiable
+ * @returns {Object} Fragmento confiable
+ */
+function trusted(markup) {
+  return Object.freeze({
+    [TRUSTED]: true,
+    markup: String(markup ?? ''),
+    toString() {
+      return this.markup;
+    }
+  });
+}
+
+/**
+ * Indica si un valor es un fragmento confiable (de html`` o Html.trusted)
+ */
+function isTrusted(value) {
+  return Boolean(value && value[TRUSTED]);
+}
+
+
+// ============================================
+// PLANTILLAS
+// ============================================
+
+/**
+ * Convierte un valor interpolado en HTML
+ * Los fragmentos confiables pasan sin cambios, las listas se concatenan
+ * y null, undefined y false no generan nada.
+ */
+function interpolate(value) {
+  if (value === null || value === undefined || value === false) return '';
+  if (Array.isArray(value)) return value.map(interpolate).join('');
+  if (isTrusted(value)) return value.markup;
+  return escapeHtml(value);
+}
+
+/**
+ * Plantilla etiquetada que escapa cada valor interpolado
+ * Los atributos deben ir siempre entre comillas: class="tag ${clase}".
+ *
+ * Ej: html`<span class="price">${plato.precio}</span>`
+ *
+ * @returns {Object} Fragmento confiable para Html.render o para otra plantilla
+ */
+function html(strings, ...values) {
+  return trusted(strings.reduce((markup, string, i) => markup + interpolate(values[i - 1]) + string));
+}
+
+/**
+ * Reemplaza el contenido de un elemento por una plantilla
+ * Solo acepta fragmentos confiables: un string suelto es un error, para
+ * que ningún dato llegue a innerHTML sin pasar por html``.
+ *
+ * @param {HTMLElement} element - Elemento destino
+ * @param {Object} template - Resultado de html`` o Html.trusted
+ * @returns {HTMLElement} El mismo elemento
+ */
+function render(element, template) {
+  if (!isTrusted(template)) {
+    throw new TypeError('Html.render espera una plantilla html`` o Html.trusted()');
+  }
+
+  element.innerHTML = template.markup;
+  return element;
+}
+
+/**
+ * Crea un DocumentFragment a partir de una plantilla
+ *
+ * @param {Object} template - Resultado de html`` o Html.trusted
+ * @returns {DocumentFragment}
+ */
+function toFragment(template) {
+  const container = document.createElement('template');
+  render(container, template);
+  return container.content;
+}
+
+
+// ============================================
+// EXPORTAR API PÚBLICA
+// ============================================
+
+export const Html = {
+  html,
+  trusted,
+  isTrusted,
+  escape: escapeHtml,
+  render,
+  fragment: toFragment
+};
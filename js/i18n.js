@@ -0,0 +1,641 @@
+/**
+ * I18N.JS
+ * Traducción de la interfaz (español / inglés)
+ * El español del HTML es el texto original: los elementos marcados con
+ * data-i18n, data-i18n-html o data-i18n-attr se traducen con el catálogo
+ * del idioma elegido y, si falta una clave, conservan el español.
+ * La Arboleda Club - 2025
+ */
+
+import { Utils } from './utils.js';
+
+// ============================================
+// CONFIGURACIÓN
+// ============================================
+const I18N_CONFIG = {
+  languages: ['es', 'en'],
+  defaultLanguage: 'es',
+  storageKey: 'arboleda_idioma'
+};
+
+const I18nState = {
+  language: I18N_CONFIG.defaultLanguage,
+  listeners: []
+};
+
+// Texto original (español) de cada elemento traducido
+const originalTexts = new WeakMap();
+
+
+// ============================================
+// CATÁLOGOS DE MENSAJES
+// ============================================
+
+/**
+ * Mensajes usados desde JavaScript, en ambos idiomas.
+ * Los valores con { one, other } varían según {count}.
+ */
+const MESSAGES = {
+  es: {
+    // Filtros
+    'filters.all': 'Todos',
+    'filters.filterBy': 'Filtrar por {label}',
+    'filters.clear': 'Limpiar filtros',
+    'filters.facetCount': { one: '{label} ({count} plato)', other: '{label} ({count} platos)' },
+    'filters.tagOn': 'Filtro {label} activado',
+    'filters.tagOff': 'Filtro {label} desactivado',
+    'filters.cleared': 'Filtros eliminados, mostrando todos los platos',
+    'filters.showing': 'Mostrando {category}',
+    'filters.showingAll': 'Mostrando todos los platos',
+
+    // Tarjetas y lista
+    'menu.details': 'Ver detalles de {name}',
+    'menu.tags': 'Etiquetas',
+    'menu.emptySearch': 'No encontramos platos para "{query}".',
+    'menu.emptyFilters': 'No hay platos que cumplan los filtros seleccionados.',
+    'menu.emptyCategory': 'No hay platos en esta categoría.',
+
+    // Vistas
+    'views.changed': 'Vista cambiada a {view}',
+    'views.detailed': 'detallada',
+    'views.simple': 'simple',
+
+    // Carta impresa
+    'print.date': 'Impresa el {date}',
+
+    // Modo mesa
+    'table.label': 'Mesa {table}',
+    'table.waiterCalled': 'Abrimos WhatsApp con tu aviso: envíalo y el mozo irá a tu mesa.',
+
+    // Búsqueda y orden
+    'search.results': {
+      one: '{count} plato encontrado para "{query}"',
+      other: '{count} platos encontrados para "{query}"'
+    },
+    'sort.sorted': 'Platos ordenados por {label}',
+    'sort.priceRange': {
+      one: '{count} plato entre S/ {min} y S/ {max}',
+      other: '{count} platos entre S/ {min} y S/ {max}'
+    },
+
+    // Disponibilidad
+    'availability.soldOut': 'Agotado',
+    'availability.hours': 'Disponible de {from} a {to}',
+    'availability.days': 'Solo {days}',
+    'availability.daysHours': 'Solo {days} de {from} a {to}',
+    'days.dom': 'dom',
+    'days.lun': 'lun',
+    'days.mar': 'mar',
+    'days.mie': 'mié',
+    'days.jue': 'jue',
+    'days.vie': 'vie',
+    'days.sab': 'sáb',
+
+    // Modal
+    'modal.linkCopied': '¡Enlace copiado!',
+    'modal.copyFailed': 'No se pudo copiar el enlace',
+    'modal.position': '{index} de {total} en {category}',
+    'modal.positionAll': '{index} de {total} platos',
+
+    // Diálogos
+    'dialog.close': 'Cerrar',
+    'dialog.confirm': 'Aceptar',
+    'dialog.cancel': 'Cancelar',
+
+    // Tamaños y opciones
+    'options.from': 'Desde {price}',
+    'options.size': 'Tamaño',
+    'options.required': 'Elige una',
+    'options.optional': 'Opcional',
+
+    // Pedido
+    'cart.add': 'Agregar',
+    'cart.addLabel': 'Agregar {name} al pedido',
+    'cart.choose': 'Elegir',
+    'cart.chooseLabel': 'Elegir tamaño u opciones de {name}',
+    'cart.added': '{name} agregado al pedido',
+    'cart.removed': '{name} quitado del pedido',
+    'cart.cleared': 'Pedido vaciado',
+    'cart.toggle': { one: 'Ver pedido ({count} plato)', other: 'Ver pedido ({count} platos)' },
+    'cart.decrease': 'Quitar una unidad de {name}',
+    'cart.increase': 'Agregar una unidad de {name}',
+    'cart.remove': 'Quitar {name} del pedido',
+    'cart.quantity': 'Cantidad',
+    'cart.noteLabel': 'Nota para {name}',
+    'cart.notePlaceholder': 'Nota (ej. sin cebolla)',
+
+    // Horario de atención
+    'hours.openNow': 'Abierto ahora',
+    'hours.closesAt': 'Cierra a las {time}',
+    'hours.closed': 'Cerrado',
+    'hours.closedFor': 'Cerrado por {reason}',
+    'hours.opensToday': 'Abre hoy a las {time}',
+    'hours.opensTomorrow': 'Abre mañana a las {time}',
+    'hours.opensOn': 'Abre el {day} a las {time}',
+
+    // Eventos
+    'events.empty': 'Pronto anunciaremos nuevos eventos. ¡Síguenos en redes sociales!',
+    'events.error': 'No pudimos cargar los eventos. Intenta nuevamente más tarde.',
+    'events.imageAlt': 'Imagen del evento {name}',
+    'events.addToCalendar': 'Agregar al calendario',
+    'events.addToCalendarLabel': 'Descargar {name} para tu calendario (.ics)',
+
+    // Reservas
+    'reservation.timePlaceholder': 'Elige una hora',
+    'reservation.timePickDate': 'Elige primero la fecha',
+    'reservation.timeNoSlots': 'Sin horarios ese día',
+    'reservation.errorName': 'Ingresa tu nombre.',
+    'reservation.errorPhone': 'Ingresa un teléfono válido (al menos 9 dígitos).',
+    'reservation.errorEmail': 'Ingresa un correo válido o deja el campo vacío.',
+    'reservation.errorPeople': 'Indica entre {min} y {max} personas. Para grupos más grandes, escríbenos.',
+    'reservation.errorDate': 'Elige una fecha.',
+    'reservation.errorTooFar': 'Aceptamos reservas con hasta {days} días de anticipación.',
+    'reservation.errorClosedDay': 'Ese día no atendemos. Elige otra fecha.',
+    'reservation.errorNoHours': 'No pudimos cargar nuestro horario. Escríbenos por WhatsApp para reservar.',
+    'reservation.errorTime': 'Elige una hora.',
+    'reservation.errorHours': 'Esa hora está fuera de nuestro horario de atención.',
+    'reservation.errorLeadTime': 'Reserva con al menos {hours} horas de anticipación.',
+    'reservation.errorArea': 'Elige una zona.',
+    'reservation.invalid': 'Revisa los campos marcados.',
+    'reservation.sentWhatsapp': 'Abrimos WhatsApp con tu solicitud. Te confirmaremos la reserva por ese medio.',
+    'reservation.sentEmail': 'Abrimos tu correo con la solicitud. Te confirmaremos la reserva por respuesta.'
+  },
+
+  en: {
+    // Filtros
+    'filters.all': 'All',
+    'filters.filterBy': 'Filter by {label}',
+    'filters.clear': 'Clear filters',
+    'filters.facetCount': { one: '{label} ({count} dish)', other: '{label} ({count} dishes)' },
+    'filters.tagOn': '{label} filter on',
+    'filters.tagOff': '{label} filter off',
+    'filters.cleared': 'Filters cleared, showing all dishes',
+    'filters.showing': 'Showing {category}',
+    'filters.showingAll': 'Showing all dishes',
+
+    // Tarjetas y lista
+    'menu.details': 'View details of {name}',
+    'menu.tags': 'Tags',
+    'menu.emptySearch': 'We found no dishes for "{query}".',
+    'menu.emptyFilters': 'No dishes match the selected filters.',
+    'menu.emptyCategory': 'There are no dishes in this category.',
+
+    // Vistas
+    'views.changed': 'Switched to {view} view',
+    'views.detailed': 'detailed',
+    'views.simple': 'simple',
+
+    // Carta impresa
+    'print.date': 'Printed on {date}',
+
+    // Modo mesa
+    'table.label': 'Table {table}',
+    'table.waiterCalled': 'We opened WhatsApp with your message: send it and a waiter will come to your table.',
+
+    // Búsqueda y orden
+    'search.results': {
+      one: '{count} dish found for "{query}"',
+      other: '{count} dishes found for "{query}"'
+    },
+    'sort.sorted': 'Dishes sorted by {label}',
+    'sort.priceRange': {
+      one: '{count} dish between S/ {min} and S/ {max}',
+      other: '{count} dishes between S/ {min} and S/ {max}'
+    },
+
+    // Disponibilidad
+    'availability.soldOut': 'Sold out',
+    'availability.hours': 'Available from {from} to {to}',
+    'availability.days': '{days} only',
+    'availability.daysHours': '{days} only, {from} to {to}',
+    'days.dom': 'Sun',
+    'days.lun': 'Mon',
+    'days.mar': 'Tue',
+    'days.mie': 'Wed',
+    'days.jue': 'Thu',
+    'days.vie': 'Fri',
+    'days.sab': 'Sat',
+
+    // Modal
+    'modal.linkCopied': 'Link copied!',
+    'modal.copyFailed': 'Could not copy the link',
+    'modal.position': '{index} of {total} in {category}',
+    'modal.positionAll': '{index} of {total} dishes',
+
+    // Diálogos
+    'dialog.close': 'Close',
+    'dialog.confirm': 'OK',
+    'dialog.cancel': 'Cancel',
+
+    // Tamaños y opciones
+    'options.from': 'From {price}',
+    'options.size': 'Size',
+    'options.required': 'Choose one',
+    'options.optional': 'Optional',
+
+    // Pedido
+    'cart.add': 'Add',
+    'cart.addLabel': 'Add {name} to your order',
+    'cart.choose': 'Choose',
+    'cart.chooseLabel': 'Choose size or options for {name}',
+    'cart.added': '{name} added to your order',
+    'cart.removed': '{name} removed from your order',
+    'cart.cleared': 'Order cleared',
+    'cart.toggle': { one: 'View order ({count} dish)', other: 'View order ({count} dishes)' },
+    'cart.decrease': 'Remove one {name}',
+    'cart.increase': 'Add one more {name}',
+    'cart.remove': 'Remove {name} from your order',
+    'cart.quantity': 'Quantity',
+    'cart.noteLabel': 'Note for {name}',
+    'cart.notePlaceholder': 'Note (e.g. no onion)',
+
+    // Horario de atención
+    'hours.openNow': 'Open now',
+    'hours.closesAt': 'Closes at {time}',
+    'hours.closed': 'Closed',
+    'hours.closedFor': 'Closed for {reason}',
+    'hours.opensToday': 'Opens today at {time}',
+    'hours.opensTomorrow': 'Opens tomorrow at {time}',
+    'hours.opensOn': 'Opens {day} at {time}',
+
+    // Eventos
+    'events.empty': 'New events coming soon. Follow us on social media!',
+    'events.error': 'We could not load the events. Please try again later.',
+    'events.imageAlt': 'Image of the event {name}',
+    'events.addToCalendar': 'Add to calendar',
+    'events.addToCalendarLabel': 'Download {name} for your calendar (.ics)',
+
+    // Reservas
+    'reservation.timePlaceholder': 'Choose a time',
+    'reservation.timePickDate': 'Choose a date first',
+    'reservation.timeNoSlots': 'No times that day',
+    'reservation.errorName': 'Enter your name.',
+    'reservation.errorPhone': 'Enter a valid phone number (at least 9 digits).',
+    'reservation.errorEmail': 'Enter a valid email or leave the field empty.',
+    'reservation.errorPeople': 'Enter between {min} and {max} people. For larger groups, message us.',
+    'reservation.errorDate': 'Choose a date.',
+    'reservation.errorTooFar': 'We take reservations up to {days} days in advance.',
+    'reservation.errorClosedDay': 'We are closed that day. Please choose another date.',
+    'reservation.errorNoHours': 'We could not load our opening hours. Message us on WhatsApp to book.',
+    'reservation.errorTime': 'Choose a time.',
+    'reservation.errorHours': 'That time is outside our opening hours.',
+    'reservation.errorLeadTime': 'Please book at least {hours} hours in advance.',
+    'reservation.errorArea': 'Choose an area.',
+    'reservation.invalid': 'Please check the highlighted fields.',
+    'reservation.sentWhatsapp': 'We opened WhatsApp with your request. We will confirm your booking there.',
+    'reservation.sentEmail': 'We opened your email app with the request. We will confirm your booking by reply.',
+
+    // ----------------------------------------
+    // Páginas (index.html y menu.html)
+    // ----------------------------------------
+    'page.index.title': 'La Arboleda Club | Peruvian Restaurant in Tacna',
+    'page.index.description': 'La Arboleda Club - Peruvian restaurant in Tacna with authentic cuisine in a natural setting',
+    'page.menu.title': 'Menu | La Arboleda Club',
+    'page.menu.description': 'Full menu of La Arboleda Club - Peruvian dishes, ceviches, pasta and more',
+
+    'header.logoAlt': 'La Arboleda Club logo',
+    'header.navLabel': 'Main navigation',
+    'header.openMenu': 'Open navigation menu',
+    'nav.home': 'Home',
+    'nav.menu': 'Menu',
+    'nav.events': 'Events',
+    'nav.reservations': 'Reservations',
+    'nav.contact': 'Contact',
+
+    'home.heroTitle': 'Welcome to La Arboleda Club',
+    'home.heroSubtitle': 'A culinary corner with a natural spirit and unique flavors',
+    'home.heroButton': 'See our menu',
+    'home.infoTitle': 'A culinary experience in a natural setting',
+    'home.infoText': 'At <strong>La Arboleda Club</strong>, we blend Peruvian tradition with a warm, natural atmosphere. Enjoy our carefully crafted dishes, surrounded by nature and hospitality.',
+    'home.hoursTitle': 'Opening Hours',
+    'home.hours': 'Tuesday to Sunday: <strong>9:00 a.m. - 5:00 p.m.</strong>',
+    'home.partnersTitle': 'Partners and Collaborations',
+    'home.partnersLabel': 'Logos of partner companies',
+    'home.eventsTitle': 'Upcoming Events',
+    'home.eventsArchive': 'Past events',
+
+    'reservation.title': 'Book a table',
+    'reservation.intro': 'Fill in your details and send us the request via WhatsApp or email. We will confirm your booking shortly.',
+    'reservation.name': 'Name',
+    'reservation.phone': 'Phone',
+    'reservation.email': 'Email (optional)',
+    'reservation.people': 'People',
+    'reservation.date': 'Date',
+    'reservation.time': 'Time',
+    'reservation.area': 'Area',
+    'reservation.areaGarden': 'Garden',
+    'reservation.areaHall': 'Indoor hall',
+    'reservation.notes': 'Notes',
+    'reservation.notesPlaceholder': 'Birthday, high chair, allergies...',
+    'reservation.remember': 'Remember my details on this device',
+    'reservation.sendWhatsapp': 'Send via WhatsApp',
+    'reservation.sendEmail': 'Send via email',
+
+    'footer.contactTitle': 'Contact us',
+    'footer.socialLabel': 'Social media',
+    'footer.facebook': 'Visit La Arboleda Club on Facebook',
+    'footer.instagram': 'Visit La Arboleda Club on Instagram',
+    'footer.whatsapp': 'Contact us on WhatsApp',
+    'footer.emailTooltip': 'Email',
+    'footer.email': 'Send us an email',
+    'footer.mapTitle': 'Find us here',
+    'footer.mapFrame': 'Location of La Arboleda Club on Google Maps',
+    'footer.copyright': '© 2025 La Arboleda Club — All rights reserved.',
+    'footer.credits': 'Designed and developed by <strong>H-Junior</strong>',
+
+    'menu.stickyLabel': 'Fixed navigation',
+    'menu.stickyText': 'Menu | La Arboleda Club',
+    'menu.heroTitle': 'Our Menu',
+    'menu.heroSubtitle': 'Authentic flavors, natural freshness and an experience that connects you with the best of Peru.',
+    'menu.searchLabel': 'Search the menu',
+    'menu.searchPlaceholder': 'Search dishes, ingredients...',
+    'menu.filtersLabel': 'Category filters',
+    'menu.facetsLabel': 'Diet and allergen filters',
+    'menu.sortLabel': 'Sort by:',
+    'menu.sortDefault': 'Recommended',
+    'menu.sortPriceAsc': 'Price: low to high',
+    'menu.sortPriceDesc': 'Price: high to low',
+    'menu.sortName': 'Name (A–Z)',
+    'menu.sortPopular': 'Most ordered',
+    'menu.price': 'Price:',
+    'menu.priceMin': 'Minimum price',
+    'menu.priceMax': 'Maximum price',
+    'menu.hideUnavailable': 'Hide unavailable',
+    'menu.viewLabel': 'Change view type',
+    'menu.view': 'View:',
+    'menu.viewDetailed': 'Detailed',
+    'menu.viewDetailedLabel': 'Switch to detailed view',
+    'menu.viewSimple': 'Simple',
+    'menu.viewSimpleLabel': 'Switch to simple view',
+    'menu.offline': 'Offline: you are viewing the last saved menu. Prices may have changed.',
+    'menu.loadingLabel': 'Loading menu',
+    'menu.loading': 'Loading a delicious menu...',
+    'menu.error': 'We could not load the menu. Please try again.',
+    'menu.retry': 'Retry',
+    'menu.gridLabel': 'Menu in detailed view',
+    'menu.simpleLabel': 'Menu in simple view',
+    'menu.print': 'Print menu',
+    'menu.printPhotos': 'With photos',
+    'menu.printTitle': 'Our Menu',
+    'table.callWaiter': 'Call the waiter',
+
+    'cart.toggleLabel': 'View order',
+    'cart.title': 'Your order',
+    'cart.close': 'Close order',
+    'cart.empty': 'You have not added any dishes to your order yet.',
+    'cart.total': 'Total',
+    'cart.checkout': 'Send order via WhatsApp',
+    'cart.clear': 'Clear order',
+
+    'modal.close': 'Close',
+    'modal.tags': 'Diet and allergens',
+    'modal.add': 'Add to order',
+    'modal.share': 'Share dish',
+    'modal.navLabel': 'Other dishes',
+    'modal.prev': 'Previous dish',
+    'modal.next': 'Next dish'
+  }
+};
+
+
+// ============================================
+// TRADUCCIÓN
+// ============================================
+
+/**
+ * Traduce una clave del catálogo con el idioma activo
+ * Si falta en el idioma activo se usa el español.
+ *
+ * @param {string} key - Clave del mensaje (ej. "cart.added")
+ * @param {Object} params - Valores para {placeholders}; {count} elige el plural
+ * @returns {string}
+ */
+function translate(key, params = {}) {
+  const lang = I18nState.language;
+  let message = MESSAGES[lang]?.[key] ?? MESSAGES[I18N_CONFIG.defaultLanguage][key];
+
+  if (message === undefined) {
+    console.warn(`Traducción no encontrada: ${key}`);
+    return key;
+  }
+
+  if (typeof message === 'object') {
+    const form = new Intl.PluralRules(lang).select(params.count ?? 0);
+    message = message[form] ?? message.other;
+  }
+
+  return message.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] !== undefined ? String(params[name]) : match
+  );
+}
+
+/**
+ * Texto traducido de un campo del menú (plato, etiqueta...)
+ * Usa obj.traducciones[idioma][campo] y, si no existe, el español.
+ *
+ * @param {Object} obj - Objeto con el campo en español y sus traducciones
+ * @param {string} field - Campo a traducir (ej. "nombre")
+ * @returns {string}
+ */
+function localize(obj, field) {
+  if (!obj) return '';
+  return obj.traducciones?.[I18nState.language]?.[field] || obj[field] || '';
+}
+
+/**
+ * Une una lista con la conjunción del idioma ("sáb y dom", "Sat and Sun")
+ */
+function formatList(items) {
+  if (typeof Intl.ListFormat === 'function') {
+    return new Intl.ListFormat(I18nState.language, { type: 'conjunction' }).format(items);
+  }
+  return items.join(', ');
+}
+
+
+// ============================================
+// TRADUCCIÓN DEL HTML ESTÁTICO
+// ============================================
+
+/**
+ * Guarda (una sola vez) el texto original en español de un elemento
+ */
+function getOriginal(element) {
+  if (!originalTexts.has(element)) {
+    originalTexts.set(element, { attrs: {} });
+  }
+  return originalTexts.get(element);
+}
+
+/**
+ * Nodo de texto a reemplazar en elementos que también tienen iconos
+ * (ej. <button><i class="fas fa-list"></i> Simple</button>)
+ */
+function findTextNode(element) {
+  return Array.from(element.childNodes)
+    .filter(node => node.nodeType === Node.TEXT_NODE && node.textContent.trim())
+    .pop() || null;
+}
+
+/**
+ * Reemplaza el texto visible de un elemento conservando sus iconos
+ */
+function setElementText(element, text, original) {
+  if (element.children.length === 0) {
+    if (original.text === undefined) original.text = element.textContent.trim();
+    element.textContent = text ?? original.text;
+    return;
+  }
+
+  const node = findTextNode(element);
+  if (!node) return;
+
+  const current = node.textContent.trim();
+  if (original.text === undefined) original.text = current;
+  node.textContent = node.textContent.replace(current, text ?? original.text);
+}
+
+/**
+ * Traduce un elemento marcado con atributos data-i18n*
+ *
+ * data-i18n="clave"                 -> texto
+ * data-i18n-html="clave"            -> HTML del catálogo (texto de confianza)
+ * data-i18n-attr="alt:clave; ..."   -> atributos
+ */
+function translateElement(element) {
+  const original = getOriginal(element);
+  const catalog = MESSAGES[I18nState.language];
+  const isDefault = I18nState.language === I18N_CONFIG.defaultLanguage;
+
+  if (element.dataset.i18n) {
+    setElementText(element, isDefault ? null : catalog[element.dataset.i18n], original);
+  }
+
+  if (element.dataset.i18nHtml) {
+    if (original.html === undefined) original.html = element.innerHTML;
+    element.innerHTML = (!isDefault && catalog[element.dataset.i18nHtml]) || original.html;
+  }
+
+  if (element.dataset.i18nAttr) {
+    element.dataset.i18nAttr.split(';').forEach(pair => {
+      const [attr, key] = pair.split(':').map(part => part.trim());
+      if (!attr || !key) return;
+
+      if (!(attr in original.attrs)) {
+        original.attrs[attr] = element.getAttribute(attr);
+      }
+      element.setAttribute(attr, (!isDefault && catalog[key]) || original.attrs[attr] || '');
+    });
+  }
+}
+
+/**
+ * Traduce todos los elementos marcados dentro de un contenedor
+ *
+ * @param {ParentNode} root - Contenedor (por defecto el documento)
+ */
+function applyTranslations(root = document) {
+  root.querySelectorAll('[data-i18n], [data-i18n-html], [data-i18n-attr]')
+    .forEach(translateElement);
+}
+
+
+// ============================================
+// CAMBIO DE IDIOMA
+// ============================================
+
+/**
+ * Idioma inicial: el guardado, el del navegador o español
+ */
+function detectLanguage() {
+  const saved = Utils.getLocalStorage(I18N_CONFIG.storageKey);
+  if (I18N_CONFIG.languages.includes(saved)) return saved;
+
+  const browser = (navigator.language || '').slice(0, 2).toLowerCase();
+  return I18N_CONFIG.languages.includes(browser) ? browser : I18N_CONFIG.defaultLanguage;
+}
+
+/**
+ * Cambia el idioma de la página y avisa a los módulos suscritos
+ *
+ * @param {string} lang - Código de idioma ("es" o "en")
+ * @param {Object} options
+ * @param {boolean} options.persist - Guardar la elección en localStorage
+ */
+function setLanguage(lang, { persist = true } = {}) {
+  if (!I18N_CONFIG.languages.includes(lang)) {
+    console.warn(`Idioma no soportado: ${lang}`);
+    return;
+  }
+
+  const changed = lang !== I18nState.language;
+  I18nState.language = lang;
+  document.documentElement.lang = lang;
+
+  if (persist) {
+    Utils.setLocalStorage(I18N_CONFIG.storageKey, lang);
+  }
+
+  applyTranslations();
+  updateSwitcher();
+
+  if (changed) {
+    I18nState.listeners.forEach(listener => listener(lang));
+  }
+}
+
+/**
+ * Registra una función a llamar cuando cambia el idioma
+ * (para re-renderizar el contenido generado con JS)
+ *
+ * @param {Function} listener - Recibe el nuevo código de idioma
+ */
+function onLanguageChange(listener) {
+  I18nState.listeners.push(listener);
+}
+
+/**
+ * Marca el botón del idioma activo en el selector
+ */
+function updateSwitcher() {
+  document.querySelectorAll('.lang-switch__btn').forEach(button => {
+    const isActive = button.dataset.lang === I18nState.language;
+    button.classList.toggle('lang-switch__btn--active', isActive);
+    button.setAttribute('aria-pressed', isActive);
+  });
+}
+
+
+// ============================================
+// INICIALIZACIÓN
+// ============================================
+
+/**
+ * Aplica el idioma inicial y conecta el selector de idioma
+ */
+function initI18n() {
+  document.querySelectorAll('.lang-switch__btn').forEach(button => {
+    button.addEventListener('click', () => setLanguage(button.dataset.lang));
+  });
+
+  setLanguage(detectLanguage(), { persist: false });
+
+  console.log(`✅ Idioma inicializado (${I18nState.language})`);
+}
+
+
+// ============================================
+// EXPORTAR API PÚBLICA
+// ============================================
+
+export const I18n = {
+  init: initI18n,
+  t: translate,
+  localize,
+  formatList,
+  apply: applyTranslations,
+  setLanguage,
+  getLanguage: () => I18nState.language,
+  onChange: onLanguageChange,
+  languages: I18N_CONFIG.languages
+};
@@ -1,9 +1,17 @@
 /**
  * MAIN.JS
  * Archivo principal que inicializa todos los módulos del sitio
+ * Es el único script de cada página: importa los módulos comunes y carga
+ * los de cada página solo donde se usan.
  * La Arboleda Club - 2025
  */
 
+import { Utils } from './utils.js';
+import { I18n } from './i18n.js';
+import { Dialog } from './dialog.js';
+import { OpeningHours } from './opening-hours.js';
+import { TableMode } from './table-mode.js';
+
 // ============================================
 // CONFIGURACIÓN GLOBAL
 // ============================================
@@ -71,7 +79,7 @@ function initStickyHeader() {
   const stickyHeader = document.getElementById('stickyHeader');
   if (!stickyHeader) return;
   
-  const handleScroll = debounce(() => {
+  const handleScroll = Utils.debounce(() => {
     if (window.scrollY > APP_CONFIG.stickyHeaderOffset) {
       stickyHeader.classList.add('visible');
     } else {
@@ -180,7 +188,7 @@ function initActiveNavigation() {
   
   if (sections.length === 0 || navLinks.length === 0) return;
   
-  const handleScroll = debounce(() => {
+  const handleScroll = Utils.debounce(() => {
     let current = '';
     
     sections.forEach(section => {
@@ -212,19 +220,35 @@ function initActiveNavigation() {
 // ============================================
 
 /**
- * Precarga imágenes críticas
+ * Precarga imágenes críticas: el fondo del hero y las fotos de los
+ * primeros platos (con las mismas rutas y srcset que usarán las tarjetas)
+ *
+ * @param {Array<Object>} images - { src, srcset, sizes } de las fotos de los
+ *   platos visibles al cargar la página (MenuImages.getSources)
  */
-function preloadCriticalImages() {
-  const criticalImages = [
-    'assets/hero.jpg',
-    'assets/hero-menu.jpg'
-  ];
+function preloadCriticalImages(images = []) {
+  const criticalImages = [...images];
+  
+  // En modo mesa la portada de la carta no se muestra
+  if (document.querySelector('.hero') && !TableMode.isActive()) {
+    criticalImages.push({ src: 'assets/hero.jpg' });
+  }
   
-  criticalImages.forEach(src => {
+  const preloaded = [...document.head.querySelectorAll('link[rel="preload"]')]
+    .map(link => link.getAttribute('href'));
+  
+  criticalImages.forEach(({ src, srcset, sizes }) => {
+    if (preloaded.includes(src)) return;
+    preloaded.push(src);
+    
     const link = document.createElement('link');
     link.rel = 'preload';
     link.as = 'image';
     link.href = src;
+    if (srcset) {
+      link.setAttribute('imagesrcset', srcset);
+      link.setAttribute('imagesizes', sizes);
+    }
     document.head.appendChild(link);
   });
 }
@@ -259,6 +283,31 @@ function initLazyLoading() {
 }
 
 
+/**
+ * Registra el service worker para uso sin conexión
+ */
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+  
+  const register = () => {
+    navigator.serviceWorker.register('sw.js')
+      .then(registration => {
+        console.log('✅ Service worker registrado:', registration.scope);
+      })
+      .catch(error => {
+        console.warn('No se pudo registrar el service worker:', error);
+      });
+  };
+  
+  // Registrar tras la carga para no competir con los recursos de la página
+  if (document.readyState === 'complete') {
+    register();
+  } else {
+    window.addEventListener('load', register);
+  }
+}
+
+
 // ============================================
 // INICIALIZACIÓN DE PÁGINA
 // ============================================
@@ -269,6 +318,15 @@ function initLazyLoading() {
 function initCommonFeatures() {
   console.log('🚀 Inicializando La Arboleda Club...');
   
+  // Idioma (antes de renderizar cualquier texto)
+  I18n.init();
+  
+  // Diálogos (Escape y foco del diálogo de arriba), en todas las páginas
+  Dialog.init();
+  
+  // Indicador "Abierto ahora" (no bloquea el resto de la página)
+  OpeningHours.init();
+  
   // Navegación
   initMobileNav();
   initSmoothScroll();
@@ -278,8 +336,12 @@ function initCommonFeatures() {
   initScrollAnimations();
   
   // Performance
+  preloadCriticalImages();
   initLazyLoading();
   
+  // Modo sin conexión
+  registerServiceWorker();
+  
   console.log('✅ Funcionalidades comunes inicializadas');
 }
 
@@ -289,32 +351,142 @@ function initCommonFeatures() {
 async function initMenuPage() {
   console.log('📋 Inicializando página de menú...');
   
+  const [
+    { MenuModel },
+    { MenuLoader },
+    { MenuImages },
+    { Modal },
+    { MenuSearch },
+    { MenuFilters },
+    { MenuSort },
+    { MenuAvailability },
+    { MenuViews },
+    { Cart },
+    { MenuRouter },
+    { MenuPrint }
+  ] = await Promise.all([
+    import('./menu-model.js'),
+    import('./menu-loader.js'),
+    import('./menu-images.js'),
+    import('./modal.js'),
+    import('./menu-search.js'),
+    import('./menu-filters.js'),
+    import('./menu-sort.js'),
+    import('./menu-availability.js'),
+    import('./menu-views.js'),
+    import('./cart.js'),
+    import('./menu-router.js'),
+    import('./menu-print.js')
+  ]);
+  
   // Sticky header
   initStickyHeader();
   
-  // Sistema de modales
-  if (window.Modal) {
-    window.Modal.init();
+  // Modal de detalle de plato
+  Modal.init();
+  
+  // Vista, orden y "ocultar no disponibles" de la visita anterior
+  MenuModel.restorePreferences();
+  
+  // Modo mesa (QR de la mesa): la carta arranca en la vista simple, que se
+  // muestra más rápido (sin fotos); no cambia la preferencia guardada
+  TableMode.init();
+  if (TableMode.isActive()) {
+    MenuModel.setView('simple', { persist: false });
   }
   
   // Cargar datos del menú
-  if (window.MenuLoader) {
-    await window.MenuLoader.init();
-  }
+  await MenuLoader.init();
+  
+  // Fotos de los primeros platos (la vista simple no las muestra) y
+  // reporte de imágenes faltantes
+  const dishes = MenuModel.state.activeView !== 'simple'
+    ? MenuModel.getVisibleList().slice(0, MenuImages.eagerCount)
+    : [];
+  preloadCriticalImages(dishes.map(plato => MenuImages.getSources(plato, 'card')));
+  MenuImages.init();
+  
+  // Búsqueda
+  MenuSearch.init();
   
   // Sistema de filtros
-  if (window.MenuFilters) {
-    window.MenuFilters.init();
-  }
+  MenuFilters.init();
+  
+  // Orden y rango de precios
+  MenuSort.init();
+  
+  // Platos agotados o fuera de horario
+  MenuAvailability.init();
   
   // Sistema de vistas
-  if (window.MenuViews) {
-    window.MenuViews.init();
-  }
+  MenuViews.init();
+  
+  // Pedido (necesita los datos del menú para los precios)
+  Cart.init();
+  
+  // Estado en la URL (enlaces compartibles)
+  MenuRouter.init();
+  
+  // Carta para imprimir o guardar en PDF
+  MenuPrint.init();
   
   console.log('✅ Página de menú inicializada');
 }
 
+/**
+ * Inicializa funcionalidades específicas de la página de inicio
+ */
+async function initHomePage() {
+  console.log('🏠 Inicializando página de inicio...');
+  
+  const [{ Reservations }, { EventsLoader }] = await Promise.all([
+    import('./reservations.js'),
+    import('./events-loader.js')
+  ]);
+  
+  // Formulario de reservas (valida con el horario de atención)
+  await OpeningHours.init();
+  Reservations.init();
+  
+  // Próximos eventos
+  await EventsLoader.init();
+  
+  console.log('✅ Página de inicio inicializada');
+}
+
+/**
+ * Inicializa el editor de carta (admin.html)
+ */
+async function initAdminPage() {
+  console.log('🛠️ Inicializando editor de carta...');
+  
+  const [{ Modal }, { MenuAdmin }, { MenuImages }] = await Promise.all([
+    import('./modal.js'),
+    import('./admin.js'),
+    import('./menu-images.js')
+  ]);
+  
+  // Modal para la vista previa de los platos
+  Modal.init();
+  
+  await MenuAdmin.init();
+  
+  // Reporte de imágenes faltantes
+  MenuImages.init();
+  
+  console.log('✅ Página de administración inicializada');
+}
+
+/**
+ * Inicializa el generador de códigos QR de mesas (mesas.html)
+ */
+async function initTablesPage() {
+  console.log('🔳 Inicializando códigos QR de mesas...');
+  
+  const { TableQr } = await import('./table-qr.js');
+  TableQr.init();
+}
+
 
 // ============================================
 // AUTO-INICIALIZACIÓN
@@ -329,9 +501,18 @@ function init() {
   
   // Detectar página actual e inicializar funcionalidades específicas
   const isMenuPage = document.getElementById('menuGrid') !== null;
+  const isAdminPage = document.getElementById('adminEditor') !== null;
+  const isTablesPage = document.getElementById('tableQrPage') !== null;
+  const isHomePage = document.getElementById('eventosGrid') !== null;
   
   if (isMenuPage) {
     initMenuPage();
+  } else if (isAdminPage) {
+    initAdminPage();
+  } else if (isTablesPage) {
+    initTablesPage();
+  } else if (isHomePage) {
+    initHomePage();
   }
   
   console.log('✨ La Arboleda Club está lista!');
@@ -0,0 +1,128 @@
+/**
+ * MENU-AVAILABILITY.JS
+ * Disponibilidad de platos en pantalla: insignias, opción de ocultar
+ * y refresco por franja horaria. El cálculo vive en MenuModel.
+ * La Arboleda Club - 2025
+ */
+
+import { I18n } from './i18n.js';
+import { MenuModel } from './menu-model.js';
+import { MenuRender } from './menu-render.js';
+
+// ============================================
+// CONFIGURACIÓN
+// ============================================
+const AVAILABILITY_CONFIG = {
+  refreshInterval: 60 * 1000 // Revisar cambios de franja cada minuto
+};
+
+let availabilityTimer = null;
+let lastSignature = '';
+
+
+// ============================================
+// RENDERIZADO
+// ============================================
+
+/**
+ * Marca un elemento (tarjeta o fila) según la disponibilidad del plato
+ *
+ * @param {HTMLElement} element - Tarjeta o <li> del plato
+ * @param {Object} plato - Plato validado
+ * @param {string} modifier - Clase BEM del estado no disponible
+ */
+function decorateDishElement(element, plato, modifier) {
+  const status = MenuModel.getDishStatus(plato);
+  if (status.available) return;
+
+  element.classList.add(modifier);
+
+  const badge = document.createElement('span');
+  badge.className = `availability-badge availability-badge--${status.reason}`;
+  badge.textContent = status.label;
+  // Tras la imagen en la tarjeta, tras el nombre en la vista simple
+  (element.querySelector('.menu-item__image') || element.firstElementChild).after(badge);
+
+  // No se puede agregar al pedido
+  element.querySelectorAll('.add-to-cart').forEach(button => {
+    button.disabled = true;
+    button.setAttribute('aria-label', `${I18n.localize(plato, 'nombre')}: ${status.label}`);
+  });
+}
+
+
+// ============================================
+// OPCIÓN "OCULTAR NO DISPONIBLES"
+// ============================================
+
+/**
+ * Muestra u oculta los platos no disponibles
+ *
+ * @param {boolean} hide - true para ocultarlos
+ */
+function setHideUnavailable(hide) {
+  MenuModel.setHideUnavailable(hide);
+}
+
+/**
+ * Huella de los platos no disponibles, para detectar cambios de franja
+ */
+function getUnavailableSignature() {
+  const data = MenuModel.state.data;
+  if (!data) return '';
+
+  return Object.values(data)
+    .flat()
+    .filter(plato => !MenuModel.isAvailable(plato))
+    .map(plato => plato.id)
+    .join(',');
+}
+
+/**
+ * Re-renderiza cuando algún plato entra o sale de su franja horaria
+ */
+function checkAvailabilityChanges() {
+  const signature = getUnavailableSignature();
+  if (signature === lastSignature) return;
+
+  lastSignature = signature;
+  MenuRender.renderActiveView();
+}
+
+
+// ============================================
+// INICIALIZACIÓN
+// ============================================
+
+/**
+ * Inicializa la opción de ocultar y el refresco por franja horaria
+ */
+function initAvailability() {
+  const toggle = document.getElementById('hideUnavailable');
+
+  if (toggle) {
+    toggle.checked = MenuModel.state.hideUnavailable;
+    toggle.addEventListener('change', () => setHideUnavailable(toggle.checked));
+  }
+
+  lastSignature = getUnavailableSignature();
+
+  clearInterval(availabilityTimer);
+  availabilityTimer = setInterval(checkAvailabilityChanges, AVAILABILITY_CONFIG.refreshInterval);
+
+  console.log('✅ Disponibilidad de platos inicializada');
+}
+
+
+// ============================================
+// EXPORTAR API PÚBLICA
+// ============================================
+
+export const MenuAvailability = {
+  init: initAvailability,
+  getStatus: MenuModel.getDishStatus,
+  isAvailable: MenuModel.isAvailable,
+  isRuleOpen: MenuModel.isRuleOpen,
+  decorate: decorateDishElement,
+  setHideUnavailable
+};
@@ -1,9 +1,17 @@
 /**
  * MENU-FILTERS.JS
  * Sistema de filtrado de categorías del menú
+ * Los botones cambian el modelo; el re-renderizado lo hace MenuLoader al
+ * recibir el cambio.
  * La Arboleda Club - 2025
  */
 
+import { Utils } from './utils.js';
+import { I18n } from './i18n.js';
+import { MenuModel } from './menu-model.js';
+import { RovingFocus } from './roving-focus.js';
+import { MenuRouter } from './menu-router.js';
+
 // ============================================
 // MANEJO DE FILTROS
 // ============================================
@@ -20,10 +28,15 @@ function initFilters() {
   }
   
   // Delegación de eventos para mejor performance
+  // (Enter y Espacio activan el botón; las flechas las maneja RovingFocus)
   filtersContainer.addEventListener('click', handleFilterClick);
   
-  // También soportar navegación por teclado
-  filtersContainer.addEventListener('keypress', handleFilterKeypress);
+  // Etiquetas de dieta y alérgenos
+  const facetsContainer = document.getElementById('menuFacets');
+  facetsContainer?.addEventListener('click', handleFacetClick);
+  
+  // Botones al día con el modelo (también al volver en el historial)
+  MenuModel.subscribe(syncFilterButtons);
   
   console.log('✅ Sistema de filtros inicializado');
 }
@@ -40,63 +53,101 @@ function handleFilterClick(event) {
 }
 
 /**
- * Maneja la navegación por teclado en filtros
+ * Aplica un filtro de categoría
+ * 
+ * @param {string} category - Categoría o 'all'
+ * @param {Object} options
+ * @param {boolean} options.scroll - Hacer scroll al inicio del menú
  */
-function handleFilterKeypress(event) {
-  if (event.key !== 'Enter' && event.key !== ' ') return;
+function applyFilter(category, { scroll = true } = {}) {
+  // Actualizar estado del menú (los botones y la carta siguen al modelo)
+  category = MenuModel.setCategory(category);
   
-  const button = event.target.closest('.filter-btn');
-  if (!button) return;
+  // Scroll suave al inicio del menú
+  if (scroll) {
+    scrollToMenu();
+  }
   
-  event.preventDefault();
-  const category = button.dataset.category;
-  applyFilter(category);
+  // Anunciar cambio para screen readers
+  announceFilterChange(category);
+  
+  // Reflejar en la URL
+  MenuRouter.push();
 }
 
 /**
- * Aplica un filtro de categoría
+ * Maneja el clic en una etiqueta o en "Limpiar filtros"
  */
-function applyFilter(category) {
-  // Actualizar estado global
-  if (window.MenuLoader && window.MenuLoader.state) {
-    window.MenuLoader.state.activeCategory = category;
+function handleFacetClick(event) {
+  if (event.target.closest('.facet-clear')) {
+    clearAllFilters();
+    return;
   }
   
-  // Actualizar UI de botones
-  updateFilterButtons(category);
+  const button = event.target.closest('.facet-btn');
+  if (!button || button.disabled) return;
   
-  // Re-renderizar el menú con el filtro aplicado
-  if (window.MenuLoader && window.MenuLoader.state.data) {
-    const currentView = window.MenuLoader.state.activeView;
-    
-    if (currentView === 'detailed') {
-      window.MenuLoader.renderDetailedView(
-        window.MenuLoader.state.data, 
-        category
-      );
-    } else {
-      window.MenuLoader.renderSimpleView(
-        window.MenuLoader.state.data, 
-        category
-      );
-    }
-  }
+  toggleTag(button.dataset.tag);
+}
+
+/**
+ * Activa o desactiva una etiqueta de dieta o alérgeno
+ */
+function toggleTag(tag) {
+  const state = MenuModel.state;
+  const isActive = MenuModel.toggleTag(tag);
   
-  // Scroll suave al inicio del menú
-  scrollToMenu();
+  const label = state.tags[tag] ? I18n.localize(state.tags[tag], 'filtro') : tag;
+  Utils.announce(I18n.t(isActive ? 'filters.tagOn' : 'filters.tagOff', { label }));
+}
+
+/**
+ * Quita categoría, etiquetas, rango de precios y búsqueda de una vez
+ */
+function clearAllFilters() {
+  MenuModel.clearFilters();
   
-  // Anunciar cambio para screen readers
-  announceFilterChange(category);
+  Utils.announce(I18n.t('filters.cleared'));
+  MenuRouter.push();
+}
+
+/**
+ * Refleja en los botones los cambios de categoría y etiquetas del modelo
+ *
+ * @param {string[]} changed - Claves del estado que cambiaron
+ * @param {Object} state - Estado del menú
+ */
+function syncFilterButtons(changed, state) {
+  if (changed.includes('activeCategory')) {
+    updateFilterButtons(state.activeCategory);
+  }
+  if (changed.includes('activeTags')) {
+    updateFacetButtons(state.activeTags);
+  }
+}
+
+/**
+ * Actualiza el estado visual de los botones de etiquetas
+ */
+function updateFacetButtons(activeTags) {
+  document.querySelectorAll('.facet-btn').forEach(button => {
+    const isActive = activeTags.includes(button.dataset.tag);
+    button.classList.toggle('facet-btn--active', isActive);
+    button.setAttribute('aria-pressed', isActive);
+  });
 }
 
 /**
  * Actualiza el estado visual de los botones de filtro
+ * El botón activo queda como parada de tabulación de la barra.
  */
 function updateFilterButtons(activeCategory) {
   const allButtons = document.querySelectorAll('.filter-btn');
+  let activeButton = null;
   
   allButtons.forEach(button => {
     const isActive = button.dataset.category === activeCategory;
+    if (isActive) activeButton = button;
     
     // Actualizar clases
     button.classList.toggle('filter-btn--active', isActive);
@@ -104,6 +155,8 @@ function updateFilterButtons(activeCategory) {
     // Actualizar ARIA
     button.setAttribute('aria-pressed', isActive);
   });
+  
+  RovingFocus.sync(document.getElementById('menuFilters'), activeButton);
 }
 
 /**
@@ -130,21 +183,13 @@ function scrollToMenu() {
  * Anuncia cambios de filtro para tecnologías asistivas
  */
 function announceFilterChange(category) {
-  // Crear elemento de anuncio ARIA live
-  let announcer = document.getElementById('filter-announcer');
-  
-  if (!announcer) {
-    announcer = document.createElement('div');
-    announcer.id = 'filter-announcer';
-    announcer.className = 'sr-only';
-    announcer.setAttribute('role', 'status');
-    announcer.setAttribute('aria-live', 'polite');
-    announcer.setAttribute('aria-atomic', 'true');
-    document.body.appendChild(announcer);
+  if (category === 'all') {
+    Utils.announce(I18n.t('filters.showingAll'));
+    return;
   }
   
-  const categoryName = category === 'all' ? 'todos los platos' : category;
-  announcer.textContent = `Mostrando ${categoryName}`;
+  const categoryName = MenuModel.categoryLabel(category);
+  Utils.announce(I18n.t('filters.showing', { category: categoryName }));
 }
 
 /**
@@ -159,7 +204,7 @@ function getActiveCategory() {
  * Resetea los filtros al estado inicial
  */
 function resetFilters() {
-  applyFilter('all');
+  clearAllFilters();
 }
 
 
@@ -167,9 +212,10 @@ function resetFilters() {
 // EXPORTAR API PÚBLICA
 // ============================================
 
-window.MenuFilters = {
+export const MenuFilters = {
   init: initFilters,
   apply: applyFilter,
+  toggleTag,
   reset: resetFilters,
   getActive: getActiveCategory
 };
\ No newline at end of file
@@ -0,0 +1,307 @@
+/**
+ * MENU-IMAGES.JS
+ * Fotos de los platos: imagen provisional por categoría, miniatura borrosa
+ * mientras carga, srcset/WebP y reporte de imágenes faltantes
+ * La Arboleda Club - 2025
+ */
+
+import { Utils } from './utils.js';
+import { MenuModel } from './menu-model.js';
+
+// ============================================
+// CONFIGURACIÓN
+// ============================================
+const IMAGES_CONFIG = {
+  placeholderDir: 'assets/placeholders/',
+  defaultPlaceholder: 'assets/placeholders/plato.svg',
+  // Categorías con imagen provisional propia (assets/placeholders/<categoría>.svg)
+  placeholders: [
+    'entradas', 'pollo', 'carnes', 'pescados', 'pastas',
+    'ensaladas', 'kids', 'sandwiches', 'bebidas', 'cocteles'
+  ],
+  // Ancho en pantalla de cada uso, para el atributo "sizes"
+  sizes: {
+    card: '(max-width: 640px) 50vw, (max-width: 1024px) 33vw, 300px',
+    modal: '(max-width: 640px) 100vw, 600px'
+  },
+  eagerCount: 4, // Primeras tarjetas que se cargan sin lazy loading
+  reportDelay: 1500 // ms sin nuevos fallos antes de imprimir el reporte
+};
+
+// ============================================
+// ESTADO
+// ============================================
+const ImagesState = {
+  webp: null, // Soporte de WebP (se consulta una sola vez, al necesitarlo)
+  missing: new Map(), // id del plato -> { plato, motivo }
+  reportTimer: null
+};
+
+
+// ============================================
+// RUTAS DE LAS IMÁGENES
+// ============================================
+
+/**
+ * Imagen provisional de la categoría del plato
+ *
+ * @param {Object} plato - Plato normalizado
+ * @returns {string}
+ */
+function getPlaceholder(plato) {
+  return IMAGES_CONFIG.placeholders.includes(plato?.categoria)
+    ? `${IMAGES_CONFIG.placeholderDir}${plato.categoria}.svg`
+    : IMAGES_CONFIG.defaultPlaceholder;
+}
+
+/**
+ * Indica si conviene ofrecer versiones WebP
+ */
+function supportsWebp() {
+  if (ImagesState.webp === null) {
+    ImagesState.webp = Utils.supportsFeature('webp');
+  }
+  return ImagesState.webp;
+}
+
+/**
+ * Separa "assets/menu/ceviche.jpg" en ["assets/menu/ceviche", ".jpg"]
+ */
+function splitExtension(path) {
+  const dot = path.lastIndexOf('.');
+  return dot > path.lastIndexOf('/') ? [path.slice(0, dot), path.slice(dot)] : [path, ''];
+}
+
+/**
+ * Rutas de la foto del plato según el bloque "imagenes" del menú
+ *
+ * @param {Object} plato - Plato normalizado
+ * @param {string} usage - Uso de la imagen: 'card' o 'modal'
+ * @returns {{ src: string, srcset: string, sizes: string, placeholder: string }}
+ */
+function getImageSources(plato, usage = 'card') {
+  const placeholder = getPlaceholder(plato);
+
+  if (!plato.imagen) {
+    return { src: placeholder, srcset: '', sizes: '', placeholder };
+  }
+
+  const formats = MenuModel.state.imageFormats || {};
+  const [stem, ext] = splitExtension(plato.imagen);
+  const anchos = formats.anchos || [];
+  const extension = formats.webp && supportsWebp() ? '.webp' : ext;
+
+  return {
+    src: plato.imagen,
+    srcset: anchos.map(ancho => `${stem}-${ancho}${extension} ${ancho}w`).join(', '),
+    sizes: anchos.length > 0 ? IMAGES_CONFIG.sizes[usage] || '' : '',
+    placeholder: formats.miniatura ? `${stem}-lqip${ext}` : placeholder
+  };
+}
+
+/**
+ * Valor url("...") de CSS para una ruta
+ * encodeURI codifica comillas, barras invertidas y saltos de línea, que
+ * cerrarían el string de CSS.
+ */
+function toCssUrl(path) {
+  return `url("${encodeURI(path)}")`;
+}
+
+
+// ============================================
+// CARGA CON IMAGEN PROVISIONAL
+// ============================================
+
+/**
+ * Carga la foto del plato en un <img> dentro de un contenedor .dish-image
+ * Mientras carga, el contenedor muestra la miniatura (o la imagen de la
+ * categoría) desenfocada. Si la foto falla se prueba sin srcset, luego la
+ * imagen de la categoría y por último la imagen por defecto.
+ *
+ * @param {HTMLImageElement} img - Imagen a cargar
+ * @param {Object} plato - Plato normalizado
+ * @param {string} usage - Uso de la imagen: 'card' o 'modal'
+ */
+function setDishImage(img, plato, usage) {
+  const wrapper = img.closest('.dish-image');
+  const sources = getImageSources(plato, usage);
+
+  if (!plato.imagen) recordMissing(plato, 'sin imagen en el menú');
+
+  if (wrapper) {
+    wrapper.classList.add('dish-image--loading');
+    wrapper.classList.remove('dish-image--loaded');
+    wrapper.style.backgroundImage = toCssUrl(sources.placeholder);
+  }
+
+  const markLoaded = () => {
+    wrapper?.classList.replace('dish-image--loading', 'dish-image--loaded');
+  };
+
+  img.onload = markLoaded;
+  img.onerror = () => {
+    if (img.getAttribute('srcset')) {
+      img.removeAttribute('srcset');
+      img.removeAttribute('sizes');
+      img.src = sources.src;
+    } else if (img.getAttribute('src') === sources.src && plato.imagen) {
+      recordMissing(plato, 'no se pudo cargar');
+      img.src = getPlaceholder(plato);
+    } else if (img.getAttribute('src') !== IMAGES_CONFIG.defaultPlaceholder) {
+      img.src = IMAGES_CONFIG.defaultPlaceholder;
+    } else {
+      // Ni la imagen por defecto: queda el fondo del contenedor
+      img.onerror = null;
+      markLoaded();
+    }
+  };
+
+  if (sources.srcset) {
+    img.srcset = sources.srcset;
+    img.sizes = sources.sizes;
+  } else {
+    img.removeAttribute('srcset');
+    img.removeAttribute('sizes');
+  }
+  img.src = sources.src;
+
+  // Imagen ya en caché
+  if (img.complete && img.naturalWidth > 0) markLoaded();
+}
+
+/**
+ * Prioridad de carga según la posición de la foto en la carta
+ * Las primeras se piden de inmediato y con prioridad alta; el resto, al
+ * acercarse a la pantalla.
+ *
+ * @param {HTMLImageElement} img - Foto del plato
+ * @param {boolean} eager - true si está entre las primeras
+ */
+function setImagePriority(img, eager) {
+  img.loading = eager ? 'eager' : 'lazy';
+  img.setAttribute('fetchpriority', eager ? 'high' : 'auto');
+}
+
+/**
+ * Crea la foto de un plato lista para insertar
+ *
+ * @param {Object} plato - Plato normalizado
+ * @param {Object} options - { className, alt, sizes: 'card' | 'modal', eager }
+ * @returns {HTMLElement} Contenedor .dish-image con la imagen
+ */
+function createDishImage(plato, { className = '', alt = '', sizes = 'card', eager = false } = {}) {
+  const wrapper = document.createElement('div');
+  wrapper.className = 'dish-image';
+
+  const img = document.createElement('img');
+  img.className = className;
+  img.alt = alt;
+  img.decoding = 'async';
+  setImagePriority(img, eager);
+
+  wrapper.appendChild(img);
+  setDishImage(img, plato, sizes);
+
+  return wrapper;
+}
+
+
+// ============================================
+// REPORTE DE IMÁGENES FALTANTES
+// ============================================
+
+/**
+ * Registra un plato sin foto y programa el reporte
+ */
+function recordMissing(plato, motivo) {
+  if (ImagesState.missing.has(plato.id)) return;
+
+  ImagesState.missing.set(plato.id, { plato, motivo });
+
+  clearTimeout(ImagesState.reportTimer);
+  ImagesState.reportTimer = setTimeout(printReport, IMAGES_CONFIG.reportDelay);
+}
+
+/**
+ * Imprime en consola la tabla de platos sin foto
+ *
+ * @returns {Array<Object>} Filas del reporte
+ */
+function printReport() {
+  const rows = [...ImagesState.missing.values()].map(({ plato, motivo }) => ({
+    id: plato.id,
+    plato: plato.nombre,
+    categoria: plato.categoria,
+    imagen: plato.imagen || '—',
+    motivo
+  }));
+
+  if (rows.length === 0) return rows;
+
+  console.groupCollapsed(`🖼️ ${rows.length} platos sin foto (se muestra la imagen de su categoría)`);
+  console.table(rows);
+  console.groupEnd();
+
+  return rows;
+}
+
+/**
+ * Indica si el sitio corre en un servidor local de desarrollo
+ */
+function isDevMode() {
+  return ['localhost', '127.0.0.1', ''].includes(window.location.hostname);
+}
+
+/**
+ * Comprueba que exista la foto de cada plato del menú, sin esperar a que
+ * se muestren (en modo desarrollo se ejecuta al cargar la carta)
+ *
+ * @returns {Promise<Array<Object>>} Filas del reporte
+ */
+async function auditImages() {
+  const platos = Object.values(MenuModel.state.data || {}).flat();
+
+  await Promise.all(platos.map(async plato => {
+    if (!plato.imagen) {
+      recordMissing(plato, 'sin imagen en el menú');
+      return;
+    }
+
+    try {
+      const response = await fetch(plato.imagen, { method: 'HEAD' });
+      if (!response.ok) recordMissing(plato, `HTTP ${response.status}`);
+    } catch {
+      recordMissing(plato, 'no se pudo cargar');
+    }
+  }));
+
+  clearTimeout(ImagesState.reportTimer);
+  return printReport();
+}
+
+/**
+ * Inicializa el reporte de imágenes (tras cargar el menú)
+ */
+function initMenuImages() {
+  if (isDevMode()) {
+    auditImages();
+  }
+}
+
+
+// ============================================
+// EXPORTAR API PÚBLICA
+// ============================================
+
+export const MenuImages = {
+  init: initMenuImages,
+  create: createDishImage,
+  set: setDishImage,
+  setPriority: setImagePriority,
+  getSources: getImageSources,
+  getPlaceholder,
+  report: printReport,
+  audit: auditImages,
+  eagerCount: IMAGES_CONFIG.eagerCount
+};
@@ -1,31 +1,17 @@
 /**
  * MENU-LOADER.JS
- * Carga y gestión de datos del menú desde JSON
+ * Carga de la carta en menu.html: estados de carga, error y sin conexión,
+ * y re-renderizado cuando cambia el estado del modelo o el idioma
+ * Los datos y los filtros viven en MenuModel; el renderizado en MenuRender.
  * La Arboleda Club - 2025
  */
 
-// ============================================
-// ESTADO GLOBAL DEL MENÚ
-// ============================================
-const MenuState = {
-  data: null,
-  activeCategory: 'all',
-  activeView: 'detailed', // 'detailed' o 'simple'
-  isLoading: false,
-  error: null
-};
-
-
-// ============================================
-// CONFIGURACIÓN
-// ============================================
-const CONFIG = {
-  jsonUrl: 'data/menu.json',
-  cacheKey: 'arboleda_menu_cache',
-  cacheExpiry: 1000 * 60 * 60 * 24, // 24 horas
-  animationDelay: 50 // ms entre animaciones de items
-};
+import { I18n } from './i18n.js';
+import { MenuModel } from './menu-model.js';
+import { MenuRender } from './menu-render.js';
+import { Cart } from './cart.js';
 
+const MenuState = MenuModel.state;
 
 // ============================================
 // ELEMENTOS DEL DOM
@@ -33,278 +19,74 @@ const CONFIG = {
 const DOM = {
   menuGrid: null,
   menuSimple: null,
-  menuFilters: null,
   loadingState: null,
   errorState: null,
-  
+  offlineBanner: null,
+
   // Método para inicializar todos los elementos
   init() {
     this.menuGrid = document.getElementById('menuGrid');
     this.menuSimple = document.getElementById('menuSimple');
-    this.menuFilters = document.getElementById('menuFilters');
     this.loadingState = document.getElementById('loadingState');
     this.errorState = document.getElementById('errorState');
+    this.offlineBanner = document.getElementById('offlineBanner');
   }
 };
 
 
 // ============================================
-// FUNCIONES DE CACHÉ
+// CARGA Y REVALIDACIÓN
 // ============================================
 
 /**
- * Guarda datos en localStorage con timestamp
+ * Carga el menú mostrando el estado de carga o de error
+ * Si viene del caché, lo revalida contra el servidor sin bloquear.
  */
-function saveToCache(data) {
-  try {
-    const cacheData = {
-      data: data,
-      timestamp: Date.now()
-    };
-    localStorage.setItem(CONFIG.cacheKey, JSON.stringify(cacheData));
-  } catch (error) {
-    console.warn('No se pudo guardar en caché:', error);
-  }
-}
+async function loadMenu() {
+  showLoading();
 
-/**
- * Obtiene datos del caché si no han expirado
- */
-function getFromCache() {
   try {
-    const cached = localStorage.getItem(CONFIG.cacheKey);
-    if (!cached) return null;
-    
-    const cacheData = JSON.parse(cached);
-    const age = Date.now() - cacheData.timestamp;
-    
-    if (age > CONFIG.cacheExpiry) {
-      localStorage.removeItem(CONFIG.cacheKey);
-      return null;
-    }
-    
-    return cacheData.data;
-  } catch (error) {
-    console.warn('Error al leer caché:', error);
-    return null;
-  }
-}
-
-
-// ============================================
-// CARGA DE DATOS
-// ============================================
+    const { data, fromCache } = await MenuModel.load();
 
-/**
- * Carga el menú desde JSON con sistema de caché
- */
-async function loadMenuData() {
-  MenuState.isLoading = true;
-  showLoading();
-  
-  try {
-    // Intentar obtener del caché primero
-    const cachedData = getFromCache();
-    if (cachedData) {
-      console.log('📦 Menú cargado desde caché');
-      MenuState.data = cachedData;
-      MenuState.isLoading = false;
-      return cachedData;
-    }
-    
-    // Si no hay caché, cargar desde el servidor
-    console.log('🌐 Cargando menú desde servidor...');
-    const response = await fetch(CONFIG.jsonUrl);
-    
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-    
-    const data = await response.json();
-    
-    // Validar estructura de datos
-    if (!data || typeof data !== 'object') {
-      throw new Error('Formato de datos inválido');
+    if (fromCache) {
+      revalidateMenu();
+    } else {
+      updateOfflineBanner();
     }
-    
-    // Guardar en caché y estado
-    saveToCache(data);
-    MenuState.data = data;
-    MenuState.isLoading = false;
-    MenuState.error = null;
-    
-    console.log('✅ Menú cargado exitosamente');
+
     return data;
-    
   } catch (error) {
-    console.error('❌ Error al cargar menú:', error);
-    MenuState.isLoading = false;
-    MenuState.error = error.message;
     showError();
     throw error;
   }
 }
 
-
-// ============================================
-// RENDERIZADO DE FILTROS
-// ============================================
-
 /**
- * Genera los botones de filtro de categorías
+ * Revalida el menú y re-renderiza solo si cambió
+ *
+ * @param {Object} options
+ * @param {boolean} options.force - Descarga completa sin petición condicional
+ * @returns {Promise<boolean>} true si los datos cambiaron
  */
-function renderFilters(data) {
-  if (!DOM.menuFilters) return;
-  
-  const categories = Object.keys(data);
-  
-  // Crear botón "Todos"
-  const allButton = createFilterButton('all', 'Todos', true);
-  
-  // Crear botones para cada categoría
-  const categoryButtons = categories.map(cat => {
-    const displayName = capitalizeFirst(cat);
-    return createFilterButton(cat, displayName, false);
-  });
-  
-  // Insertar en el DOM
-  DOM.menuFilters.innerHTML = '';
-  DOM.menuFilters.appendChild(allButton);
-  categoryButtons.forEach(btn => DOM.menuFilters.appendChild(btn));
-}
+async function revalidateMenu({ force = false } = {}) {
+  // Si cambió, el modelo avisa y handleStateChange re-renderiza
+  const changed = await MenuModel.revalidate({ force });
+  updateOfflineBanner();
 
-/**
- * Crea un botón de filtro individual
- */
-function createFilterButton(category, label, isActive) {
-  const button = document.createElement('button');
-  button.className = `filter-btn ${isActive ? 'filter-btn--active' : ''}`;
-  button.textContent = label;
-  button.dataset.category = category;
-  button.setAttribute('aria-label', `Filtrar por ${label}`);
-  button.setAttribute('aria-pressed', isActive);
-  
-  return button;
-}
-
-
-// ============================================
-// RENDERIZADO VISTA DETALLADA
-// ============================================
-
-/**
- * Renderiza platos en vista de tarjetas
- */
-function renderDetailedView(data, category = 'all') {
-  if (!DOM.menuGrid) return;
-  
-  DOM.menuGrid.innerHTML = '';
-  
-  // Determinar qué categorías mostrar
-  const categories = category === 'all' ? Object.keys(data) : [category];
-  
-  // Contador para animaciones escalonadas
-  let itemIndex = 0;
-  
-  categories.forEach(cat => {
-    if (!data[cat]) return;
-    
-    data[cat].forEach(plato => {
-      const card = createMenuCard(plato, itemIndex);
-      DOM.menuGrid.appendChild(card);
-      
-      // Animar con delay
-      setTimeout(() => {
-        card.classList.add('visible');
-      }, itemIndex * CONFIG.animationDelay);
-      
-      itemIndex++;
-    });
-  });
-  
-  // Si no hay items, mostrar mensaje
-  if (itemIndex === 0) {
-    DOM.menuGrid.innerHTML = '<p class="text-center">No hay platos en esta categoría.</p>';
+  if (changed) {
+    hideLoading();
   }
-}
 
-/**
- * Crea una tarjeta de plato individual
- */
-function createMenuCard(plato, index) {
-  const card = document.createElement('article');
-  card.className = 'menu-item';
-  card.tabIndex = 0;
-  card.setAttribute('role', 'button');
-  card.setAttribute('aria-label', `Ver detalles de ${plato.nombre}`);
-  
-  card.innerHTML = `
-    <img 
-      src="${plato.imagen}" 
-      alt="${plato.nombre}"
-      class="menu-item__image"
-      loading="lazy"
-    >
-    <div class="menu-item__content">
-      <h3 class="menu-item__title">${plato.nombre}</h3>
-      <p class="menu-item__price">S/ ${plato.precio}</p>
-    </div>
-  `;
-  
-  // Eventos de clic y teclado
-  card.addEventListener('click', () => openMenuModal(plato));
-  card.addEventListener('keypress', (e) => {
-    if (e.key === 'Enter' || e.key === ' ') {
-      e.preventDefault();
-      openMenuModal(plato);
-    }
-  });
-  
-  return card;
+  return changed;
 }
 
-
-// ============================================
-// RENDERIZADO VISTA SIMPLE
-// ============================================
-
 /**
- * Renderiza platos en vista de lista simple
+ * Fuerza la descarga del menú ignorando todas las cachés
+ *
+ * @returns {Promise<boolean>} true si los datos cambiaron
  */
-function renderSimpleView(data, category = 'all') {
-  if (!DOM.menuSimple) return;
-  
-  DOM.menuSimple.innerHTML = '';
-  
-  // Determinar qué categorías mostrar
-  const categories = category === 'all' ? Object.keys(data) : [category];
-  
-  categories.forEach(cat => {
-    if (!data[cat] || data[cat].length === 0) return;
-    
-    // Título de categoría
-    const title = document.createElement('h3');
-    title.textContent = capitalizeFirst(cat);
-    DOM.menuSimple.appendChild(title);
-    
-    // Lista de platos
-    const list = document.createElement('ul');
-    data[cat].forEach(plato => {
-      const item = document.createElement('li');
-      item.innerHTML = `
-        <span>${plato.nombre}</span>
-        <span>S/ ${plato.precio}</span>
-      `;
-      list.appendChild(item);
-    });
-    
-    DOM.menuSimple.appendChild(list);
-  });
-  
-  // Si no hay items, mostrar mensaje
-  if (categories.length === 0 || !DOM.menuSimple.hasChildNodes()) {
-    DOM.menuSimple.innerHTML = '<p class="text-center">No hay platos en esta categoría.</p>';
-  }
+function refreshMenu() {
+  return revalidateMenu({ force: true });
 }
 
 
@@ -338,6 +120,15 @@ function hideLoading() {
   }
 }
 
+/**
+ * Muestra u oculta el aviso de copia sin conexión según el modelo
+ */
+function updateOfflineBanner() {
+  if (DOM.offlineBanner) {
+    DOM.offlineBanner.classList.toggle('hidden', !MenuState.isOffline);
+  }
+}
+
 function showError() {
   if (DOM.loadingState) {
     DOM.loadingState.classList.add('hidden');
@@ -354,6 +145,28 @@ function showError() {
 }
 
 
+// ============================================
+// RE-RENDERIZADO
+// ============================================
+
+/**
+ * Re-renderiza la carta tras cualquier cambio del modelo
+ * (filtros, búsqueda, orden, vista o datos nuevos)
+ *
+ * @param {string[]} changed - Claves del estado que cambiaron
+ */
+function handleStateChange(changed) {
+  if (!MenuState.data) return;
+
+  if (changed.includes('data')) {
+    MenuRender.renderFilters(MenuState.data);
+    Cart.render();
+  }
+
+  MenuRender.renderActiveView();
+}
+
+
 // ============================================
 // INICIALIZACIÓN
 // ============================================
@@ -364,48 +177,51 @@ function showError() {
 async function initMenuLoader() {
   // Inicializar referencias del DOM
   DOM.init();
-  
+  MenuRender.init();
+
   try {
     // Cargar datos del menú
-    const data = await loadMenuData();
-    
+    const data = await loadMenu();
+
     // Renderizar filtros
-    renderFilters(data);
-    
-    // Renderizar vista inicial (detallada)
-    renderDetailedView(data, MenuState.activeCategory);
-    
+    MenuRender.renderFilters(data);
+
+    // Renderizar vista inicial
+    MenuRender.renderActiveView();
+
     // Ocultar loading
     hideLoading();
-    
+
+    // Desde aquí cada cambio del modelo re-renderiza la carta
+    MenuModel.subscribe(handleStateChange);
+
+    // Re-renderizar textos y nombres de platos al cambiar de idioma
+    I18n.onChange(() => {
+      if (!MenuState.data) return;
+      MenuRender.renderFilters(MenuState.data);
+      MenuRender.renderActiveView();
+    });
+
+    // Al recuperar la conexión, revalidar la copia mostrada
+    window.addEventListener('online', () => {
+      if (MenuState.isOffline) {
+        revalidateMenu();
+      }
+    });
+
     console.log('✅ Menu loader inicializado');
-    
+
   } catch (error) {
     console.error('❌ Error al inicializar menu loader:', error);
   }
 }
 
 
-// ============================================
-// UTILIDADES
-// ============================================
-
-/**
- * Capitaliza la primera letra de una cadena
- */
-function capitalizeFirst(str) {
-  return str.charAt(0).toUpperCase() + str.slice(1);
-}
-
-
 // ============================================
 // EXPORTAR FUNCIONES PÚBLICAS
 // ============================================
 
-// Hacer disponibles globalmente para otros módulos
-window.MenuLoader = {
+export const MenuLoader = {
   init: initMenuLoader,
-  renderDetailedView,
-  renderSimpleView,
-  state: MenuState
-};
\ No newline at end of file
+  refresh: refreshMenu
+};
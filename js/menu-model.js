@@ -0,0 +1,968 @@
+/**
+ * MENU-MODEL.JS
+ * Modelo de la carta sin DOM: carga y caché del JSON, validación,
+ * filtros, búsqueda y orden de los platos. Es el store de la carta: los
+ * cambios pasan por sus acciones y se avisan a los suscriptores.
+ * Se puede probar en Node.
+ * La Arboleda Club - 2025
+ */
+
+import { Utils } from './utils.js';
+import { I18n } from './i18n.js';
+import { MenuSchema } from './menu-schema.js';
+
+// ============================================
+// ESTADO DEL MENÚ
+// ============================================
+const MenuState = {
+  data: null,
+  activeCategory: 'all',
+  activeView: 'detailed', // 'detailed' o 'simple'
+  searchQuery: '', // Texto de la caja de búsqueda
+  tags: {}, // Catálogo de etiquetas de dieta y alérgenos
+  activeTags: [], // Claves de etiquetas seleccionadas en los filtros
+  optionGroups: {}, // Catálogo de grupos de opciones (acompañamientos, extras)
+  sortMode: 'default', // 'default', 'price-asc', 'price-desc', 'name' o 'popular'
+  priceBounds: null, // { min, max } de todos los platos
+  priceRange: null, // { min, max } seleccionado, null si abarca todo
+  categoryNames: {}, // Nombres de categorías traducidos: { en: { pescados: 'Fish' } }
+  imageFormats: null, // Versiones de las fotos (bloque "imagenes" del JSON)
+  hideUnavailable: false, // Ocultar platos agotados o fuera de horario
+  isLoading: false,
+  error: null,
+  report: null, // Reporte de validación del último JSON cargado
+  isRevalidating: false,
+  isOffline: false // true si se muestra una copia guardada sin conexión
+};
+
+
+// ============================================
+// CONFIGURACIÓN
+// ============================================
+const CONFIG = {
+  jsonUrl: 'data/menu.json',
+  // Incrementar en cada despliegue que cambie el menú: invalida el caché
+  // local y la caché HTTP (se envía como ?v= en la URL del JSON)
+  dataVersion: '2025.2',
+  cacheKeyPrefix: 'arboleda_menu_cache',
+  preferencesKey: 'arboleda_menu_preferencias', // Vista, orden y "ocultar no disponibles"
+  cacheExpiry: 1000 * 60 * 60 * 24 * 7, // 7 días: pasado este tiempo no se muestra la copia local
+  offlineHeader: 'X-Arboleda-Offline', // Cabecera que añade sw.js al servir sin red
+  timeZone: 'America/Lima', // Franjas horarias de los platos
+  weekdays: ['dom', 'lun', 'mar', 'mie', 'jue', 'vie', 'sab']
+};
+
+const VIEWS = ['detailed', 'simple'];
+const SORT_MODES = ['default', 'price-asc', 'price-desc', 'name', 'popular'];
+
+// Claves del estado que se recuerdan entre visitas
+const PREFERENCE_KEYS = ['activeView', 'sortMode', 'hideUnavailable'];
+
+// Funciones suscritas a los cambios del estado
+const listeners = new Set();
+
+
+// ============================================
+// FUNCIONES DE CACHÉ
+// ============================================
+
+/**
+ * Clave de localStorage para la versión de datos actual
+ */
+function getCacheKey() {
+  return `${CONFIG.cacheKeyPrefix}_${CONFIG.dataVersion}`;
+}
+
+/**
+ * URL del JSON con la versión de datos para romper la caché HTTP
+ */
+function getMenuUrl() {
+  return `${CONFIG.jsonUrl}?v=${encodeURIComponent(CONFIG.dataVersion)}`;
+}
+
+/**
+ * Guarda datos en localStorage con timestamp y validadores HTTP
+ */
+function saveToCache(data, validators = {}) {
+  try {
+    const cacheData = {
+      data: data,
+      etag: validators.etag || null,
+      lastModified: validators.lastModified || null,
+      timestamp: Date.now()
+    };
+    localStorage.setItem(getCacheKey(), JSON.stringify(cacheData));
+  } catch (error) {
+    console.warn('No se pudo guardar en caché:', error);
+  }
+}
+
+/**
+ * Obtiene la entrada del caché si no ha expirado
+ *
+ * @returns {Object|null} { data, etag, lastModified, timestamp }
+ */
+function getFromCache() {
+  try {
+    const cached = localStorage.getItem(getCacheKey());
+    if (!cached) return null;
+
+    const cacheData = JSON.parse(cached);
+    const age = Date.now() - cacheData.timestamp;
+
+    if (age > CONFIG.cacheExpiry) {
+      clearCache();
+      return null;
+    }
+
+    return cacheData;
+  } catch (error) {
+    console.warn('Error al leer caché:', error);
+    return null;
+  }
+}
+
+/**
+ * Elimina el caché actual
+ */
+function clearCache() {
+  try {
+    localStorage.removeItem(getCacheKey());
+  } catch (error) {
+    console.warn('No se pudo limpiar el caché:', error);
+  }
+}
+
+/**
+ * Elimina cachés de versiones de datos anteriores
+ */
+function purgeOldCaches() {
+  try {
+    Object.keys(localStorage)
+      .filter(key => key.startsWith(CONFIG.cacheKeyPrefix) && key !== getCacheKey())
+      .forEach(key => localStorage.removeItem(key));
+  } catch (error) {
+    console.warn('No se pudieron limpiar cachés antiguos:', error);
+  }
+}
+
+
+// ============================================
+// CARGA DE DATOS
+// ============================================
+
+/**
+ * Carga el menú con estrategia stale-while-revalidate
+ * Si hay copia local se devuelve al instante con fromCache: true y quien
+ * llama la revalida en segundo plano (revalidateMenu). El documento se
+ * valida con MenuSchema antes de usarse, venga del caché o del servidor.
+ *
+ * @returns {Promise<{data: Object, fromCache: boolean}>}
+ */
+async function loadMenuData() {
+  MenuState.isLoading = true;
+  purgeOldCaches();
+
+  try {
+    // Intentar obtener del caché primero
+    const cached = getFromCache();
+    if (cached) {
+      try {
+        const data = applyMenuDocument(cached.data);
+        console.log('📦 Menú cargado desde caché, revalidando...');
+        return { data, fromCache: true };
+      } catch (error) {
+        // Caché con un esquema antiguo o corrupto: se descarta
+        console.warn('Caché del menú inválido, se descarta:', error.message);
+        clearCache();
+      }
+    }
+
+    // Si no hay caché, cargar desde el servidor
+    console.log('🌐 Cargando menú desde servidor...');
+    const { doc, validators, offline } = await fetchMenuDocument();
+
+    // Validar estructura de datos (lanza si no es utilizable)
+    const data = applyMenuDocument(doc);
+    MenuState.isOffline = offline;
+
+    // Guardar en caché el documento original
+    saveToCache(doc, validators);
+
+    console.log('✅ Menú cargado exitosamente');
+    return { data, fromCache: false };
+
+  } catch (error) {
+    console.error('❌ Error al cargar menú:', error);
+    MenuState.isLoading = false;
+    MenuState.error = error.message;
+    throw error;
+  }
+}
+
+/**
+ * Descarga el documento del menú desde el servidor
+ *
+ * @param {Object} options
+ * @param {Object} options.cached - Entrada de caché para petición condicional
+ * @param {boolean} options.force - Ignorar cachés HTTP intermedias
+ * @returns {Promise<{doc: Object|null, validators: Object, notModified: boolean, offline: boolean}>}
+ */
+async function fetchMenuDocument({ cached = null, force = false } = {}) {
+  const headers = {};
+  if (cached?.etag) headers['If-None-Match'] = cached.etag;
+  if (cached?.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+  const response = await fetch(getMenuUrl(), {
+    headers,
+    cache: force ? 'reload' : 'no-cache'
+  }).catch(error => {
+    // fetch solo rechaza sin red (TypeError); los demás errores no son de conexión
+    throw Object.assign(error, { offline: true });
+  });
+
+  const validators = {
+    etag: response.headers.get('ETag'),
+    lastModified: response.headers.get('Last-Modified')
+  };
+  const offline = response.headers.get(CONFIG.offlineHeader) === '1';
+
+  if (response.status === 304) {
+    return { doc: null, validators, notModified: true, offline };
+  }
+
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+
+  const doc = await response.json();
+  return { doc, validators, notModified: false, offline };
+}
+
+/**
+ * Revalida el menú contra el servidor y aplica el documento solo si cambió
+ * Si falla conserva la copia local; solo sin red deja MenuState.isOffline
+ * en true (un documento no válido del servidor no es un problema de conexión).
+ *
+ * @param {Object} options
+ * @param {boolean} options.force - Descarga completa sin petición condicional
+ * @returns {Promise<boolean>} true si los datos cambiaron
+ */
+async function revalidateMenu({ force = false } = {}) {
+  if (MenuState.isRevalidating) return false;
+  MenuState.isRevalidating = true;
+
+  try {
+    const cached = getFromCache();
+    const { doc, validators, notModified, offline } = await fetchMenuDocument({
+      cached: force ? null : cached,
+      force
+    });
+
+    MenuState.isOffline = offline;
+
+    // La copia del service worker no es más reciente que la local
+    if (offline && cached) {
+      return false;
+    }
+
+    if (notModified) {
+      // Refrescar el timestamp para que la copia siga vigente
+      saveToCache(cached.data, cached);
+      console.log('✅ Menú al día (304)');
+      return false;
+    }
+
+    // Comparar contenido por si el servidor no envía ETag/Last-Modified
+    const changed = !cached || JSON.stringify(cached.data) !== JSON.stringify(doc);
+
+    if (!changed) {
+      saveToCache(doc, validators);
+      console.log('✅ Menú al día');
+      return false;
+    }
+
+    applyMenuDocument(doc);
+    saveToCache(doc, validators);
+
+    console.log('🔄 Menú actualizado desde el servidor');
+    return true;
+
+  } catch (error) {
+    // Se sigue mostrando la copia local; solo sin red se avisa de que está desconectada
+    if (error.offline) {
+      console.warn('Sin conexión, no se pudo revalidar el menú:', error.message);
+      MenuState.isOffline = true;
+    } else {
+      console.error('❌ Error al revalidar el menú:', error);
+    }
+    return false;
+  } finally {
+    MenuState.isRevalidating = false;
+  }
+}
+
+/**
+ * Valida un documento del menú y lo guarda en el estado
+ *
+ * @param {Object} doc - Documento JSON con schemaVersion y categorias
+ * @returns {Object} Categorías validadas
+ */
+function applyMenuDocument(doc) {
+  const { data, tags, optionGroups, categoryNames, imageFormats, report } = MenuSchema.validate(doc);
+  MenuSchema.logReport(report);
+
+  MenuState.data = data;
+  MenuState.tags = tags;
+  MenuState.optionGroups = optionGroups;
+  MenuState.categoryNames = categoryNames;
+  MenuState.imageFormats = imageFormats;
+  MenuState.activeTags = MenuState.activeTags.filter(tag => tags[tag]);
+  MenuState.priceBounds = getPriceBounds(data);
+  MenuState.priceRange = clampPriceRange(MenuState.priceRange, MenuState.priceBounds);
+  MenuState.report = report;
+  MenuState.isLoading = false;
+  MenuState.error = null;
+
+  // Si la categoría activa ya no existe (p. ej. tras una actualización), volver a "Todos"
+  if (!data[MenuState.activeCategory]) {
+    MenuState.activeCategory = 'all';
+  }
+
+  notify(['data', 'tags', 'activeTags', 'activeCategory', 'priceBounds', 'priceRange']);
+
+  return data;
+}
+
+
+// ============================================
+// DISPONIBILIDAD
+// ============================================
+// Las horas se calculan siempre en America/Lima, no con el reloj del dispositivo.
+
+/**
+ * Convierte "HH:MM" a minutos desde la medianoche
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Indica si una regla de disponibilidad se cumple en un instante
+ *
+ * @param {Object} rule - { dias, desde, hasta } validada por MenuSchema
+ * @param {Date} date - Instante a evaluar
+ * @returns {boolean}
+ */
+function isRuleOpen(rule, date = new Date()) {
+  if (!rule) return true;
+
+  const { weekday, hours, minutes } = Utils.getZonedTime(date, CONFIG.timeZone);
+  const today = CONFIG.weekdays[weekday];
+  const yesterday = CONFIG.weekdays[(weekday + 6) % 7];
+  const now = hours * 60 + minutes;
+
+  const dayAllowed = day => !rule.dias || rule.dias.includes(day);
+
+  if (rule.desde === null) {
+    return dayAllowed(today);
+  }
+
+  const desde = toMinutes(rule.desde);
+  const hasta = toMinutes(rule.hasta);
+
+  if (desde <= hasta) {
+    return dayAllowed(today) && now >= desde && now < hasta;
+  }
+
+  // Franja que cruza la medianoche: la madrugada pertenece al día anterior
+  return (dayAllowed(today) && now >= desde) || (dayAllowed(yesterday) && now < hasta);
+}
+
+/**
+ * Describe una regla para mostrarla al cliente
+ * Ej: "Solo sáb y dom", "Disponible de 16:00 a 23:00", "Solo vie de 22:00 a 02:00"
+ */
+function describeRule(rule) {
+  const hours = { from: rule.desde, to: rule.hasta };
+
+  if (!rule.dias) {
+    return I18n.t('availability.hours', hours);
+  }
+
+  const days = I18n.formatList(rule.dias.map(dia => I18n.t(`days.${dia}`)));
+
+  return rule.desde !== null
+    ? I18n.t('availability.daysHours', { days, ...hours })
+    : I18n.t('availability.days', { days });
+}
+
+/**
+ * Estado de disponibilidad de un plato
+ *
+ * @param {Object} plato - Plato validado
+ * @param {Date} date - Instante a evaluar (por defecto ahora)
+ * @returns {{ available: boolean, reason: string|null, label: string }}
+ */
+function getDishStatus(plato, date = new Date()) {
+  if (plato.agotado) {
+    return { available: false, reason: 'agotado', label: I18n.t('availability.soldOut') };
+  }
+
+  if (plato.disponibilidad && !isRuleOpen(plato.disponibilidad, date)) {
+    return {
+      available: false,
+      reason: 'horario',
+      label: describeRule(plato.disponibilidad)
+    };
+  }
+
+  return { available: true, reason: null, label: '' };
+}
+
+/**
+ * Indica si un plato se puede pedir ahora
+ */
+function isDishAvailable(plato, date = new Date()) {
+  return getDishStatus(plato, date).available;
+}
+
+
+// ============================================
+// FILTRADO COMÚN A AMBAS VISTAS
+// ============================================
+
+/**
+ * Platos de una categoría que pasan los filtros activos, ya ordenados
+ *
+ * @param {Object} data - Categorías del menú
+ * @param {string} cat - Categoría
+ * @param {string[]} tags - Etiquetas a aplicar (por defecto las activas)
+ * @returns {Object[]}
+ */
+function getVisibleDishes(data, cat, tags = MenuState.activeTags) {
+  let platos = (data[cat] || [])
+    .filter(plato => matchesTags(plato, tags))
+    .filter(matchesPriceRange);
+
+  if (MenuState.hideUnavailable) {
+    platos = platos.filter(plato => isDishAvailable(plato));
+  }
+
+  platos = filterBySearch(platos);
+
+  return sortDishes(platos, MenuState.sortMode);
+}
+
+/**
+ * Ordena una lista de platos sin modificar la original
+ * 'default' conserva el orden del JSON; los empates también lo conservan.
+ *
+ * @param {Object[]} platos - Platos a ordenar
+ * @param {string} mode - Modo de orden
+ * @returns {Object[]}
+ */
+function sortDishes(platos, mode) {
+  const comparators = {
+    'price-asc': (a, b) => a.precioValor - b.precioValor,
+    'price-desc': (a, b) => b.precioValor - a.precioValor,
+    'name': (a, b) => I18n.localize(a, 'nombre')
+      .localeCompare(I18n.localize(b, 'nombre'), I18n.getLanguage(), { sensitivity: 'base' }),
+    'popular': (a, b) => (b.popularidad ?? -1) - (a.popularidad ?? -1)
+  };
+
+  const compare = comparators[mode];
+  return compare ? [...platos].sort(compare) : platos;
+}
+
+/**
+ * Indica si el precio del plato está dentro del rango seleccionado
+ */
+function matchesPriceRange(plato) {
+  const range = MenuState.priceRange;
+  if (!range) return true;
+
+  return plato.precioValor >= range.min && plato.precioValor <= range.max;
+}
+
+/**
+ * Precio mínimo y máximo de todo el menú (en soles enteros)
+ */
+function getPriceBounds(data) {
+  const precios = Object.values(data).flat().map(plato => plato.precioValor);
+
+  return {
+    min: Math.floor(Math.min(...precios)),
+    max: Math.ceil(Math.max(...precios))
+  };
+}
+
+/**
+ * Ajusta un rango de precios a los límites del menú
+ * Devuelve null si el rango abarca todo (sin filtro de precio).
+ */
+function clampPriceRange(range, bounds) {
+  if (!range || !bounds) return null;
+
+  const min = Math.max(bounds.min, Math.min(range.min, bounds.max));
+  const max = Math.min(bounds.max, Math.max(range.max, min));
+
+  if (min === bounds.min && max === bounds.max) return null;
+  return { min, max };
+}
+
+/**
+ * Indica si un plato cumple todas las etiquetas seleccionadas
+ * Las etiquetas de dieta exigen que el plato la tenga; las de tipo
+ * "contiene" (alérgenos, alcohol) exigen que NO la tenga.
+ */
+function matchesTags(plato, tags) {
+  return tags.every(key => {
+    const tag = MenuState.tags[key];
+    if (!tag) return true;
+
+    const hasTag = plato.etiquetas.includes(key);
+    return tag.tipo === 'contiene' ? !hasTag : hasTag;
+  });
+}
+
+/**
+ * Categorías que se muestran con la categoría activa
+ */
+function getActiveCategories() {
+  return MenuState.activeCategory === 'all'
+    ? Object.keys(MenuState.data)
+    : [MenuState.activeCategory];
+}
+
+/**
+ * Busca un plato por su id en todas las categorías
+ *
+ * @param {string} id - Id estable del plato
+ * @returns {Object|null}
+ */
+function findDish(id) {
+  if (!MenuState.data) return null;
+
+  return Object.values(MenuState.data)
+    .flat()
+    .find(plato => plato.id === id) || null;
+}
+
+/**
+ * Platos visibles en el orden en que se muestran (categoría activa,
+ * filtros, búsqueda y orden). El modal recorre esta lista.
+ *
+ * @returns {Object[]}
+ */
+function getVisibleDishList() {
+  if (!MenuState.data) return [];
+
+  return getActiveCategories().flatMap(cat => getVisibleDishes(MenuState.data, cat));
+}
+
+/**
+ * Cuenta los platos visibles con la categoría, búsqueda y etiquetas activas
+ *
+ * @param {string[]} tags - Etiquetas a aplicar (por defecto las activas)
+ * @returns {number}
+ */
+function countVisibleDishes(tags = MenuState.activeTags) {
+  if (!MenuState.data) return 0;
+
+  return getActiveCategories().reduce((total, cat) => {
+    return total + getVisibleDishes(MenuState.data, cat, tags).length;
+  }, 0);
+}
+
+/**
+ * Indica si hay algún filtro activo (categoría, etiquetas, precio o búsqueda)
+ */
+function hasActiveFilters() {
+  return MenuState.activeCategory !== 'all' ||
+    MenuState.activeTags.length > 0 ||
+    MenuState.priceRange !== null ||
+    getActiveQuery() !== '';
+}
+
+
+// ============================================
+// BÚSQUEDA
+// ============================================
+
+/**
+ * Normaliza un texto con la misma regla que Utils.slugify
+ * ("Huancaína" -> "huancaina", "Chicharrón de Pollo" -> "chicharron-de-pollo")
+ *
+ * @param {string} text - Texto a normalizar
+ * @returns {string}
+ */
+function normalizeText(text) {
+  return Utils.slugify(text || '');
+}
+
+/**
+ * Divide la búsqueda en términos normalizados
+ *
+ * @param {string} query - Texto escrito por el usuario
+ * @returns {string[]}
+ */
+function getSearchTerms(query) {
+  return (query || '')
+    .split(/\s+/)
+    .map(normalizeText)
+    .filter(Boolean);
+}
+
+/**
+ * Indica si un plato contiene todos los términos en nombre o descripción
+ * Se busca en español y en el idioma activo ("chicken" o "pollo").
+ *
+ * @param {Object} plato - Plato del menú
+ * @param {string} query - Búsqueda actual
+ * @returns {boolean}
+ */
+function matchesSearch(plato, query) {
+  const terms = getSearchTerms(query);
+  if (terms.length === 0) return true;
+
+  const haystack = normalizeText([
+    plato.nombre,
+    plato.descripcion,
+    I18n.localize(plato, 'nombre'),
+    I18n.localize(plato, 'descripcion')
+  ].join(' '));
+  return terms.every(term => haystack.includes(term));
+}
+
+/**
+ * Filtra una lista de platos con la búsqueda activa
+ *
+ * @param {Object[]} platos - Platos de una categoría
+ * @returns {Object[]}
+ */
+function filterBySearch(platos = []) {
+  const query = getActiveQuery();
+  if (!query) return platos;
+
+  return platos.filter(plato => matchesSearch(plato, query));
+}
+
+/**
+ * Búsqueda activa, sin espacios sobrantes
+ */
+function getActiveQuery() {
+  return MenuState.searchQuery.trim();
+}
+
+/**
+ * Busca los rangos del texto original que coinciden con los términos
+ * Se normaliza carácter a carácter para poder volver a las posiciones
+ * originales (las tildes desaparecen pero los índices se conservan).
+ *
+ * @param {string} text - Texto original
+ * @param {string[]} terms - Términos normalizados
+ * @returns {Array<[number, number]>} Rangos [inicio, fin) ordenados y fusionados
+ */
+function findMatchRanges(text, terms) {
+  let normalized = '';
+  const indexMap = [];
+
+  Array.from(text).forEach((char, i) => {
+    const base = char
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '');
+
+    // Mismas reglas que slugify: espacios a guion y sin caracteres especiales
+    let mapped = /\s/.test(base) ? '-' : base.replace(/[^\w-]/g, '');
+    if (mapped === '-' && normalized.endsWith('-')) mapped = '';
+
+    for (let k = 0; k < mapped.length; k++) {
+      normalized += mapped[k];
+      indexMap.push(i);
+    }
+  });
+
+  const chars = Array.from(text);
+  const ranges = [];
+
+  terms.forEach(term => {
+    let from = normalized.indexOf(term);
+    while (from !== -1) {
+      const start = indexMap[from];
+      const end = indexMap[from + term.length - 1] + 1;
+      ranges.push([start, end]);
+      from = normalized.indexOf(term, from + term.length);
+    }
+  });
+
+  ranges.sort((a, b) => a[0] - b[0]);
+
+  // Fusionar rangos solapados y convertir a índices de la cadena original
+  return ranges
+    .reduce((merged, range) => {
+      const last = merged[merged.length - 1];
+      if (last && range[0] <= last[1]) {
+        last[1] = Math.max(last[1], range[1]);
+      } else {
+        merged.push([...range]);
+      }
+      return merged;
+    }, [])
+    .map(([start, end]) => [
+      chars.slice(0, start).join('').length,
+      chars.slice(0, end).join('').length
+    ]);
+}
+
+
+// ============================================
+// SUSCRIPCIONES
+// ============================================
+
+/**
+ * Registra una función a llamar cada vez que cambia el estado
+ *
+ * @param {Function} listener - Recibe las claves cambiadas y el estado: (changed, state)
+ * @returns {Function} Cancela la suscripción
+ */
+function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Avisa a los suscriptores; el error de uno no impide avisar a los demás
+ */
+function notify(changed) {
+  listeners.forEach(listener => {
+    try {
+      listener(changed, MenuState);
+    } catch (error) {
+      console.error('Error en un suscriptor del menú:', error);
+    }
+  });
+}
+
+/**
+ * Aplica un cambio al estado y avisa solo si algo cambió
+ *
+ * @param {Object} patch - Claves del estado con su nuevo valor
+ * @returns {string[]} Claves que cambiaron
+ */
+function update(patch) {
+  const changed = Object.keys(patch)
+    .filter(key => JSON.stringify(MenuState[key]) !== JSON.stringify(patch[key]));
+
+  if (changed.length === 0) return changed;
+
+  Object.assign(MenuState, patch);
+  notify(changed);
+  return changed;
+}
+
+
+// ============================================
+// PREFERENCIAS
+// ============================================
+
+/**
+ * Recupera la vista, el orden y "ocultar no disponibles" de la visita anterior
+ * Se llama antes de cargar la carta; los valores no válidos se ignoran.
+ */
+function restorePreferences() {
+  const saved = Utils.getLocalStorage(CONFIG.preferencesKey, {}) || {};
+
+  if (VIEWS.includes(saved.activeView)) MenuState.activeView = saved.activeView;
+  if (SORT_MODES.includes(saved.sortMode)) MenuState.sortMode = saved.sortMode;
+  if (typeof saved.hideUnavailable === 'boolean') MenuState.hideUnavailable = saved.hideUnavailable;
+}
+
+/**
+ * Guarda las preferencias actuales
+ */
+function savePreferences() {
+  const preferences = Object.fromEntries(PREFERENCE_KEYS.map(key => [key, MenuState[key]]));
+  Utils.setLocalStorage(CONFIG.preferencesKey, preferences);
+}
+
+/**
+ * Aplica un cambio y guarda las preferencias si se pide y algo cambió
+ */
+function updatePreference(patch, persist) {
+  const changed = update(patch);
+  if (persist && changed.length > 0) {
+    savePreferences();
+  }
+}
+
+
+// ============================================
+// ACCIONES
+// ============================================
+// Cambian el estado y avisan a los suscriptores, que re-renderizan lo
+// que corresponda (ver MenuLoader). Quien llama solo se ocupa de lo propio
+// de la acción del usuario: anuncios, scroll o historial.
+
+/**
+ * Cambia la categoría activa; una categoría que no existe vuelve a "Todos"
+ *
+ * @param {string} category - Categoría o 'all'
+ * @returns {string} Categoría aplicada
+ */
+function setCategory(category) {
+  const exists = category === 'all' || Boolean(MenuState.data?.[category]);
+  update({ activeCategory: exists ? category : 'all' });
+  return MenuState.activeCategory;
+}
+
+/**
+ * Cambia la vista activa ('detailed' o 'simple')
+ *
+ * @param {string} view - Vista
+ * @param {Object} options
+ * @param {boolean} options.persist - Recordarla en la próxima visita
+ * @returns {string} Vista aplicada
+ */
+function setView(view, { persist = true } = {}) {
+  if (VIEWS.includes(view)) {
+    updatePreference({ activeView: view }, persist);
+  }
+  return MenuState.activeView;
+}
+
+/**
+ * Cambia el texto de búsqueda
+ */
+function setSearch(query) {
+  update({ searchQuery: query || '' });
+}
+
+/**
+ * Cambia el modo de orden
+ *
+ * @param {string} mode - Modo de orden
+ * @param {Object} options
+ * @param {boolean} options.persist - Recordarlo en la próxima visita
+ */
+function setSortMode(mode, { persist = true } = {}) {
+  if (SORT_MODES.includes(mode)) {
+    updatePreference({ sortMode: mode }, persist);
+  }
+}
+
+/**
+ * Cambia el rango de precios activo
+ *
+ * @param {number} min - Precio mínimo
+ * @param {number} max - Precio máximo
+ */
+function setPriceRange(min, max) {
+  update({ priceRange: clampPriceRange({ min, max }, MenuState.priceBounds) });
+}
+
+/**
+ * Activa o desactiva una etiqueta de dieta o alérgeno
+ *
+ * @param {string} tag - Clave de la etiqueta
+ * @returns {boolean} true si la etiqueta quedó activa
+ */
+function toggleTag(tag) {
+  const isActive = MenuState.activeTags.includes(tag);
+  update({
+    activeTags: isActive
+      ? MenuState.activeTags.filter(key => key !== tag)
+      : [...MenuState.activeTags, tag]
+  });
+  return !isActive;
+}
+
+/**
+ * Quita categoría, etiquetas, rango de precios y búsqueda
+ */
+function clearFilters() {
+  update({
+    activeCategory: 'all',
+    activeTags: [],
+    priceRange: null,
+    searchQuery: ''
+  });
+}
+
+/**
+ * Muestra u oculta los platos agotados o fuera de horario
+ *
+ * @param {boolean} hide - true para ocultarlos
+ * @param {Object} options
+ * @param {boolean} options.persist - Recordarlo en la próxima visita
+ */
+function setHideUnavailable(hide, { persist = true } = {}) {
+  updatePreference({ hideUnavailable: Boolean(hide) }, persist);
+}
+
+
+// ============================================
+// UTILIDADES
+// ============================================
+
+/**
+ * Nombre visible de una categoría en el idioma activo
+ * Sin traducción en el JSON se usa la clave capitalizada ("pescados" -> "Pescados").
+ */
+function getCategoryLabel(cat) {
+  return MenuState.categoryNames[I18n.getLanguage()]?.[cat] || Utils.capitalizeWords(cat);
+}
+
+
+// ============================================
+// EXPORTAR API PÚBLICA
+// ============================================
+
+export const MenuModel = {
+  state: MenuState,
+
+  // Carga
+  load: loadMenuData,
+  revalidate: revalidateMenu,
+  refresh: () => revalidateMenu({ force: true }),
+  fetchDocument: fetchMenuDocument,
+  applyDocument: applyMenuDocument,
+
+  // Consultas
+  getVisibleDishes,
+  getVisibleList: getVisibleDishList,
+  countVisible: countVisibleDishes,
+  findDish,
+  sortDishes,
+  matchesTags,
+  getPriceBounds,
+  clampPriceRange,
+  hasActiveFilters,
+  categoryLabel: getCategoryLabel,
+  getDishStatus,
+  isAvailable: isDishAvailable,
+  isRuleOpen,
+
+  // Búsqueda
+  getActiveQuery,
+  getSearchTerms,
+  matchesSearch,
+  findMatchRanges,
+  normalizeText,
+
+  // Suscripciones y preferencias
+  subscribe,
+  restorePreferences,
+
+  // Acciones
+  setCategory,
+  setView,
+  setSearch,
+  setSortMode,
+  setPriceRange,
+  toggleTag,
+  clearFilters,
+  setHideUnavailable
+};
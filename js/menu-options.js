@@ -0,0 +1,180 @@
+/**
+ * MENU-OPTIONS.JS
+ * Tamaños (variantes) y grupos de opciones de los platos
+ * La Arboleda Club - 2025
+ */
+
+import { Utils } from './utils.js';
+import { I18n } from './i18n.js';
+import { MenuModel } from './menu-model.js';
+
+// ============================================
+// SELECCIÓN DEL CLIENTE
+// ============================================
+
+// Una selección indica el tamaño elegido y los ítems marcados en cada grupo:
+// { variante: 'jarra', opciones: { acompanamiento: ['arroz'], extras: ['huevo-frito'] } }
+
+/**
+ * Grupos de opciones del plato, en el orden del JSON
+ *
+ * @param {Object} plato - Plato normalizado
+ * @returns {Array<Object>} Grupos con su clave en "key"
+ */
+function getOptionGroups(plato) {
+  const catalog = MenuModel.state.optionGroups;
+
+  return (plato.opciones || [])
+    .filter(key => catalog[key])
+    .map(key => ({ key, ...catalog[key] }));
+}
+
+/**
+ * Indica si el cliente debe elegir algo antes de agregar el plato
+ * (un tamaño o una opción obligatoria)
+ */
+function needsChoice(plato) {
+  return (plato.variantes || []).length > 0 ||
+    getOptionGroups(plato).some(group => group.tipo === 'unica');
+}
+
+/**
+ * Selección inicial: el primer tamaño y ningún ítem marcado
+ * Las opciones obligatorias las elige el cliente de forma explícita.
+ */
+function getDefaultSelection(plato) {
+  return {
+    variante: plato.variantes?.[0]?.id || null,
+    opciones: {}
+  };
+}
+
+/**
+ * Ajusta una selección (p. ej. guardada en el pedido) al menú vigente
+ * Descarta ítems y grupos que ya no existen.
+ *
+ * @returns {Object|null} Selección válida o null si su tamaño ya no existe
+ */
+function normalizeSelection(plato, seleccion = {}) {
+  const variantes = plato.variantes || [];
+  let variante = null;
+
+  if (variantes.length > 0) {
+    variante = variantes.some(v => v.id === seleccion?.variante) ? seleccion.variante : null;
+    if (!variante) return null;
+  }
+
+  const opciones = {};
+  getOptionGroups(plato).forEach(group => {
+    const chosen = (seleccion?.opciones?.[group.key] || [])
+      .filter(id => group.items.some(item => item.id === id));
+
+    if (chosen.length > 0) {
+      opciones[group.key] = group.tipo === 'unica' ? chosen.slice(0, 1) : chosen;
+    }
+  });
+
+  return { variante, opciones };
+}
+
+/**
+ * Grupos obligatorios sin elegir
+ */
+function getMissingGroups(plato, seleccion) {
+  return getOptionGroups(plato)
+    .filter(group => group.tipo === 'unica' && !seleccion?.opciones?.[group.key]?.length);
+}
+
+
+// ============================================
+// PRECIOS
+// ============================================
+
+/**
+ * Precio de una unidad con la selección: tamaño (o precio base) más recargos
+ *
+ * @returns {number}
+ */
+function getSelectionPrice(plato, seleccion) {
+  const variante = plato.variantes?.find(v => v.id === seleccion?.variante);
+  let total = variante ? variante.precioValor : plato.precioValor;
+
+  getOptionGroups(plato).forEach(group => {
+    (seleccion?.opciones?.[group.key] || []).forEach(id => {
+      const item = group.items.find(option => option.id === id);
+      if (item) total += item.precioValor;
+    });
+  });
+
+  return total;
+}
+
+/**
+ * Precio para tarjetas y enlaces: "S/ 14.00" o "Desde S/ 6.00" con tamaños
+ */
+function getPriceLabel(plato) {
+  const price = Utils.formatPrice(plato.precioValor);
+  return (plato.variantes || []).length > 1
+    ? I18n.t('options.from', { price })
+    : price;
+}
+
+
+// ============================================
+// TEXTOS DE LA SELECCIÓN
+// ============================================
+
+/**
+ * Describe la selección para el pedido
+ *
+ * @param {Object} plato - Plato normalizado
+ * @param {Object} seleccion - Selección normalizada
+ * @param {boolean} localized - false para los nombres en español de la carta
+ * @returns {{ variante: string|null, grupos: Array<{ nombre: string, items: string[] }> }}
+ */
+function describeSelection(plato, seleccion, localized = true) {
+  const name = obj => (localized ? I18n.localize(obj, 'nombre') : obj.nombre);
+  const variante = plato.variantes?.find(v => v.id === seleccion?.variante);
+
+  const grupos = getOptionGroups(plato)
+    .map(group => ({
+      nombre: name(group),
+      items: (seleccion?.opciones?.[group.key] || [])
+        .map(id => group.items.find(item => item.id === id))
+        .filter(Boolean)
+        .map(name)
+    }))
+    .filter(group => group.items.length > 0);
+
+  return { variante: variante ? name(variante) : null, grupos };
+}
+
+/**
+ * Clave de una línea del pedido: el mismo plato con distinta selección
+ * ocupa líneas distintas. Sin selección la clave es el id del plato.
+ */
+function getSelectionKey(id, seleccion) {
+  const groups = Object.keys(seleccion?.opciones || {})
+    .sort()
+    .map(key => `${key}=${[...seleccion.opciones[key]].sort().join('+')}`);
+
+  if (!seleccion?.variante && groups.length === 0) return id;
+  return [id, seleccion.variante || '', ...groups].join('|');
+}
+
+
+// ============================================
+// EXPORTAR API PÚBLICA
+// ============================================
+
+export const MenuOptions = {
+  getGroups: getOptionGroups,
+  needsChoice,
+  getDefaultSelection,
+  normalize: normalizeSelection,
+  getMissingGroups,
+  getPrice: getSelectionPrice,
+  getPriceLabel,
+  describe: describeSelection,
+  getKey: getSelectionKey
+};
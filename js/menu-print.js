@@ -0,0 +1,181 @@
+/**
+ * MENU-PRINT.JS
+ * Carta para imprimir o guardar en PDF: todas las categorías en dos
+ * columnas, con o sin fotos, a partir de los mismos datos de la vista simple
+ * La Arboleda Club - 2025
+ */
+
+import { Utils } from './utils.js';
+import { I18n } from './i18n.js';
+import { MenuModel } from './menu-model.js';
+import { MenuRender } from './menu-render.js';
+
+// ============================================
+// CONFIGURACIÓN
+// ============================================
+const PRINT_CONFIG = {
+  storageKey: 'arboleda_carta_fotos', // Preferencia "con fotos"
+  imageTimeout: 4000, // ms máximos de espera por las fotos antes de imprimir
+  locales: { es: 'es-PE', en: 'en-US' }
+};
+
+
+// ============================================
+// ESTADO
+// ============================================
+const PrintState = {
+  photos: false,
+  isReady: false // true si la carta ya se preparó para la impresión en curso
+};
+
+
+// ============================================
+// ELEMENTOS DEL DOM
+// ============================================
+const PrintDOM = {
+  container: null,
+  list: null,
+  date: null,
+  button: null,
+  photos: null,
+
+  init() {
+    this.container = document.getElementById('menuPrint');
+    this.list = document.getElementById('menuPrintList');
+    this.date = document.getElementById('menuPrintDate');
+    this.button = document.getElementById('printMenu');
+    this.photos = document.getElementById('printPhotos');
+  }
+};
+
+
+// ============================================
+// RENDERIZADO
+// ============================================
+
+/**
+ * Genera la carta impresa con los datos cargados del menú
+ *
+ * @returns {boolean} false si el menú todavía no está cargado
+ */
+function renderPrintMenu() {
+  const data = MenuModel.state.data;
+  if (!PrintDOM.list || !data) return false;
+
+  MenuRender.renderSimpleView(data, 'all', {
+    target: PrintDOM.list,
+    print: true,
+    photos: PrintState.photos
+  });
+
+  PrintDOM.container.classList.toggle('menu-print--photos', PrintState.photos);
+
+  if (PrintDOM.date) {
+    const date = Utils.formatDate(new Date(), {}, PRINT_CONFIG.locales[I18n.getLanguage()]);
+    PrintDOM.date.textContent = I18n.t('print.date', { date });
+  }
+
+  return true;
+}
+
+/**
+ * Espera a que terminen de cargar las fotos de la carta impresa
+ * (o a que pase el tiempo máximo, para no bloquear la impresión)
+ */
+function waitForImages() {
+  const pending = Array.from(PrintDOM.list.querySelectorAll('img'))
+    .filter(img => !img.complete)
+    .map(img => new Promise(resolve => {
+      img.addEventListener('load', resolve, { once: true });
+      img.addEventListener('error', resolve, { once: true });
+    }));
+
+  const timeout = new Promise(resolve => setTimeout(resolve, PRINT_CONFIG.imageTimeout));
+
+  return Promise.race([Promise.all(pending), timeout]);
+}
+
+
+// ============================================
+// IMPRESIÓN
+// ============================================
+
+/**
+ * Prepara la carta y abre el diálogo de impresión del navegador
+ */
+async function printMenu() {
+  if (!renderPrintMenu()) return;
+
+  if (PrintState.photos) {
+    await waitForImages();
+  }
+
+  PrintState.isReady = true;
+  window.print();
+}
+
+/**
+ * Ctrl+P / Archivo > Imprimir: genera la carta si no viene del botón
+ */
+function handleBeforePrint() {
+  if (!PrintState.isReady) {
+    renderPrintMenu();
+  }
+}
+
+function handleAfterPrint() {
+  PrintState.isReady = false;
+}
+
+/**
+ * Guarda la preferencia "con fotos"; al activarla, las fotos empiezan a
+ * cargar desde ya para que estén listas al imprimir
+ */
+function handlePhotosChange() {
+  PrintState.photos = PrintDOM.photos.checked;
+  Utils.setLocalStorage(PRINT_CONFIG.storageKey, PrintState.photos);
+
+  if (PrintState.photos) {
+    renderPrintMenu();
+  }
+}
+
+
+// ============================================
+// INICIALIZACIÓN
+// ============================================
+
+/**
+ * Inicializa la carta para imprimir (tras cargar el menú)
+ */
+function initMenuPrint() {
+  PrintDOM.init();
+  if (!PrintDOM.container || !PrintDOM.list) return;
+
+  PrintState.photos = Utils.getLocalStorage(PRINT_CONFIG.storageKey, false) === true;
+
+  if (PrintDOM.photos) {
+    PrintDOM.photos.checked = PrintState.photos;
+    PrintDOM.photos.addEventListener('change', handlePhotosChange);
+  }
+
+  if (PrintDOM.button) {
+    PrintDOM.button.addEventListener('click', printMenu);
+  }
+
+  window.addEventListener('beforeprint', handleBeforePrint);
+  window.addEventListener('afterprint', handleAfterPrint);
+
+  console.log('✅ Carta para imprimir lista');
+}
+
+
+// ============================================
+// EXPORTAR API PÚBLICA
+// ============================================
+
+export const MenuPrint = {
+  init: initMenuPrint,
+  render: renderPrintMenu,
+  print: printMenu
+};
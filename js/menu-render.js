@@ -0,0 +1,580 @@
+/**
+ * MENU-RENDER.JS
+ * Renderizado de la carta: filtros, etiquetas, tarjetas de la vista
+ * detallada y lista de la vista simple, a partir de MenuModel
+ * La Arboleda Club - 2025
+ */
+
+import { Utils } from './utils.js';
+import { Html } from './html.js';
+import { I18n } from './i18n.js';
+import { MenuModel } from './menu-model.js';
+import { MenuOptions } from './menu-options.js';
+import { MenuImages } from './menu-images.js';
+import { MenuAvailability } from './menu-availability.js';
+import { MenuSearch } from './menu-search.js';
+import { RovingFocus } from './roving-focus.js';
+import { Modal } from './modal.js';
+import { Cart } from './cart.js';
+
+const MenuState = MenuModel.state;
+const { html } = Html;
+
+// ============================================
+// CONFIGURACIÓN
+// ============================================
+const RENDER_CONFIG = {
+  animationDelay: 50 // ms entre animaciones de items
+};
+
+// Tarjetas de la vista detallada por id de plato, para reutilizarlas entre
+// renderizados; la firma indica si la tarjeta sigue al día
+const cardCache = new Map();
+
+// Entrada escalonada pendiente: se cancela en cada renderizado
+const cardAnimation = {
+  frame: null,
+  queue: []
+};
+
+
+// ============================================
+// ELEMENTOS DEL DOM
+// ============================================
+const RenderDOM = {
+  menuGrid: null,
+  menuSimple: null,
+  menuFilters: null,
+  menuFacets: null,
+
+  init() {
+    this.menuGrid = document.getElementById('menuGrid');
+    this.menuSimple = document.getElementById('menuSimple');
+    this.menuFilters = document.getElementById('menuFilters');
+    this.menuFacets = document.getElementById('menuFacets');
+
+    // Barra de filtros y grid con una sola parada de tabulación cada uno
+    RovingFocus.init(this.menuFilters, { selector: '.filter-btn' });
+    RovingFocus.init(this.menuGrid, { selector: '.menu-item', control: '.menu-item__open', orientation: 'grid' });
+  }
+};
+
+
+// ============================================
+// RENDERIZADO DE FILTROS
+// ============================================
+
+/**
+ * Genera los botones de filtro de categorías
+ */
+function renderFilters(data) {
+  if (!RenderDOM.menuFilters) return;
+
+  const categories = Object.keys(data);
+
+  // Crear botón "Todos"
+  const allButton = createFilterButton('all', I18n.t('filters.all'), MenuState.activeCategory === 'all');
+
+  // Crear botones para cada categoría
+  const categoryButtons = categories.map(cat => {
+    const displayName = MenuModel.categoryLabel(cat);
+    return createFilterButton(cat, displayName, cat === MenuState.activeCategory);
+  });
+
+  // Insertar en el DOM
+  RenderDOM.menuFilters.innerHTML = '';
+  RenderDOM.menuFilters.appendChild(allButton);
+  categoryButtons.forEach(btn => RenderDOM.menuFilters.appendChild(btn));
+  RovingFocus.sync(RenderDOM.menuFilters, RenderDOM.menuFilters.querySelector('.filter-btn--active'));
+
+  renderFacets(MenuState.tags);
+}
+
+/**
+ * Genera los botones de etiquetas (dieta y alérgenos) y "Limpiar filtros"
+ */
+function renderFacets(tags) {
+  if (!RenderDOM.menuFacets) return;
+
+  RenderDOM.menuFacets.innerHTML = '';
+
+  Object.entries(tags).forEach(([key, tag]) => {
+    RenderDOM.menuFacets.appendChild(
+      createFacetButton(key, tag, MenuState.activeTags.includes(key))
+    );
+  });
+
+  const clearButton = document.createElement('button');
+  clearButton.type = 'button';
+  clearButton.className = 'facet-clear hidden';
+  clearButton.id = 'clearFilters';
+  Html.render(clearButton, html`<i class="fas fa-times" aria-hidden="true"></i> ${I18n.t('filters.clear')}`);
+  RenderDOM.menuFacets.appendChild(clearButton);
+
+  updateFacetCounts();
+}
+
+/**
+ * Crea un botón de etiqueta individual
+ */
+function createFacetButton(key, tag, isActive) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = `facet-btn ${isActive ? 'facet-btn--active' : ''}`;
+  button.dataset.tag = key;
+  button.setAttribute('aria-pressed', isActive);
+  Html.render(button, html`
+    <i class="fas ${tag.icono}" aria-hidden="true"></i>
+    <span class="facet-btn__label">${I18n.localize(tag, 'filtro')}</span>
+    <span class="facet-btn__count"></span>
+  `);
+
+  return button;
+}
+
+/**
+ * Actualiza el número de platos de cada etiqueta y el botón "Limpiar filtros"
+ * El conteo considera la categoría, la búsqueda y las demás etiquetas activas.
+ */
+function updateFacetCounts() {
+  if (!RenderDOM.menuFacets || !MenuState.data) return;
+
+  RenderDOM.menuFacets.querySelectorAll('.facet-btn').forEach(button => {
+    const key = button.dataset.tag;
+    const isActive = MenuState.activeTags.includes(key);
+    const others = MenuState.activeTags.filter(tag => tag !== key);
+    const count = MenuModel.countVisible([...others, key]);
+
+    button.querySelector('.facet-btn__count').textContent = count;
+    button.setAttribute('aria-label', I18n.t('filters.facetCount', {
+      label: I18n.localize(MenuState.tags[key], 'filtro'),
+      count
+    }));
+    button.disabled = count === 0 && !isActive;
+  });
+
+  RenderDOM.menuFacets.querySelector('.facet-clear')
+    ?.classList.toggle('hidden', !MenuModel.hasActiveFilters());
+}
+
+/**
+ * Crea un botón de filtro individual
+ */
+function createFilterButton(category, label, isActive) {
+  const button = document.createElement('button');
+  button.className = `filter-btn ${isActive ? 'filter-btn--active' : ''}`;
+  button.textContent = label;
+  button.dataset.category = category;
+  button.setAttribute('aria-label', I18n.t('filters.filterBy', { label }));
+  button.setAttribute('aria-pressed', isActive);
+
+  return button;
+}
+
+
+// ============================================
+// RENDERIZADO VISTA DETALLADA
+// ============================================
+
+/**
+ * Renderiza platos en vista de tarjetas
+ *
+ * Renderizado por id de plato: las tarjetas que siguen al día se reutilizan
+ * (con su foto ya cargada) y solo se mueven, se agregan o se quitan del grid.
+ * Una tarjeta se vuelve a crear si cambian los datos, el idioma, la búsqueda
+ * o la disponibilidad del plato.
+ */
+function renderDetailedView(data, category = 'all') {
+  if (!RenderDOM.menuGrid) return;
+
+  cancelCardAnimation();
+
+  // Determinar qué categorías mostrar
+  const categories = category === 'all' ? Object.keys(data) : [category];
+  const platos = categories
+    .filter(cat => data[cat])
+    .flatMap(cat => MenuModel.getVisibleDishes(data, cat));
+
+  const cards = platos.map((plato, index) => getCard(plato, index));
+  patchGrid(cards);
+  pruneCardCache(data);
+  RovingFocus.sync(RenderDOM.menuGrid);
+
+  // Si no hay items, mostrar mensaje
+  if (cards.length === 0) {
+    RenderDOM.menuGrid.appendChild(createEmptyMessage());
+    return;
+  }
+
+  // Animar con delay solo las tarjetas que acaban de entrar
+  scheduleCardAnimation(cards.filter(card => !card.classList.contains('visible')));
+}
+
+/**
+ * Devuelve la tarjeta del plato: la del caché si sigue al día o una nueva
+ */
+function getCard(plato, index) {
+  const signature = [
+    I18n.getLanguage(),
+    MenuModel.getActiveQuery(),
+    MenuModel.getDishStatus(plato).reason
+  ].join('|');
+
+  const cached = cardCache.get(plato.id);
+  if (cached && cached.plato === plato && cached.signature === signature) {
+    return cached.card;
+  }
+
+  const card = createMenuCard(plato, index);
+  cardCache.set(plato.id, { plato, signature, card });
+  return card;
+}
+
+/**
+ * Deja en el grid exactamente las tarjetas indicadas y en ese orden
+ * Mueve solo los nodos fuera de lugar; el primer renderizado se inserta
+ * de una vez con un fragmento.
+ */
+function patchGrid(cards) {
+  const grid = RenderDOM.menuGrid;
+  const wanted = new Set(cards);
+
+  // Carga inmediata para las primeras tarjetas del orden actual, aunque
+  // la tarjeta venga del caché con la posición de otro renderizado
+  cards.forEach((card, index) => {
+    const img = card.querySelector('.menu-item__image');
+    if (img) MenuImages.setPriority(img, index < MenuImages.eagerCount);
+  });
+
+  // Quitar mensajes vacíos y tarjetas que ya no se muestran
+  [...grid.children].forEach(child => {
+    if (wanted.has(child)) return;
+    child.classList.remove('visible');
+    child.remove();
+  });
+
+  if (!grid.firstChild) {
+    const fragment = document.createDocumentFragment();
+    fragment.append(...cards);
+    grid.appendChild(fragment);
+    return;
+  }
+
+  let cursor = grid.firstChild;
+  cards.forEach(card => {
+    if (card === cursor) {
+      cursor = cursor.nextSibling;
+    } else {
+      grid.insertBefore(card, cursor);
+    }
+  });
+}
+
+/**
+ * Olvida las tarjetas de platos que ya no están en los datos
+ */
+function pruneCardCache(data) {
+  const ids = new Set(Object.values(data).flat().map(plato => plato.id));
+  cardCache.forEach((entry, id) => {
+    if (!ids.has(id)) cardCache.delete(id);
+  });
+}
+
+/**
+ * Muestra las tarjetas escalonadas en un solo bucle de animationFrame
+ */
+function scheduleCardAnimation(cards) {
+  if (cards.length === 0) return;
+
+  const start = performance.now();
+  let shown = 0;
+  cardAnimation.queue = cards;
+
+  const step = () => {
+    // Tarjetas que ya deberían verse según el tiempo transcurrido
+    const due = Math.min(cards.length, Math.floor((performance.now() - start) / RENDER_CONFIG.animationDelay) + 1);
+    cards.slice(shown, due).forEach(card => card.classList.add('visible'));
+    shown = due;
+    cardAnimation.queue = cards.slice(shown);
+
+    cardAnimation.frame = cardAnimation.queue.length > 0 ? requestAnimationFrame(step) : null;
+  };
+
+  cardAnimation.frame = requestAnimationFrame(step);
+}
+
+/**
+ * Cancela la entrada pendiente; las tarjetas que faltaban quedan visibles
+ */
+function cancelCardAnimation() {
+  if (cardAnimation.frame !== null) {
+    cancelAnimationFrame(cardAnimation.frame);
+    cardAnimation.frame = null;
+  }
+
+  cardAnimation.queue.forEach(card => card.classList.add('visible'));
+  cardAnimation.queue = [];
+}
+
+/**
+ * Crea una tarjeta de plato individual
+ *
+ * @param {Object} plato - Plato normalizado
+ * @param {number} index - Posición en la vista (las primeras fotos sin lazy loading)
+ * @param {Object} options
+ * @param {boolean} options.orderable - Incluir "Agregar al pedido" (no en la vista previa del editor)
+ */
+function createMenuCard(plato, index, { orderable = true } = {}) {
+  const card = document.createElement('article');
+  card.className = 'menu-item';
+  card.dataset.id = plato.id;
+  const nombre = I18n.localize(plato, 'nombre');
+
+  // El nombre es el botón que abre el detalle; "Agregar al pedido" va
+  // aparte, no dentro de otro control
+  Html.render(card, html`
+    <div class="menu-item__content">
+      <h3 class="menu-item__title"><button type="button" class="menu-item__open" aria-label="${I18n.t('menu.details', { name: nombre })}">${nombre}</button></h3>
+      <p class="menu-item__price">${MenuOptions.getPriceLabel(plato)}</p>
+      ${createTagList(plato.etiquetas)}
+    </div>
+  `);
+
+  // Foto con imagen provisional mientras carga; las primeras sin lazy loading
+  card.prepend(MenuImages.create(plato, {
+    className: 'menu-item__image',
+    alt: nombre,
+    sizes: 'card',
+    eager: index < MenuImages.eagerCount
+  }));
+
+  // Resaltar coincidencias de la búsqueda activa
+  if (MenuModel.getActiveQuery()) {
+    const title = card.querySelector('.menu-item__title');
+    title.querySelector('.menu-item__open').replaceChildren(MenuSearch.highlight(nombre));
+
+    const snippet = MenuSearch.createSnippet(plato);
+    if (snippet) title.after(snippet);
+  }
+
+  // Botón "Agregar al pedido"
+  if (orderable) {
+    card.querySelector('.menu-item__content')
+      .appendChild(Cart.createAddButton(plato, 'add-to-cart menu-item__add'));
+  }
+
+  // Agotado o fuera de horario
+  MenuAvailability.decorate(card, plato, 'menu-item--unavailable');
+
+  // Con el ratón se puede pulsar toda la tarjeta; el teclado usa el botón
+  card.addEventListener('click', () => Modal.open(plato));
+
+  return card;
+}
+
+
+// ============================================
+// RENDERIZADO VISTA SIMPLE
+// ============================================
+
+/**
+ * Renderiza platos en vista de lista simple
+ *
+ * La carta impresa (menu-print.js) usa esta misma lista con print: true:
+ * todos los platos en el orden del JSON, sin filtros ni botones, cada
+ * categoría en su propio bloque y con descripción.
+ *
+ * @param {Object} data - Categorías del menú
+ * @param {string} category - Categoría a mostrar o 'all'
+ * @param {Object} options - { target, print, photos }
+ */
+function renderSimpleView(data, category = 'all', { target = RenderDOM.menuSimple, print = false, photos = false } = {}) {
+  if (!target) return;
+
+  target.innerHTML = '';
+
+  // Determinar qué categorías mostrar
+  const categories = category === 'all' ? Object.keys(data) : [category];
+
+  categories.forEach(cat => {
+    const platos = print ? data[cat] || [] : MenuModel.getVisibleDishes(data, cat);
+    if (platos.length === 0) return;
+
+    // Al imprimir, cada categoría va en su bloque (salto de página)
+    let parent = target;
+    if (print) {
+      parent = document.createElement('section');
+      parent.className = 'menu-print__category';
+      target.appendChild(parent);
+    }
+
+    // Título de categoría
+    const title = document.createElement('h3');
+    title.textContent = MenuModel.categoryLabel(cat);
+    parent.appendChild(title);
+
+    // Lista de platos
+    const list = document.createElement('ul');
+    platos.forEach(plato => {
+      const nombre = I18n.localize(plato, 'nombre');
+      const item = document.createElement('li');
+      item.dataset.id = plato.id;
+      Html.render(item, html`
+        <span>${nombre}</span>
+        ${createSimplePrice(plato)}
+      `);
+
+      if (print) {
+        decoratePrintItem(item, plato, photos);
+        list.appendChild(item);
+        return;
+      }
+
+      // Resaltar coincidencias de la búsqueda activa
+      if (MenuModel.getActiveQuery()) {
+        const name = item.firstElementChild;
+        name.replaceChildren(MenuSearch.highlight(nombre));
+
+        const snippet = MenuSearch.createSnippet(plato);
+        if (snippet) name.appendChild(snippet);
+      }
+
+      // Botón "Agregar al pedido"
+      item.appendChild(Cart.createAddButton(plato, 'add-to-cart add-to-cart--compact'));
+
+      MenuAvailability.decorate(item, plato, 'menu-simple__item--unavailable');
+
+      list.appendChild(item);
+    });
+
+    parent.appendChild(list);
+  });
+
+  // Si no hay items, mostrar mensaje
+  if (categories.length === 0 || !target.hasChildNodes()) {
+    target.appendChild(createEmptyMessage());
+  }
+}
+
+/**
+ * Completa un plato de la carta impresa: descripción y, opcionalmente, foto
+ */
+function decoratePrintItem(item, plato, photos) {
+  item.className = 'menu-print__item';
+
+  const name = item.firstElementChild;
+  name.className = 'menu-print__name';
+
+  const descripcion = I18n.localize(plato, 'descripcion');
+  if (descripcion) {
+    const text = document.createElement('small');
+    text.className = 'menu-print__description';
+    text.textContent = descripcion;
+    name.appendChild(text);
+  }
+
+  // Sin lazy loading: la foto tiene que estar cargada al imprimir
+  if (photos) {
+    item.prepend(MenuImages.create(plato, {
+      className: 'menu-print__image',
+      alt: '',
+      sizes: 'card',
+      eager: true
+    }));
+  }
+}
+
+
+/**
+ * Precio de la lista simple; con tamaños, todos sus precios lado a lado
+ */
+function createSimplePrice(plato) {
+  if ((plato.variantes || []).length === 0) {
+    return html`<span>${Utils.formatPrice(plato.precioValor)}</span>`;
+  }
+
+  const prices = plato.variantes.map(variante => html`
+    <span class="menu-simple__variant">
+      <small>${I18n.localize(variante, 'nombre')}</small> ${Utils.formatPrice(variante.precioValor)}
+    </span>
+  `);
+
+  return html`<span class="menu-simple__variants">${prices}</span>`;
+}
+
+
+// ============================================
+// PIEZAS COMUNES
+// ============================================
+
+/**
+ * Lista compacta de etiquetas para la tarjeta de un plato
+ */
+function createTagList(etiquetas = []) {
+  const items = etiquetas
+    .filter(key => MenuState.tags[key])
+    .map(key => {
+      const tag = MenuState.tags[key];
+      const nombre = I18n.localize(tag, 'nombre');
+      return html`<li class="tag tag--${tag.tipo}" title="${nombre}"><i class="fas ${tag.icono}" aria-hidden="true"></i><span class="sr-only">${nombre}</span></li>`;
+    });
+
+  if (items.length === 0) return null;
+  return html`<ul class="menu-item__tags" aria-label="${I18n.t('menu.tags')}">${items}</ul>`;
+}
+
+/**
+ * Mensaje para cuando no hay platos que mostrar
+ */
+function createEmptyMessage() {
+  const message = document.createElement('p');
+  message.className = 'text-center';
+
+  const query = MenuModel.getActiveQuery();
+  if (query) {
+    message.textContent = I18n.t('menu.emptySearch', { query });
+  } else if (MenuState.activeTags.length > 0 || MenuState.priceRange) {
+    message.textContent = I18n.t('menu.emptyFilters');
+  } else {
+    message.textContent = I18n.t('menu.emptyCategory');
+  }
+
+  return message;
+}
+
+
+// ============================================
+// RENDERIZADO DE LA VISTA ACTIVA
+// ============================================
+
+/**
+ * Re-renderiza la vista activa con la categoría activa
+ */
+function renderActiveView() {
+  if (!MenuState.data) return;
+
+  if (MenuState.activeView === 'simple') {
+    renderSimpleView(MenuState.data, MenuState.activeCategory);
+  } else {
+    renderDetailedView(MenuState.data, MenuState.activeCategory);
+  }
+
+  updateFacetCounts();
+}
+
+
+// ============================================
+// EXPORTAR API PÚBLICA
+// ============================================
+
+export const MenuRender = {
+  init: () => RenderDOM.init(),
+  renderFilters,
+  renderFacets,
+  updateFacetCounts,
+  renderDetailedView,
+  renderSimpleView,
+  renderActiveView,
+  createMenuCard,
+  createEmptyMessage
+};
@@ -0,0 +1,270 @@
+/**
+ * MENU-ROUTER.JS
+ * Estado del menú en la URL: categoría, vista y plato abierto
+ * Ej: menu.html?categoria=pescados&vista=simple#plato=ceviche-mixto
+ * La Arboleda Club - 2025
+ */
+
+import { MenuModel } from './menu-model.js';
+import { MenuFilters } from './menu-filters.js';
+import { MenuViews } from './menu-views.js';
+import { TableMode } from './table-mode.js';
+import { Modal } from './modal.js';
+
+// ============================================
+// ESTADO DEL ROUTER
+// ============================================
+const RouterState = {
+  isEnabled: false, // Solo en menu.html; el editor usa el modal sin tocar la URL
+  isApplying: false, // true mientras se aplica la URL (no se escribe historial)
+  openDishId: null // Plato abierto en el modal
+};
+
+const ROUTE_PARAMS = {
+  category: 'categoria',
+  view: 'vista',
+  dish: 'plato'
+};
+
+// Valor del parámetro "vista" para cada vista
+const VIEW_VALUES = {
+  simple: 'simple',
+  detailed: 'detallada'
+};
+
+
+// ============================================
+// LECTURA Y ESCRITURA DE LA URL
+// ============================================
+
+/**
+ * Vista sin parámetro en la URL: la simple en modo mesa, si no la detallada
+ */
+function getDefaultView() {
+  return TableMode.isActive() ? 'simple' : 'detailed';
+}
+
+/**
+ * Lee el estado del menú desde la URL actual
+ * Sin parámetro "vista", view es null: la vista por defecto.
+ *
+ * @returns {{ category: string, view: string|null, dishId: string|null }}
+ */
+function readRoute() {
+  const url = new URL(window.location.href);
+  const hash = new URLSearchParams(url.hash.slice(1));
+  const vista = url.searchParams.get(ROUTE_PARAMS.view);
+  const view = Object.keys(VIEW_VALUES).find(key => VIEW_VALUES[key] === vista);
+
+  return {
+    category: url.searchParams.get(ROUTE_PARAMS.category) || 'all',
+    view: view || null,
+    dishId: hash.get(ROUTE_PARAMS.dish)
+  };
+}
+
+/**
+ * Construye la URL para un estado del menú
+ * Conserva otros parámetros que pueda tener la URL.
+ *
+ * @param {Object} route - { category, view, dishId }
+ * @returns {string}
+ */
+function buildUrl({ category, view, dishId }) {
+  const url = new URL(window.location.href);
+
+  if (category && category !== 'all') {
+    url.searchParams.set(ROUTE_PARAMS.category, category);
+  } else {
+    url.searchParams.delete(ROUTE_PARAMS.category);
+  }
+
+  if (view && view !== getDefaultView()) {
+    url.searchParams.set(ROUTE_PARAMS.view, VIEW_VALUES[view]);
+  } else {
+    url.searchParams.delete(ROUTE_PARAMS.view);
+  }
+
+  url.hash = dishId ? `${ROUTE_PARAMS.dish}=${encodeURIComponent(dishId)}` : '';
+
+  return url.pathname + url.search + url.hash;
+}
+
+/**
+ * Estado actual del menú según MenuLoader y el modal
+ */
+function currentRoute() {
+  const state = MenuModel.state;
+
+  return {
+    category: state.activeCategory,
+    view: state.activeView,
+    dishId: RouterState.openDishId
+  };
+}
+
+/**
+ * Crea una entrada de historial con el estado actual del menú
+ * Se llama después de cada cambio de categoría o vista hecho por el usuario.
+ */
+function pushRoute() {
+  if (!RouterState.isEnabled || RouterState.isApplying) return;
+
+  const route = currentRoute();
+  const url = buildUrl(route);
+
+  if (url === buildUrl(readRoute())) return;
+
+  history.pushState({ menu: true, dishId: route.dishId }, '', url);
+}
+
+
+// ============================================
+// MODAL DE PLATO
+// ============================================
+
+/**
+ * Registra la apertura de un plato (llamado desde modal.js)
+ * Al pasar de un plato a otro dentro del modal se reemplaza la entrada
+ * del historial, para que "atrás" cierre el modal en vez de recorrerlos.
+ *
+ * @param {Object} plato - Plato abierto
+ * @param {Object} options
+ * @param {boolean} options.replace - true si el modal ya estaba abierto
+ */
+function handleDishOpen(plato, { replace = false } = {}) {
+  if (!RouterState.isEnabled) return;
+
+  RouterState.openDishId = plato.id;
+
+  if (!replace) {
+    pushRoute();
+    return;
+  }
+
+  if (RouterState.isApplying) return;
+
+  // Conservar si la entrada la creó esta página (ver handleDishClose)
+  const ownEntry = Boolean(history.state?.menu && history.state.dishId);
+  history.replaceState(
+    { menu: true, dishId: ownEntry ? plato.id : null },
+    '',
+    buildUrl(currentRoute())
+  );
+}
+
+/**
+ * Registra el cierre del modal (llamado desde modal.js)
+ * Si la entrada del plato la creó esta página se retrocede en el
+ * historial; si se llegó desde un enlace compartido se reemplaza la URL.
+ */
+function handleDishClose() {
+  if (!RouterState.openDishId) return;
+
+  RouterState.openDishId = null;
+  if (RouterState.isApplying) return;
+
+  if (history.state?.menu && history.state.dishId) {
+    history.back();
+  } else {
+    history.replaceState({ menu: true, dishId: null }, '', buildUrl(currentRoute()));
+  }
+}
+
+
+// ============================================
+// APLICAR LA URL AL MENÚ
+// ============================================
+
+/**
+ * Aplica el estado de la URL a filtros, vista y modal
+ *
+ * @param {Object} options
+ * @param {boolean} options.initial - Primera carga de la página
+ */
+function applyRoute({ initial = false } = {}) {
+  const state = MenuModel.state;
+  if (!state.data) return;
+
+  const route = readRoute();
+  RouterState.isApplying = true;
+
+  try {
+    // Categoría (si no existe en el menú se ignora)
+    const category = route.category === 'all' || state.data[route.category]
+      ? route.category
+      : 'all';
+
+    if (category !== state.activeCategory) {
+      MenuFilters.apply(category, { scroll: !initial });
+    }
+
+    // Vista (al abrir la página sin "vista" se conserva la de la visita anterior)
+    // Un enlace o el historial no cambian la vista guardada
+    const view = route.view || (initial ? state.activeView : getDefaultView());
+    if (view !== state.activeView) {
+      const options = { persist: false, announce: !initial };
+      if (view === 'simple') {
+        MenuViews.switchToSimple(options);
+      } else {
+        MenuViews.switchToDetailed(options);
+      }
+    }
+
+    // Plato abierto
+    if (route.dishId !== RouterState.openDishId) {
+      if (route.dishId) {
+        const plato = MenuModel.findDish(route.dishId);
+        if (plato) {
+          Modal.open(plato);
+        } else {
+          console.warn(`Plato no encontrado: ${route.dishId}`);
+        }
+      } else {
+        Modal.close();
+      }
+    }
+  } finally {
+    RouterState.isApplying = false;
+  }
+
+  // Normalizar la URL si tenía valores no válidos
+  if (initial) {
+    history.replaceState(
+      { menu: true, dishId: null },
+      '',
+      buildUrl(currentRoute())
+    );
+  }
+}
+
+
+// ============================================
+// INICIALIZACIÓN
+// ============================================
+
+/**
+ * Inicializa el router: aplica la URL inicial y escucha el historial
+ */
+function initRouter() {
+  RouterState.isEnabled = true;
+  applyRoute({ initial: true });
+
+  // Botones atrás/adelante del navegador
+  window.addEventListener('popstate', () => applyRoute());
+
+  console.log('✅ Router del menú inicializado');
+}
+
+
+// ============================================
+// EXPORTAR API PÚBLICA
+// ============================================
+
+export const MenuRouter = {
+  init: initRouter,
+  push: pushRoute,
+  onDishOpen: handleDishOpen,
+  onDishClose: handleDishClose,
+  buildUrl
+};
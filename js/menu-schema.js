@@ -0,0 +1,614 @@
+/**
+ * MENU-SCHEMA.JS
+ * Validación y reparación del esquema de data/menu.json
+ * La Arboleda Club - 2025
+ */
+
+import { Utils } from './utils.js';
+
+// ============================================
+// CONFIGURACIÓN DEL ESQUEMA
+// ============================================
+const SCHEMA_CONFIG = {
+  version: 2, // Versión de esquema actual
+  languagePattern: /^[a-z]{2}$/, // Códigos de idioma de las traducciones ("en")
+  weekdays: ['dom', 'lun', 'mar', 'mie', 'jue', 'vie', 'sab']
+};
+
+
+// Migraciones entre versiones: cada una recibe un documento de la versión
+// indicada y lo devuelve en la siguiente
+const SCHEMA_UPGRADES = {
+  // v2 agrega los bloques `opciones` y `variantes`, que un documento v1
+  // no tiene: el resto del formato es el mismo
+  1: doc => ({ ...doc, schemaVersion: 2 })
+};
+
+
+// ============================================
+// VALIDACIÓN DE PLATOS
+// ============================================
+
+/**
+ * Valida y normaliza un plato individual
+ *
+ * @param {Object} plato - Plato tal como viene del JSON
+ * @param {string} path - Ruta legible del plato (ej. "pescados[2]")
+ * @param {string} categoria - Categoría a la que pertenece
+ * @param {Set} usedIds - IDs ya utilizados en el documento
+ * @param {Object} tags - Etiquetas definidas en el documento
+ * @param {Object} optionGroups - Grupos de opciones definidos en el documento
+ * @param {Object|null} categoryRule - Disponibilidad por defecto de la categoría
+ * @param {Object} report - Reporte donde se acumulan errores y avisos
+ * @returns {Object|null} Plato normalizado o null si se descarta
+ */
+function validateDish(plato, path, categoria, usedIds, tags, optionGroups, categoryRule, report) {
+  if (!plato || typeof plato !== 'object' || Array.isArray(plato)) {
+    report.errors.push(`${path}: el plato no es un objeto, descartado`);
+    return null;
+  }
+
+  const nombre = typeof plato.nombre === 'string' ? plato.nombre.trim() : '';
+  if (!nombre) {
+    report.errors.push(`${path}: falta "nombre", descartado`);
+    return null;
+  }
+
+  const label = `${path} (${nombre})`;
+
+  // Tamaños con precio propio: el plato se muestra "desde" el más barato
+  const variantes = validateVariants(plato.variantes, label, report);
+
+  // El precio no se puede inventar: sin precio válido (ni tamaños) el plato se descarta
+  let precio = parsePrice(plato.precio);
+  if (variantes.length > 0) {
+    const desde = Math.min(...variantes.map(variante => variante.precioValor));
+    if (plato.precio !== undefined && precio !== desde) {
+      report.warnings.push(`${label}: con "variantes" el precio es el del tamaño más barato, se ignora "precio"`);
+    }
+    precio = desde;
+  }
+  if (precio === null) {
+    report.errors.push(`${label}: "precio" ausente o no numérico (${JSON.stringify(plato.precio)}), descartado`);
+    return null;
+  }
+
+  let id = typeof plato.id === 'string' ? plato.id.trim() : '';
+  if (!id) {
+    id = Utils.slugify(nombre);
+    report.warnings.push(`${label}: falta "id", se generó "${id}"`);
+  }
+  if (usedIds.has(id)) {
+    report.errors.push(`${label}: "id" duplicado "${id}", descartado`);
+    return null;
+  }
+  usedIds.add(id);
+
+  // Sin imagen se muestra la imagen provisional de la categoría (menu-images.js)
+  const imagen = typeof plato.imagen === 'string' ? plato.imagen.trim() : '';
+  if (!imagen) {
+    report.warnings.push(`${label}: falta "imagen", se usa la imagen de la categoría`);
+  }
+
+  const descripcion = typeof plato.descripcion === 'string' ? plato.descripcion.trim() : '';
+  if (!descripcion) {
+    report.warnings.push(`${label}: falta "descripcion"`);
+  }
+
+  // Etiquetas opcionales: las desconocidas se descartan con aviso
+  let etiquetas = [];
+  if (Array.isArray(plato.etiquetas)) {
+    etiquetas = plato.etiquetas.filter(tag => {
+      if (tags[tag]) return true;
+      report.warnings.push(`${label}: etiqueta desconocida "${tag}", ignorada`);
+      return false;
+    });
+  } else if (plato.etiquetas !== undefined) {
+    report.warnings.push(`${label}: "etiquetas" no es una lista, ignorado`);
+  }
+
+  // Grupos de opciones (acompañamientos, extras): los desconocidos se descartan con aviso
+  let opciones = [];
+  if (Array.isArray(plato.opciones)) {
+    opciones = plato.opciones.filter(key => {
+      if (optionGroups[key]) return true;
+      report.warnings.push(`${label}: grupo de opciones desconocido "${key}", ignorado`);
+      return false;
+    });
+  } else if (plato.opciones !== undefined) {
+    report.warnings.push(`${label}: "opciones" no es una lista, ignorado`);
+  }
+
+  // Popularidad opcional (pedidos registrados) para ordenar por "más pedidos"
+  let popularidad = null;
+  if (plato.popularidad !== undefined) {
+    if (Number.isFinite(plato.popularidad) && plato.popularidad >= 0) {
+      popularidad = plato.popularidad;
+    } else {
+      report.warnings.push(`${label}: "popularidad" no es un número válido, ignorado`);
+    }
+  }
+
+  // Disponibilidad: la regla del plato reemplaza a la de su categoría
+  let disponibilidad = categoryRule;
+  if (plato.disponibilidad !== undefined) {
+    disponibilidad = validateAvailabilityRule(plato.disponibilidad, label, report);
+  }
+
+  if (plato.agotado !== undefined && typeof plato.agotado !== 'boolean') {
+    report.warnings.push(`${label}: "agotado" no es booleano, se considera disponible`);
+  }
+
+  return {
+    ...plato,
+    id,
+    categoria,
+    nombre,
+    descripcion,
+    precio: precio.toFixed(2),
+    precioValor: precio, // Valor numérico para ordenar y filtrar por precio
+    imagen,
+    etiquetas,
+    variantes,
+    opciones,
+    popularidad,
+    agotado: plato.agotado === true,
+    disponibilidad,
+    traducciones: validateTranslations(plato.traducciones, ['nombre', 'descripcion'], label, report)
+  };
+}
+
+/**
+ * Valida los tamaños de un plato
+ * Formato: [{ "id": "vaso", "nombre": "Vaso", "precio": "6.00" }, ...]
+ *
+ * @param {Array} variantes - Tamaños tal como vienen del JSON
+ * @param {string} label - Ruta legible para el reporte
+ * @param {Object} report - Reporte donde se acumulan errores y avisos
+ * @returns {Array} Tamaños válidos, con precio numérico en "precioValor"
+ */
+function validateVariants(variantes, label, report) {
+  if (variantes === undefined) return [];
+
+  if (!Array.isArray(variantes)) {
+    report.warnings.push(`${label}: "variantes" no es una lista, ignorado`);
+    return [];
+  }
+
+  return validateChoices(variantes, `${label}: variantes`, report, true);
+}
+
+/**
+ * Valida las elecciones de una lista (tamaños o ítems de un grupo de opciones)
+ * Cada elección necesita "id" único y "nombre"; el precio es obligatorio
+ * en los tamaños y opcional (recargo) en los ítems de un grupo.
+ *
+ * @param {Array} items - Elecciones tal como vienen del JSON
+ * @param {string} label - Ruta legible para el reporte
+ * @param {Object} report - Reporte donde se acumulan errores y avisos
+ * @param {boolean} priceRequired - true si cada elección debe tener precio
+ * @returns {Array} Elecciones válidas
+ */
+function validateChoices(items, label, report, priceRequired) {
+  const usedIds = new Set();
+
+  return items
+    .map((item, index) => {
+      const id = typeof item?.id === 'string' ? item.id.trim() : '';
+      const nombre = typeof item?.nombre === 'string' ? item.nombre.trim() : '';
+      if (!id || !nombre || usedIds.has(id)) {
+        report.warnings.push(`${label}[${index}]: falta "id" o "nombre", o el id está repetido; ignorado`);
+        return null;
+      }
+
+      const precio = item.precio === undefined && !priceRequired ? 0 : parsePrice(item.precio);
+      if (precio === null) {
+        report.warnings.push(`${label}[${index}] (${nombre}): "precio" ausente o no numérico, ignorado`);
+        return null;
+      }
+
+      usedIds.add(id);
+      return {
+        id,
+        nombre,
+        precio: precio.toFixed(2),
+        precioValor: precio,
+        traducciones: validateTranslations(item.traducciones, ['nombre'], `${label}[${index}]`, report)
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Valida el catálogo de grupos de opciones
+ * Formato: { "acompanamiento": { "nombre": "Acompañamiento", "tipo": "unica",
+ *   "items": [{ "id": "arroz", "nombre": "Arroz" }] } }
+ * "unica" es una elección obligatoria; "multiple" son extras opcionales,
+ * cada uno con su recargo en "precio".
+ *
+ * @param {Object} opciones - Objeto "opciones" del documento
+ * @param {Object} report - Reporte donde se acumulan errores y avisos
+ * @returns {Object} Grupos válidos indexados por clave
+ */
+function validateOptionGroups(opciones, report) {
+  const groups = {};
+  if (opciones === undefined) return groups;
+
+  if (!opciones || typeof opciones !== 'object' || Array.isArray(opciones)) {
+    report.errors.push('opciones: no es un objeto, descartadas');
+    return groups;
+  }
+
+  Object.entries(opciones).forEach(([key, group]) => {
+    const nombre = typeof group?.nombre === 'string' ? group.nombre.trim() : '';
+    if (!nombre || !Array.isArray(group.items)) {
+      report.errors.push(`opciones.${key}: falta "nombre" o la lista "items", descartado`);
+      return;
+    }
+
+    const tipo = group.tipo === 'multiple' ? 'multiple' : 'unica';
+    if (group.tipo !== tipo) {
+      report.warnings.push(`opciones.${key}: "tipo" inválido, se usa "unica"`);
+    }
+
+    const items = validateChoices(group.items, `opciones.${key}.items`, report, false);
+    if (items.length === 0) {
+      report.errors.push(`opciones.${key}: sin ítems válidos, descartado`);
+      return;
+    }
+
+    groups[key] = {
+      nombre,
+      tipo,
+      items,
+      traducciones: validateTranslations(group.traducciones, ['nombre'], `opciones.${key}`, report)
+    };
+  });
+
+  return groups;
+}
+
+/**
+ * Valida las traducciones de un plato o etiqueta
+ * Formato: { "en": { "nombre": "...", "descripcion": "..." } }
+ * Solo se conservan los campos de texto indicados; lo que falte se
+ * muestra en español.
+ *
+ * @param {Object} traducciones - Traducciones tal como vienen del JSON
+ * @param {string[]} fields - Campos traducibles
+ * @param {string} label - Ruta legible para el reporte
+ * @param {Object} report - Reporte donde se acumulan errores y avisos
+ * @returns {Object} Traducciones válidas por idioma
+ */
+function validateTranslations(traducciones, fields, label, report) {
+  const result = {};
+  if (traducciones === undefined) return result;
+
+  if (!traducciones || typeof traducciones !== 'object' || Array.isArray(traducciones)) {
+    report.warnings.push(`${label}: "traducciones" no es un objeto, ignorado`);
+    return result;
+  }
+
+  Object.entries(traducciones).forEach(([lang, texts]) => {
+    if (!SCHEMA_CONFIG.languagePattern.test(lang) || !texts || typeof texts !== 'object') {
+      report.warnings.push(`${label}: traducción "${lang}" inválida, ignorada`);
+      return;
+    }
+
+    result[lang] = {};
+    fields.forEach(field => {
+      if (texts[field] === undefined) return;
+
+      if (typeof texts[field] === 'string' && texts[field].trim()) {
+        result[lang][field] = texts[field].trim();
+      } else {
+        report.warnings.push(`${label}: "traducciones.${lang}.${field}" vacío o no es texto, ignorado`);
+      }
+    });
+  });
+
+  return result;
+}
+
+/**
+ * Valida los nombres traducidos de las categorías
+ * Formato: { "en": { "pescados": "Fish" } }
+ *
+ * @param {Object} traducciones - Objeto "traducciones" de la raíz del documento
+ * @param {Object} categorias - Categorías del documento
+ * @param {Object} report - Reporte donde se acumulan errores y avisos
+ * @returns {Object} Nombres por idioma y categoría
+ */
+function validateCategoryNames(traducciones, categorias, report) {
+  const names = {};
+  if (traducciones === undefined) return names;
+
+  if (!traducciones || typeof traducciones !== 'object' || Array.isArray(traducciones)) {
+    report.warnings.push('traducciones: no es un objeto, ignorado');
+    return names;
+  }
+
+  Object.entries(traducciones).forEach(([lang, texts]) => {
+    const categoryTexts = texts?.categorias;
+    if (!SCHEMA_CONFIG.languagePattern.test(lang) || !categoryTexts || typeof categoryTexts !== 'object') {
+      report.warnings.push(`traducciones.${lang}: falta "categorias", ignorado`);
+      return;
+    }
+
+    names[lang] = {};
+    Object.entries(categoryTexts).forEach(([cat, name]) => {
+      if (!categorias[cat]) {
+        report.warnings.push(`traducciones.${lang}.categorias: categoría desconocida "${cat}", ignorada`);
+        return;
+      }
+      if (typeof name === 'string' && name.trim()) {
+        names[lang][cat] = name.trim();
+      }
+    });
+  });
+
+  return names;
+}
+
+/**
+ * Valida una regla de disponibilidad por día y horario
+ * Formato: { "dias": ["sab", "dom"], "desde": "18:00", "hasta": "23:00" }
+ * Ambos campos son opcionales; si "hasta" es menor que "desde" la franja
+ * cruza la medianoche.
+ *
+ * @param {Object} rule - Regla tal como viene del JSON
+ * @param {string} label - Ruta legible para el reporte
+ * @param {Object} report - Reporte donde se acumulan errores y avisos
+ * @returns {Object|null} Regla normalizada o null si no es válida
+ */
+function validateAvailabilityRule(rule, label, report) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    report.warnings.push(`${label}: "disponibilidad" no es un objeto, ignorado`);
+    return null;
+  }
+
+  const normalized = { dias: null, desde: null, hasta: null };
+
+  if (rule.dias !== undefined) {
+    const dias = Array.isArray(rule.dias)
+      ? rule.dias.filter(dia => SCHEMA_CONFIG.weekdays.includes(dia))
+      : [];
+
+    if (dias.length === 0 || dias.length !== rule.dias.length) {
+      report.warnings.push(`${label}: "dias" inválidos (use ${SCHEMA_CONFIG.weekdays.join(', ')}), ignorado`);
+      return null;
+    }
+    normalized.dias = dias;
+  }
+
+  const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+  if (rule.desde !== undefined || rule.hasta !== undefined) {
+    if (!timePattern.test(rule.desde) || !timePattern.test(rule.hasta)) {
+      report.warnings.push(`${label}: "desde"/"hasta" deben ir juntos en formato HH:MM, ignorado`);
+      return null;
+    }
+    normalized.desde = rule.desde;
+    normalized.hasta = rule.hasta;
+  }
+
+  return normalized;
+}
+
+/**
+ * Valida el catálogo de etiquetas (dieta y alérgenos)
+ *
+ * @param {Object} etiquetas - Objeto "etiquetas" del documento
+ * @param {Object} report - Reporte donde se acumulan errores y avisos
+ * @returns {Object} Etiquetas válidas indexadas por clave
+ */
+function validateTags(etiquetas, report) {
+  const tags = {};
+  if (etiquetas === undefined) return tags;
+
+  if (!etiquetas || typeof etiquetas !== 'object' || Array.isArray(etiquetas)) {
+    report.errors.push('etiquetas: no es un objeto, descartadas');
+    return tags;
+  }
+
+  Object.entries(etiquetas).forEach(([key, tag]) => {
+    const nombre = typeof tag?.nombre === 'string' ? tag.nombre.trim() : '';
+    if (!nombre) {
+      report.errors.push(`etiquetas.${key}: falta "nombre", descartada`);
+      return;
+    }
+
+    // "dieta" filtra platos que la tienen; "contiene" filtra platos que NO la tienen
+    const tipo = tag.tipo === 'contiene' ? 'contiene' : 'dieta';
+    if (tag.tipo !== tipo) {
+      report.warnings.push(`etiquetas.${key}: "tipo" inválido, se usa "dieta"`);
+    }
+
+    // Igual que en español, sin "filtro" traducido se usa el nombre traducido
+    const traducciones = validateTranslations(tag.traducciones, ['nombre', 'filtro'], `etiquetas.${key}`, report);
+    if (!tag.filtro) {
+      Object.values(traducciones).forEach(texts => {
+        if (texts.nombre && !texts.filtro) texts.filtro = texts.nombre;
+      });
+    }
+
+    tags[key] = {
+      nombre,
+      tipo,
+      filtro: tag.filtro || nombre,
+      icono: tag.icono || 'fa-tag',
+      traducciones
+    };
+  });
+
+  return tags;
+}
+
+/**
+ * Valida el bloque "imagenes": versiones de cada foto generadas al publicar
+ * Formato: { "anchos": [480, 960], "webp": true, "miniatura": true }
+ * Para "assets/menu/ceviche.jpg" se esperan "ceviche-480.jpg", "ceviche-480.webp"
+ * y, con "miniatura", "ceviche-lqip.jpg" (unos 20 px de ancho).
+ *
+ * @param {Object} imagenes - Bloque "imagenes" del documento
+ * @param {Object} report - Reporte donde se acumulan errores y avisos
+ * @returns {{ anchos: number[], webp: boolean, miniatura: boolean }}
+ */
+function validateImageFormats(imagenes, report) {
+  const formats = { anchos: [], webp: false, miniatura: false };
+  if (imagenes === undefined) return formats;
+
+  if (!imagenes || typeof imagenes !== 'object' || Array.isArray(imagenes)) {
+    report.warnings.push('imagenes: no es un objeto, ignorado');
+    return formats;
+  }
+
+  if (imagenes.anchos !== undefined) {
+    const anchos = Array.isArray(imagenes.anchos)
+      ? imagenes.anchos.filter(ancho => Number.isInteger(ancho) && ancho > 0)
+      : [];
+
+    if (anchos.length === 0 || anchos.length !== imagenes.anchos.length) {
+      report.warnings.push('imagenes: "anchos" debe ser una lista de enteros positivos, ignorado');
+    } else {
+      formats.anchos = [...new Set(anchos)].sort((a, b) => a - b);
+    }
+  }
+
+  // Sin anchos no hay versiones WebP que ofrecer
+  formats.webp = imagenes.webp === true && formats.anchos.length > 0;
+  formats.miniatura = imagenes.miniatura === true;
+
+  return formats;
+}
+
+/**
+ * Convierte un precio del JSON a número
+ *
+ * @param {string|number} value - Precio ("14.00" o 14)
+ * @returns {number|null} Precio numérico o null si no es válido
+ */
+function parsePrice(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value >= 0 ? value : null;
+  }
+  if (typeof value !== 'string' || !/^\s*\d+(\.\d+)?\s*$/.test(value)) {
+    return null;
+  }
+  return parseFloat(value);
+}
+
+
+// ============================================
+// VALIDACIÓN DEL DOCUMENTO
+// ============================================
+
+/**
+ * Lleva un documento de una versión anterior a la actual
+ * Lanza un error si la versión no se conoce.
+ *
+ * @param {Object} doc - Documento JSON del menú
+ * @returns {Object} Documento en la versión actual (el mismo si ya lo está)
+ */
+function upgradeMenuData(doc) {
+  let upgraded = doc;
+
+  while (upgraded.schemaVersion !== SCHEMA_CONFIG.version) {
+    const upgrade = SCHEMA_UPGRADES[upgraded.schemaVersion];
+    if (!upgrade) {
+      throw new Error(`Versión de esquema no soportada: ${doc.schemaVersion}`);
+    }
+    upgraded = upgrade(upgraded);
+  }
+
+  return upgraded;
+}
+
+/**
+ * Valida el documento completo del menú
+ * Devuelve las categorías reparadas y un reporte de problemas. Los
+ * documentos de versiones anteriores se actualizan antes de validarlos.
+ * Lanza un error si el documento no se puede usar en absoluto.
+ *
+ * @param {Object} doc - Documento JSON del menú
+ * @returns {{ data: Object, tags: Object, optionGroups: Object, categoryNames: Object, imageFormats: Object, report: { errors: string[], warnings: string[] } }}
+ */
+function validateMenuData(doc) {
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+    throw new Error('Formato de datos inválido');
+  }
+
+  const { schemaVersion } = doc;
+  doc = upgradeMenuData(doc);
+
+  const categorias = doc.categorias;
+  if (!categorias || typeof categorias !== 'object' || Array.isArray(categorias)) {
+    throw new Error('Formato de datos inválido: falta "categorias"');
+  }
+
+  const report = { errors: [], warnings: [] };
+  if (schemaVersion !== SCHEMA_CONFIG.version) {
+    report.warnings.push(`schemaVersion: documento v${schemaVersion} actualizado a v${SCHEMA_CONFIG.version}`);
+  }
+
+  const tags = validateTags(doc.etiquetas, report);
+  const optionGroups = validateOptionGroups(doc.opciones, report);
+  const categoryRules = doc.disponibilidad || {};
+  const usedIds = new Set();
+  const data = {};
+  let total = 0;
+
+  Object.entries(categorias).forEach(([cat, platos]) => {
+    if (!Array.isArray(platos)) {
+      report.errors.push(`${cat}: la categoría no es una lista, descartada`);
+      return;
+    }
+
+    const categoryRule = categoryRules[cat] !== undefined
+      ? validateAvailabilityRule(categoryRules[cat], `disponibilidad.${cat}`, report)
+      : null;
+
+    data[cat] = platos
+      .map((plato, index) => validateDish(plato, `${cat}[${index}]`, cat, usedIds, tags, optionGroups, categoryRule, report))
+      .filter(Boolean);
+
+    total += data[cat].length;
+  });
+
+  if (total === 0) {
+    throw new Error('El menú no contiene platos válidos');
+  }
+
+  const categoryNames = validateCategoryNames(doc.traducciones, data, report);
+  const imageFormats = validateImageFormats(doc.imagenes, report);
+
+  return { data, tags, optionGroups, categoryNames, imageFormats, report };
+}
+
+/**
+ * Muestra el reporte de validación en consola
+ *
+ * @param {Object} report - Reporte devuelto por validateMenuData
+ */
+function logValidationReport(report) {
+  if (report.errors.length === 0 && report.warnings.length === 0) return;
+
+  console.groupCollapsed(
+    `⚠️ Menú con ${report.errors.length} error(es) y ${report.warnings.length} aviso(s)`
+  );
+  report.errors.forEach(msg => console.error(msg));
+  report.warnings.forEach(msg => console.warn(msg));
+  console.groupEnd();
+}
+
+
+// ============================================
+// EXPORTAR API PÚBLICA
+// ============================================
+
+export const MenuSchema = {
+  version: SCHEMA_CONFIG.version,
+  upgrade: upgradeMenuData,
+  validate: validateMenuData,
+  logReport: logValidationReport,
+  parsePrice
+};
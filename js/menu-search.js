@@ -0,0 +1,181 @@
+/**
+ * MENU-SEARCH.JS
+ * Búsqueda en vivo de platos, insensible a tildes y mayúsculas: caja de
+ * búsqueda y resaltado de coincidencias (el filtrado está en MenuModel)
+ * La Arboleda Club - 2025
+ */
+
+import { Utils } from './utils.js';
+import { I18n } from './i18n.js';
+import { MenuModel } from './menu-model.js';
+
+// ============================================
+// CONFIGURACIÓN
+// ============================================
+const SEARCH_CONFIG = {
+  debounceDelay: 200,
+  snippetRadius: 40 // caracteres de contexto alrededor de una coincidencia
+};
+
+
+// ============================================
+// RESALTADO
+// ============================================
+
+/**
+ * Crea un fragmento con el texto y las coincidencias envueltas en <mark>
+ *
+ * @param {string} text - Texto original
+ * @param {string} query - Búsqueda (por defecto la activa)
+ * @returns {DocumentFragment}
+ */
+function highlightText(text, query = MenuModel.getActiveQuery()) {
+  const fragment = document.createDocumentFragment();
+  const ranges = MenuModel.findMatchRanges(text, MenuModel.getSearchTerms(query));
+  let cursor = 0;
+
+  ranges.forEach(([start, end]) => {
+    if (start > cursor) {
+      fragment.appendChild(document.createTextNode(text.slice(cursor, start)));
+    }
+    const mark = document.createElement('mark');
+    mark.className = 'search-highlight';
+    mark.textContent = text.slice(start, end);
+    fragment.appendChild(mark);
+    cursor = end;
+  });
+
+  if (cursor < text.length) {
+    fragment.appendChild(document.createTextNode(text.slice(cursor)));
+  }
+
+  return fragment;
+}
+
+/**
+ * Crea un extracto resaltado de la descripción cuando la coincidencia
+ * no aparece en el nombre del plato
+ *
+ * @param {Object} plato - Plato del menú
+ * @returns {HTMLElement|null}
+ */
+function createMatchSnippet(plato) {
+  const query = MenuModel.getActiveQuery();
+  const terms = MenuModel.getSearchTerms(query);
+  const descripcion = I18n.localize(plato, 'descripcion');
+  if (terms.length === 0 || !descripcion) return null;
+
+  // Si el nombre ya muestra todas las coincidencias no hace falta extracto
+  const nombre = MenuModel.normalizeText(I18n.localize(plato, 'nombre'));
+  if (terms.every(term => nombre.includes(term))) return null;
+
+  const ranges = MenuModel.findMatchRanges(descripcion, terms);
+  if (ranges.length === 0) return null;
+
+  const radius = SEARCH_CONFIG.snippetRadius;
+  const start = Math.max(0, ranges[0][0] - radius);
+  const end = Math.min(descripcion.length, ranges[0][1] + radius);
+  const excerpt = descripcion.slice(start, end);
+
+  const snippet = document.createElement('span');
+  snippet.className = 'search-snippet';
+  if (start > 0) snippet.appendChild(document.createTextNode('…'));
+  snippet.appendChild(highlightText(excerpt, query));
+  if (end < descripcion.length) snippet.appendChild(document.createTextNode('…'));
+
+  return snippet;
+}
+
+
+// ============================================
+// CAJA DE BÚSQUEDA
+// ============================================
+
+/**
+ * Aplica la búsqueda; la vista se re-renderiza al cambiar el modelo
+ *
+ * @param {string} query - Texto de búsqueda
+ */
+function applySearch(query) {
+  MenuModel.setSearch(query);
+
+  if (!MenuModel.state.data) return;
+
+  const trimmed = MenuModel.getActiveQuery();
+  if (trimmed) {
+    const count = MenuModel.countVisible();
+    announceSearchResults(count, trimmed);
+  }
+}
+
+/**
+ * Limpia la búsqueda
+ */
+function clearSearch() {
+  applySearch('');
+}
+
+/**
+ * Mantiene la caja de búsqueda al día si la búsqueda cambia desde fuera
+ * (p. ej. "Limpiar filtros")
+ */
+function syncSearchInput(changed, state) {
+  if (!changed.includes('searchQuery')) return;
+
+  const input = document.getElementById('menuSearch');
+  if (input && input.value !== state.searchQuery) {
+    input.value = state.searchQuery;
+  }
+}
+
+/**
+ * Anuncia el número de resultados para tecnologías asistivas
+ */
+function announceSearchResults(count, query) {
+  Utils.announce(I18n.t('search.results', { count, query }));
+}
+
+
+// ============================================
+// INICIALIZACIÓN
+// ============================================
+
+/**
+ * Inicializa la caja de búsqueda
+ */
+function initSearch() {
+  const input = document.getElementById('menuSearch');
+
+  if (!input) {
+    console.warn('Caja de búsqueda no encontrada');
+    return;
+  }
+
+  const handleInput = Utils.debounce(() => applySearch(input.value), SEARCH_CONFIG.debounceDelay);
+  input.addEventListener('input', handleInput);
+
+  // ESC limpia la búsqueda
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && input.value) {
+      e.preventDefault();
+      clearSearch();
+    }
+  });
+
+  MenuModel.subscribe(syncSearchInput);
+
+  console.log('✅ Búsqueda inicializada');
+}
+
+
+// ============================================
+// EXPORTAR API PÚBLICA
+// ============================================
+
+export const MenuSearch = {
+  init: initSearch,
+  apply: applySearch,
+  clear: clearSearch,
+  highlight: highlightText,
+  createSnippet: createMatchSnippet
+};
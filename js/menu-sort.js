@@ -0,0 +1,187 @@
+/**
+ * MENU-SORT.JS
+ * Orden de platos y filtro por rango de precios
+ * La Arboleda Club - 2025
+ */
+
+import { Utils } from './utils.js';
+import { I18n } from './i18n.js';
+import { MenuModel } from './menu-model.js';
+
+// ============================================
+// ELEMENTOS DEL DOM
+// ============================================
+const SortDOM = {
+  sortSelect: null,
+  popularOption: null,
+  priceMin: null,
+  priceMax: null,
+  priceOutput: null,
+
+  init() {
+    this.sortSelect = document.getElementById('menuSort');
+    this.popularOption = this.sortSelect?.querySelector('option[value="popular"]');
+    this.priceMin = document.getElementById('priceMin');
+    this.priceMax = document.getElementById('priceMax');
+    this.priceOutput = document.getElementById('priceRangeOutput');
+  }
+};
+
+
+// ============================================
+// ORDEN
+// ============================================
+
+/**
+ * Maneja el cambio de modo de orden
+ */
+function handleSortChange() {
+  if (!MenuModel.state.data) return;
+
+  MenuModel.setSortMode(SortDOM.sortSelect.value);
+
+  const label = SortDOM.sortSelect.selectedOptions[0]?.textContent || '';
+  announceSortChange(I18n.t('sort.sorted', { label: label.toLowerCase() }));
+}
+
+
+// ============================================
+// RANGO DE PRECIOS
+// ============================================
+
+/**
+ * Lee los sliders evitando que el mínimo supere al máximo
+ *
+ * @param {HTMLInputElement} changed - Slider que se movió
+ * @returns {{min: number, max: number}}
+ */
+function readPriceInputs(changed) {
+  let min = Number(SortDOM.priceMin.value);
+  let max = Number(SortDOM.priceMax.value);
+
+  if (min > max) {
+    if (changed === SortDOM.priceMin) {
+      max = min;
+      SortDOM.priceMax.value = max;
+    } else {
+      min = max;
+      SortDOM.priceMin.value = min;
+    }
+  }
+
+  return { min, max };
+}
+
+/**
+ * Actualiza el texto del rango seleccionado
+ */
+function updatePriceOutput(min, max) {
+  if (SortDOM.priceOutput) {
+    SortDOM.priceOutput.textContent = `S/ ${min} – S/ ${max}`;
+  }
+}
+
+/**
+ * Sincroniza sliders y selector con el estado del menú
+ * (tras cargar o actualizar datos, o al limpiar filtros)
+ */
+function syncSortControls() {
+  const state = MenuModel.state;
+  if (!state.priceBounds) return;
+
+  const { min, max } = state.priceBounds;
+  const range = state.priceRange || state.priceBounds;
+
+  [SortDOM.priceMin, SortDOM.priceMax].forEach(input => {
+    if (!input) return;
+    input.min = min;
+    input.max = max;
+    input.step = 1;
+  });
+
+  if (SortDOM.priceMin) SortDOM.priceMin.value = range.min;
+  if (SortDOM.priceMax) SortDOM.priceMax.value = range.max;
+  updatePriceOutput(range.min, range.max);
+
+  if (SortDOM.sortSelect) {
+    // "Más pedidos" solo tiene sentido cuando el menú trae popularidad
+    const hasPopularity = Object.values(state.data)
+      .flat()
+      .some(plato => plato.popularidad !== null);
+
+    if (SortDOM.popularOption) {
+      SortDOM.popularOption.hidden = !hasPopularity;
+      SortDOM.popularOption.disabled = !hasPopularity;
+    }
+
+    // Sin popularidad se ordena por defecto, sin olvidar la preferencia
+    if (state.sortMode === 'popular' && !hasPopularity) {
+      MenuModel.setSortMode('default', { persist: false });
+    }
+    SortDOM.sortSelect.value = state.sortMode;
+  }
+}
+
+/**
+ * Anuncia cambios de orden o precio para tecnologías asistivas
+ */
+function announceSortChange(message) {
+  Utils.announce(message);
+}
+
+
+// ============================================
+// INICIALIZACIÓN
+// ============================================
+
+/**
+ * Inicializa el selector de orden y los sliders de precio
+ */
+function initSort() {
+  SortDOM.init();
+
+  if (!SortDOM.sortSelect && !SortDOM.priceMin) {
+    console.warn('Controles de orden no encontrados');
+    return;
+  }
+
+  SortDOM.sortSelect?.addEventListener('change', handleSortChange);
+
+  // Re-renderizar con debounce mientras se arrastra el slider
+  const applyPrice = Utils.debounce(({ min, max }) => {
+    if (!MenuModel.state.data) return;
+
+    MenuModel.setPriceRange(min, max);
+    const count = MenuModel.countVisible();
+    announceSortChange(I18n.t('sort.priceRange', { count, min, max }));
+  }, 150);
+
+  [SortDOM.priceMin, SortDOM.priceMax].forEach(input => {
+    input?.addEventListener('input', () => {
+      const range = readPriceInputs(input);
+      updatePriceOutput(range.min, range.max);
+      applyPrice(range);
+    });
+  });
+
+  syncSortControls();
+
+  // Controles al día con los datos nuevos y con "Limpiar filtros"
+  MenuModel.subscribe(changed => {
+    if (['data', 'sortMode', 'priceRange'].some(key => changed.includes(key))) {
+      syncSortControls();
+    }
+  });
+
+  console.log('✅ Orden y rango de precios inicializados');
+}
+
+
+// ============================================
+// EXPORTAR API PÚBLICA
+// ============================================
+
+export const MenuSort = {
+  init: initSort,
+  sync: syncSortControls
+};
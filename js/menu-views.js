@@ -4,6 +4,11 @@
  * La Arboleda Club - 2025
  */
 
+import { Utils } from './utils.js';
+import { I18n } from './i18n.js';
+import { MenuModel } from './menu-model.js';
+import { MenuRouter } from './menu-router.js';
+
 // ============================================
 // ELEMENTOS DEL DOM
 // ============================================
@@ -26,83 +31,101 @@ const ViewsDOM = {
 // CAMBIO DE VISTA
 // ============================================
 
+// Transición pendiente hacia la vista detallada
+let transitionTimer = null;
+
 /**
  * Cambia a vista detallada (tarjetas)
+ *
+ * @param {Object} options
+ * @param {boolean} options.persist - Guardar como preferencia (solo al pulsar el botón)
+ * @param {boolean} options.announce - Anunciar el cambio a lectores de pantalla
+ */
+function switchToDetailedView({ persist = true, announce = true } = {}) {
+  if (!ViewsDOM.menuGrid || !ViewsDOM.menuSimple) return;
+  
+  // Actualizar estado del menú (botones, contenedores y carta siguen al modelo)
+  MenuModel.setView('detailed', { persist });
+  
+  // Anunciar para screen readers
+  if (announce) {
+    announceViewChange(I18n.t('views.detailed'));
+  }
+  
+  // Reflejar en la URL
+  MenuRouter.push();
+}
+
+/**
+ * Cambia a vista simple (lista)
+ *
+ * @param {Object} options
+ * @param {boolean} options.persist - Guardar como preferencia (solo al pulsar el botón)
+ * @param {boolean} options.announce - Anunciar el cambio a lectores de pantalla
  */
-function switchToDetailedView() {
+function switchToSimpleView({ persist = true, announce = true } = {}) {
   if (!ViewsDOM.menuGrid || !ViewsDOM.menuSimple) return;
   
-  // Actualizar estado global
-  if (window.MenuLoader?.state) {
-    window.MenuLoader.state.activeView = 'detailed';
+  // Actualizar estado del menú (botones, contenedores y carta siguen al modelo)
+  MenuModel.setView('simple', { persist });
+  
+  // Anunciar para screen readers
+  if (announce) {
+    announceViewChange(I18n.t('views.simple'));
   }
   
-  // Actualizar botones
-  updateViewButtons('detailed');
+  // Reflejar en la URL
+  MenuRouter.push();
+}
+
+/**
+ * Muestra el contenedor de la vista activa cuando cambia en el modelo
+ * El contenido lo renderiza MenuLoader al recibir el mismo cambio.
+ *
+ * @param {string[]} changed - Claves del estado que cambiaron
+ * @param {Object} state - Estado del menú
+ */
+function handleViewChange(changed, state) {
+  if (!changed.includes('activeView')) return;
+  
+  updateViewButtons(state.activeView);
+  clearTimeout(transitionTimer);
   
-  // Ocultar vista simple con transición
+  if (state.activeView === 'detailed') {
+    showDetailedView();
+  } else {
+    showSimpleView();
+  }
+}
+
+/**
+ * Oculta la lista con transición y muestra las tarjetas
+ */
+function showDetailedView() {
   ViewsDOM.menuSimple.classList.remove('active');
   
-  setTimeout(() => {
+  transitionTimer = setTimeout(() => {
     ViewsDOM.menuSimple.style.display = 'none';
     ViewsDOM.menuSimple.classList.add('hidden');
     
-    // Mostrar vista detallada
     ViewsDOM.menuGrid.style.display = 'grid';
     ViewsDOM.menuGrid.classList.remove('hidden');
-    
-    // Renderizar si es necesario
-    if (window.MenuLoader?.state.data) {
-      const category = window.MenuLoader.state.activeCategory;
-      window.MenuLoader.renderDetailedView(
-        window.MenuLoader.state.data,
-        category
-      );
-    }
   }, 400);
-  
-  // Anunciar para screen readers
-  announceViewChange('detallada');
 }
 
 /**
- * Cambia a vista simple (lista)
+ * Oculta las tarjetas y muestra la lista con su animación
  */
-function switchToSimpleView() {
-  if (!ViewsDOM.menuGrid || !ViewsDOM.menuSimple) return;
-  
-  // Actualizar estado global
-  if (window.MenuLoader?.state) {
-    window.MenuLoader.state.activeView = 'simple';
-  }
-  
-  // Actualizar botones
-  updateViewButtons('simple');
-  
-  // Ocultar vista detallada
+function showSimpleView() {
   ViewsDOM.menuGrid.style.display = 'none';
   ViewsDOM.menuGrid.classList.add('hidden');
   
-  // Mostrar vista simple
   ViewsDOM.menuSimple.style.display = 'block';
   ViewsDOM.menuSimple.classList.remove('hidden');
   
-  // Renderizar si es necesario
-  if (window.MenuLoader?.state.data) {
-    const category = window.MenuLoader.state.activeCategory;
-    window.MenuLoader.renderSimpleView(
-      window.MenuLoader.state.data,
-      category
-    );
-  }
-  
-  // Activar animación
   requestAnimationFrame(() => {
     ViewsDOM.menuSimple.classList.add('active');
   });
-  
-  // Anunciar para screen readers
-  announceViewChange('simple');
 }
 
 /**
@@ -126,19 +149,7 @@ function updateViewButtons(activeView) {
  * Anuncia cambios de vista para tecnologías asistivas
  */
 function announceViewChange(viewName) {
-  let announcer = document.getElementById('view-announcer');
-  
-  if (!announcer) {
-    announcer = document.createElement('div');
-    announcer.id = 'view-announcer';
-    announcer.className = 'sr-only';
-    announcer.setAttribute('role', 'status');
-    announcer.setAttribute('aria-live', 'polite');
-    announcer.setAttribute('aria-atomic', 'true');
-    document.body.appendChild(announcer);
-  }
-  
-  announcer.textContent = `Vista cambiada a ${viewName}`;
+  Utils.announce(I18n.t('views.changed', { view: viewName }));
 }
 
 
@@ -156,10 +167,13 @@ function initViewsListeners() {
   }
   
   // Botón vista detallada
-  ViewsDOM.toggleDetailed.addEventListener('click', switchToDetailedView);
+  ViewsDOM.toggleDetailed.addEventListener('click', () => switchToDetailedView());
   
   // Botón vista simple
-  ViewsDOM.toggleSimple.addEventListener('click', switchToSimpleView);
+  ViewsDOM.toggleSimple.addEventListener('click', () => switchToSimpleView());
+  
+  // Contenedores y botones al día con el modelo
+  MenuModel.subscribe(handleViewChange);
   
   console.log('✅ Event listeners de vistas configurados');
 }
@@ -182,8 +196,15 @@ function initViews() {
   
   initViewsListeners();
   
-  // Establecer vista inicial
-  updateViewButtons('detailed');
+  // Establecer vista inicial (la de la visita anterior; en modo mesa, la simple)
+  const initialView = MenuModel.state.activeView;
+  updateViewButtons(initialView);
+  
+  if (initialView === 'simple') {
+    ViewsDOM.menuGrid.classList.add('hidden');
+    ViewsDOM.menuSimple.classList.remove('hidden');
+    ViewsDOM.menuSimple.classList.add('active');
+  }
   
   console.log('✅ Sistema de vistas inicializado');
 }
@@ -193,7 +214,7 @@ function initViews() {
 // EXPORTAR API PÚBLICA
 // ============================================
 
-window.MenuViews = {
+export const MenuViews = {
   init: initViews,
   switchToDetailed: switchToDetailedView,
   switchToSimple: switchToSimpleView
@@ -1,16 +1,38 @@
 /**
  * MODAL.JS
- * Sistema de modales reutilizable con accesibilidad
+ * Modal de detalle de plato (#menuModal), construido sobre Dialog:
+ * opciones, precio, pedido, navegación entre platos y compartir
  * La Arboleda Club - 2025
  */
 
+import { Utils } from './utils.js';
+import { Html } from './html.js';
+import { Dialog } from './dialog.js';
+import { I18n } from './i18n.js';
+import { MenuModel } from './menu-model.js';
+import { MenuOptions } from './menu-options.js';
+import { MenuImages } from './menu-images.js';
+import { MenuAvailability } from './menu-availability.js';
+import { MenuRouter } from './menu-router.js';
+import { TableMode } from './table-mode.js';
+import { Cart } from './cart.js';
+
+// ============================================
+// CONFIGURACIÓN
+// ============================================
+const MODAL_CONFIG = {
+  swipeThreshold: 60 // Píxeles horizontales para pasar de plato con el dedo
+};
+
+
 // ============================================
 // ESTADO DEL MODAL
 // ============================================
 let modalState = {
-  isOpen: false,
-  lastFocusedElement: null,
-  focusableElements: []
+  dialog: null, // Diálogo de #menuModal (apertura, cierre, foco y apilado)
+  currentPlato: null,
+  selection: null, // Tamaño y opciones elegidos para el plato abierto
+  touchStart: null // { x, y } del gesto de deslizar en curso
 };
 
 
@@ -19,21 +41,35 @@ let modalState = {
 // ============================================
 const ModalDOM = {
   modal: null,
-  overlay: null,
-  closeBtn: null,
   image: null,
   title: null,
   description: null,
+  tags: null,
+  options: null,
   price: null,
+  availability: null,
+  addBtn: null,
+  shareBtn: null,
+  nav: null,
+  prevBtn: null,
+  nextBtn: null,
+  position: null,
   
   init() {
     this.modal = document.getElementById('menuModal');
-    this.overlay = this.modal?.querySelector('.modal__overlay');
-    this.closeBtn = document.getElementById('modalClose');
     this.image = document.getElementById('modalImage');
     this.title = document.getElementById('modalTitle');
     this.description = document.getElementById('modalDescription');
+    this.tags = document.getElementById('modalTags');
+    this.options = document.getElementById('modalOptions');
     this.price = document.getElementById('modalPrice');
+    this.availability = document.getElementById('modalAvailability');
+    this.addBtn = document.getElementById('modalAddToCart');
+    this.shareBtn = document.getElementById('modalShare');
+    this.nav = document.getElementById('modalNav');
+    this.prevBtn = document.getElementById('modalPrev');
+    this.nextBtn = document.getElementById('modalNext');
+    this.position = document.getElementById('modalPosition');
   }
 };
 
@@ -47,54 +83,331 @@ const ModalDOM = {
  * @param {Object} plato - Datos del plato
  */
 function openMenuModal(plato) {
-  if (!ModalDOM.modal) {
+  if (!modalState.dialog) {
     console.error('Modal no encontrado en el DOM');
     return;
   }
   
-  // Guardar el elemento que tenía foco
-  modalState.lastFocusedElement = document.activeElement;
+  // Al pasar de plato o al volver con el historial durante el cierre, el
+  // diálogo no guarda de nuevo el foco ni lo mueve
+  const wasOpen = modalState.dialog.status !== 'closed';
+  // Selección por defecto, salvo que sea el plato ya abierto (p. ej. al navegar con el historial)
+  if (modalState.currentPlato?.id !== plato.id || !modalState.selection) {
+    modalState.selection = MenuOptions.getDefaultSelection(plato);
+  }
+  modalState.currentPlato = plato;
   
   // Actualizar contenido del modal
+  renderModalContent(plato);
+  
+  // Mostrar modal (el focus trap sigue los cambios de contenido)
+  modalState.dialog.open();
+  
+  // Reflejar el plato en la URL
+  MenuRouter.onDishOpen(plato, { replace: wasOpen });
+}
+
+
+/**
+ * Rellena imagen, textos, etiquetas y disponibilidad del plato
+ * @param {Object} plato - Datos del plato
+ */
+function renderModalContent(plato) {
   if (ModalDOM.image) {
-    ModalDOM.image.src = plato.imagen;
-    ModalDOM.image.alt = plato.nombre;
+    MenuImages.set(ModalDOM.image, plato, 'modal');
+    ModalDOM.image.alt = I18n.localize(plato, 'nombre');
   }
   
   if (ModalDOM.title) {
-    ModalDOM.title.textContent = plato.nombre;
+    ModalDOM.title.textContent = I18n.localize(plato, 'nombre');
   }
   
   if (ModalDOM.description) {
-    ModalDOM.description.textContent = plato.descripcion;
+    ModalDOM.description.textContent = I18n.localize(plato, 'descripcion');
+  }
+  
+  if (ModalDOM.tags) {
+    renderModalTags(plato.etiquetas || []);
   }
   
-  if (ModalDOM.price) {
-    ModalDOM.price.textContent = `S/ ${plato.precio}`;
+  if (ModalDOM.options) {
+    renderModalOptions(plato);
   }
   
-  // Mostrar modal
-  ModalDOM.modal.style.display = 'flex';
-  ModalDOM.modal.setAttribute('aria-hidden', 'false');
+  updateModalPrice(plato);
+  renderModalAvailability(plato);
+  renderModalNav(plato);
+}
+
+/**
+ * Muestra las etiquetas de dieta y alérgenos del plato
+ * @param {string[]} etiquetas - Claves de etiquetas del plato
+ */
+function renderModalTags(etiquetas) {
+  const catalog = MenuModel.state.tags;
+  
+  ModalDOM.tags.innerHTML = '';
+  
+  etiquetas
+    .filter(key => catalog[key])
+    .forEach(key => {
+      const tag = catalog[key];
+      const item = document.createElement('li');
+      item.className = `tag tag--${tag.tipo}`;
+      Html.render(item, Html.html`<i class="fas ${tag.icono}" aria-hidden="true"></i> ${I18n.localize(tag, 'nombre')}`);
+      ModalDOM.tags.appendChild(item);
+    });
+  
+  ModalDOM.tags.hidden = ModalDOM.tags.children.length === 0;
+}
+
+/**
+ * Muestra los tamaños y grupos de opciones del plato
+ * Tamaños y opciones obligatorias son radios; los extras, casillas.
+ * @param {Object} plato - Plato abierto
+ */
+function renderModalOptions(plato) {
+  const seleccion = modalState.selection;
+  ModalDOM.options.innerHTML = '';
+  
+  if ((plato.variantes || []).length > 0) {
+    ModalDOM.options.appendChild(createOptionGroup({
+      kind: 'variante',
+      key: 'variante',
+      legend: I18n.t('options.size'),
+      type: 'radio',
+      items: plato.variantes.map(variante => ({
+        id: variante.id,
+        label: I18n.localize(variante, 'nombre'),
+        price: Utils.formatPrice(variante.precioValor),
+        checked: seleccion.variante === variante.id
+      }))
+    }));
+  }
+  
+  MenuOptions.getGroups(plato).forEach(group => {
+    const isSingle = group.tipo === 'unica';
+    const chosen = seleccion.opciones[group.key] || [];
+    
+    ModalDOM.options.appendChild(createOptionGroup({
+      kind: 'opcion',
+      key: group.key,
+      legend: I18n.localize(group, 'nombre'),
+      hint: I18n.t(isSingle ? 'options.required' : 'options.optional'),
+      type: isSingle ? 'radio' : 'checkbox',
+      items: group.items.map(item => ({
+        id: item.id,
+        label: I18n.localize(item, 'nombre'),
+        price: item.precioValor > 0 ? `+ ${Utils.formatPrice(item.precioValor)}` : '',
+        checked: chosen.includes(item.id)
+      }))
+    }));
+  });
+  
+  ModalDOM.options.hidden = ModalDOM.options.children.length === 0;
+}
+
+/**
+ * Crea el fieldset de un tamaño o grupo de opciones
+ */
+function createOptionGroup({ kind, key, legend, hint = '', type, items }) {
+  const fieldset = document.createElement('fieldset');
+  fieldset.className = 'modal-option-group';
+  fieldset.dataset.kind = kind;
+  fieldset.dataset.group = key;
+  
+  Html.render(fieldset, Html.html`
+    <legend class="modal-option-group__legend">
+      ${legend}
+      ${hint && Html.html`<span class="modal-option-group__hint">${hint}</span>`}
+    </legend>
+  `);
   
-  // Esperar un frame para la animación
-  requestAnimationFrame(() => {
-    ModalDOM.modal.style.opacity = '1';
+  items.forEach(item => {
+    const label = document.createElement('label');
+    label.className = 'modal-option';
+    Html.render(label, Html.html`
+      <input type="${type}" name="modalOption-${key}" value="${item.id}">
+      <span class="modal-option__name">${item.label}</span>
+      ${item.price && Html.html`<span class="modal-option__price">${item.price}</span>`}
+    `);
+    label.querySelector('input').checked = item.checked;
+    fieldset.appendChild(label);
   });
   
-  // Prevenir scroll del body
-  document.body.style.overflow = 'hidden';
+  return fieldset;
+}
+
+/**
+ * Lee un grupo tras un cambio y actualiza la selección y el precio
+ */
+function handleOptionChange(event) {
+  const fieldset = event.target.closest('.modal-option-group');
+  const plato = modalState.currentPlato;
+  if (!fieldset || !plato) return;
+  
+  const checked = Array.from(fieldset.querySelectorAll('input:checked'), input => input.value);
+  const seleccion = modalState.selection;
+  
+  if (fieldset.dataset.kind === 'variante') {
+    seleccion.variante = checked[0] || null;
+  } else if (checked.length > 0) {
+    seleccion.opciones[fieldset.dataset.group] = checked;
+  } else {
+    delete seleccion.opciones[fieldset.dataset.group];
+  }
+  
+  fieldset.classList.remove('modal-option-group--invalid');
+  updateModalPrice(plato);
+}
+
+/**
+ * Muestra el precio con el tamaño y los extras elegidos
+ * @param {Object} plato - Plato abierto
+ */
+function updateModalPrice(plato) {
+  if (!ModalDOM.price) return;
+  ModalDOM.price.textContent = Utils.formatPrice(MenuOptions.getPrice(plato, modalState.selection));
+}
+
+/**
+ * Agrega el plato abierto al pedido con su selección
+ * Si falta una opción obligatoria, la marca y lleva el foco a ella.
+ */
+function addCurrentDishToCart() {
+  const plato = modalState.currentPlato;
+  if (!plato) return;
+  
+  const missing = MenuOptions.getMissingGroups(plato, modalState.selection);
+  if (missing.length > 0) {
+    missing.forEach(group => {
+      ModalDOM.options
+        .querySelector(`[data-kind="opcion"][data-group="${group.key}"]`)
+        ?.classList.add('modal-option-group--invalid');
+    });
+    ModalDOM.options.querySelector('.modal-option-group--invalid input')?.focus();
+    return;
+  }
+  
+  Cart.add(plato.id, 1, modalState.selection);
+}
+
+/**
+ * Indica si el plato está agotado o fuera de horario
+ * y deshabilita el botón de agregar al pedido
+ * @param {Object} plato - Plato abierto
+ */
+function renderModalAvailability(plato) {
+  const status = MenuAvailability.getStatus(plato);
+  
+  if (ModalDOM.availability) {
+    ModalDOM.availability.textContent = status.label;
+    ModalDOM.availability.classList.toggle('hidden', status.available);
+  }
+  
+  if (ModalDOM.addBtn) {
+    ModalDOM.addBtn.disabled = !status.available;
+  }
+}
+
+
+// ============================================
+// NAVEGACIÓN ENTRE PLATOS
+// ============================================
+
+/**
+ * Posición del plato en la lista visible (categoría, filtros y orden activos)
+ * @param {Object} plato - Plato abierto
+ * @returns {{ list: Object[], index: number }} index es -1 si no está visible
+ */
+function getDishPosition(plato) {
+  const list = MenuModel.getVisibleList();
+  return { list, index: list.findIndex(item => item.id === plato.id) };
+}
+
+/**
+ * Actualiza los botones anterior/siguiente y el indicador "3 de 9 en Pescados"
+ * Se oculta si el plato no está en la lista visible (p. ej. un enlace directo).
+ * @param {Object} plato - Plato abierto
+ */
+function renderModalNav(plato) {
+  if (!ModalDOM.nav) return;
+  
+  const { list, index } = getDishPosition(plato);
+  ModalDOM.nav.hidden = index === -1 || list.length < 2;
+  if (ModalDOM.nav.hidden) return;
+  
+  // Si el botón con foco queda deshabilitado, pasar el foco al otro
+  const focused = document.activeElement;
+  ModalDOM.prevBtn.disabled = index === 0;
+  ModalDOM.nextBtn.disabled = index === list.length - 1;
+  
+  if (focused === ModalDOM.prevBtn && ModalDOM.prevBtn.disabled) ModalDOM.nextBtn.focus();
+  if (focused === ModalDOM.nextBtn && ModalDOM.nextBtn.disabled) ModalDOM.prevBtn.focus();
+  
+  const category = MenuModel.state.activeCategory;
+  const params = { index: index + 1, total: list.length };
+  
+  ModalDOM.position.textContent = category === 'all'
+    ? I18n.t('modal.positionAll', params)
+    : I18n.t('modal.position', { ...params, category: MenuModel.categoryLabel(category) });
+}
+
+/**
+ * Muestra el plato anterior (-1) o siguiente (1) de la lista visible
+ */
+function navigateDish(offset) {
+  const plato = modalState.currentPlato;
+  if (!modalState.dialog?.isOpen() || !plato || !ModalDOM.nav || ModalDOM.nav.hidden) return;
+  
+  const { list, index } = getDishPosition(plato);
+  const target = index === -1 ? null : list[index + offset];
+  
+  if (target) {
+    openMenuModal(target);
+  }
+}
+
+/**
+ * Pasa de plato con las flechas del teclado
+ * No interfiere con las flechas dentro de los radios de opciones ni con un
+ * diálogo abierto encima del modal.
+ */
+function handleModalArrows(event) {
+  if (!modalState.dialog?.isTop() || event.target.closest?.('input, select, textarea')) return;
+  
+  if (event.key === 'ArrowLeft') {
+    event.preventDefault();
+    navigateDish(-1);
+  } else if (event.key === 'ArrowRight') {
+    event.preventDefault();
+    navigateDish(1);
+  }
+}
+
+/**
+ * Registra el inicio de un gesto de deslizar
+ */
+function handleTouchStart(event) {
+  const touch = event.changedTouches[0];
+  modalState.touchStart = { x: touch.clientX, y: touch.clientY };
+}
+
+/**
+ * Pasa de plato al deslizar en horizontal (a la izquierda: siguiente)
+ */
+function handleTouchEnd(event) {
+  if (!modalState.touchStart) return;
   
-  // Configurar focus trap
-  setupFocusTrap();
+  const touch = event.changedTouches[0];
+  const dx = touch.clientX - modalState.touchStart.x;
+  const dy = touch.clientY - modalState.touchStart.y;
+  modalState.touchStart = null;
   
-  // Enfocar el botón de cerrar
-  setTimeout(() => {
-    ModalDOM.closeBtn?.focus();
-  }, 100);
+  // Ignorar gestos cortos o mayormente verticales (scroll del modal)
+  if (Math.abs(dx) < MODAL_CONFIG.swipeThreshold || Math.abs(dx) < Math.abs(dy) * 1.5) return;
   
-  // Actualizar estado
-  modalState.isOpen = true;
+  navigateDish(dx < 0 ? 1 : -1);
 }
 
 
@@ -104,75 +417,94 @@ function openMenuModal(plato) {
 
 /**
  * Cierra el modal
+ * La X, el overlay y Escape lo cierran a través del diálogo.
  */
 function closeMenuModal() {
-  if (!ModalDOM.modal || !modalState.isOpen) return;
+  modalState.dialog?.close();
+}
+
+/**
+ * Olvida el plato mostrado y lo quita de la URL
+ */
+function handleModalClose() {
+  modalState.currentPlato = null;
+  MenuRouter.onDishClose();
+}
+
+
+/**
+ * Elemento que recibe el foco al cerrar
+ * Si se pasó a otro plato dentro del modal, su tarjeta (o su fila en la
+ * vista simple) en lugar de la que abrió el modal.
+ * @param {HTMLElement|null} last - Elemento que tenía el foco al abrir
+ * @returns {HTMLElement|null}
+ */
+function getFocusReturnTarget(last) {
+  const plato = modalState.currentPlato;
+  if (!plato) return last;
   
-  // Animación de salida
-  ModalDOM.modal.style.opacity = '0';
+  if (last?.isConnected && last.closest('[data-id]')?.dataset.id === plato.id) {
+    return last;
+  }
   
-  setTimeout(() => {
-    ModalDOM.modal.style.display = 'none';
-    ModalDOM.modal.setAttribute('aria-hidden', 'true');
-    
-    // Restaurar scroll del body
-    document.body.style.overflow = '';
-    
-    // Restaurar foco al elemento anterior
-    if (modalState.lastFocusedElement) {
-      modalState.lastFocusedElement.focus();
-    }
-    
-    // Actualizar estado
-    modalState.isOpen = false;
-  }, 300);
+  const viewId = MenuModel.state.activeView === 'simple' ? 'menuSimple' : 'menuGrid';
+  const element = document.getElementById(viewId)?.querySelector(`[data-id="${plato.id}"]`);
+  if (!element) return last;
+  
+  // Las tarjetas son enfocables (aunque no sean la parada de tabulación); las filas no
+  return element.hasAttribute('tabindex') ? element : element.querySelector('button') || last;
 }
 
 
 // ============================================
-// FOCUS TRAP (ACCESIBILIDAD)
+// COMPARTIR PLATO
 // ============================================
 
 /**
- * Configura el focus trap dentro del modal
+ * Comparte el enlace directo al plato abierto
+ * Usa el menú nativo de compartir (WhatsApp, etc.) o copia el enlace.
  */
-function setupFocusTrap() {
-  if (!ModalDOM.modal) return;
+async function shareCurrentDish() {
+  const plato = modalState.currentPlato;
+  if (!plato) return;
   
-  // Obtener todos los elementos enfocables
-  const focusableSelectors = [
-    'button:not([disabled])',
-    '[href]',
-    'input:not([disabled])',
-    'select:not([disabled])',
-    'textarea:not([disabled])',
-    '[tabindex]:not([tabindex="-1"])'
-  ].join(', ');
+  // Sin ?mesa=N: el enlace no debe abrir la carta en modo mesa
+  const url = TableMode.getShareableUrl();
   
-  modalState.focusableElements = Array.from(
-    ModalDOM.modal.querySelectorAll(focusableSelectors)
-  );
+  try {
+    if (navigator.share) {
+      await navigator.share({
+        title: `${I18n.localize(plato, 'nombre')} | La Arboleda Club`,
+        text: `${I18n.localize(plato, 'nombre')} - ${MenuOptions.getPriceLabel(plato)}`,
+        url
+      });
+      return;
+    }
+    
+    await navigator.clipboard.writeText(url);
+    showShareFeedback(I18n.t('modal.linkCopied'));
+  } catch (error) {
+    // El usuario canceló el diálogo de compartir
+    if (error.name !== 'AbortError') {
+      console.warn('No se pudo compartir el plato:', error);
+      showShareFeedback(I18n.t('modal.copyFailed'));
+    }
+  }
 }
 
 /**
- * Maneja la navegación por Tab dentro del modal
+ * Muestra un mensaje temporal en el botón de compartir
  */
-function handleModalTab(event) {
-  if (!modalState.isOpen || event.key !== 'Tab') return;
+function showShareFeedback(message) {
+  if (!ModalDOM.shareBtn) return;
   
-  const firstElement = modalState.focusableElements[0];
-  const lastElement = modalState.focusableElements[modalState.focusableElements.length - 1];
+  const label = ModalDOM.shareBtn.querySelector('.modal__share-label');
+  if (!label) return;
   
-  // Si shift+tab en el primer elemento, ir al último
-  if (event.shiftKey && document.activeElement === firstElement) {
-    event.preventDefault();
-    lastElement.focus();
-  }
-  // Si tab en el último elemento, ir al primero
-  else if (!event.shiftKey && document.activeElement === lastElement) {
-    event.preventDefault();
-    firstElement.focus();
-  }
+  label.textContent = message;
+  
+  // Volver al texto del botón en el idioma activo
+  setTimeout(() => I18n.apply(ModalDOM.shareBtn), 2000);
 }
 
 
@@ -186,21 +518,23 @@ function handleModalTab(event) {
 function initModalListeners() {
   if (!ModalDOM.modal) return;
   
-  // Botón de cerrar
-  ModalDOM.closeBtn?.addEventListener('click', closeMenuModal);
+  // Tamaño y opciones del plato
+  ModalDOM.options?.addEventListener('change', handleOptionChange);
   
-  // Clic en overlay para cerrar
-  ModalDOM.overlay?.addEventListener('click', closeMenuModal);
+  // Agregar el plato abierto al pedido
+  ModalDOM.addBtn?.addEventListener('click', addCurrentDishToCart);
   
-  // Tecla ESC para cerrar
-  document.addEventListener('keydown', (e) => {
-    if (e.key === 'Escape' && modalState.isOpen) {
-      closeMenuModal();
-    }
-  });
+  // Compartir enlace al plato
+  ModalDOM.shareBtn?.addEventListener('click', shareCurrentDish);
   
-  // Focus trap
-  document.addEventListener('keydown', handleModalTab);
+  // Plato anterior/siguiente: botones, flechas y deslizar
+  ModalDOM.prevBtn?.addEventListener('click', () => navigateDish(-1));
+  ModalDOM.nextBtn?.addEventListener('click', () => navigateDish(1));
+  document.addEventListener('keydown', handleModalArrows);
+  
+  const content = ModalDOM.modal.querySelector('.modal__content');
+  content?.addEventListener('touchstart', handleTouchStart, { passive: true });
+  content?.addEventListener('touchend', handleTouchEnd, { passive: true });
   
   console.log('✅ Event listeners del modal configurados');
 }
@@ -211,7 +545,7 @@ function initModalListeners() {
 // ============================================
 
 /**
- * Inicializa el sistema de modales
+ * Inicializa el modal de detalle de plato
  */
 function initModal() {
   ModalDOM.init();
@@ -221,8 +555,22 @@ function initModal() {
     return;
   }
   
+  Dialog.init();
+  modalState.dialog = Dialog.create(ModalDOM.modal, {
+    returnFocus: getFocusReturnTarget,
+    onClose: handleModalClose
+  });
+  
   initModalListeners();
-  console.log('✅ Sistema de modales inicializado');
+  
+  // Traducir el plato abierto al cambiar de idioma
+  I18n.onChange(() => {
+    if (modalState.dialog.isOpen() && modalState.currentPlato) {
+      renderModalContent(modalState.currentPlato);
+    }
+  });
+  
+  console.log('✅ Modal de platos inicializado');
 }
 
 
@@ -230,12 +578,8 @@ function initModal() {
 // EXPORTAR API PÚBLICA
 // ============================================
 
-window.Modal = {
+export const Modal = {
   init: initModal,
   open: openMenuModal,
   close: closeMenuModal
-};
-
-// Hacer disponible la función global para compatibilidad
-window.openMenuModal = openMenuModal;
-window.closeModal = closeMenuModal;
\ No newline at end of file
+};
\ No newline at end of file
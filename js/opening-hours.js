@@ -0,0 +1,381 @@
+/**
+ * OPENING-HOURS.JS
+ * Horario de atención del club: horario semanal, excepciones por feriados
+ * e indicador "Abierto ahora" en cabecera y pie de página
+ * Las horas se calculan siempre en America/Lima, no con el reloj del dispositivo.
+ * La Arboleda Club - 2025
+ */
+
+import { Utils } from './utils.js';
+import { I18n } from './i18n.js';
+
+// ============================================
+// CONFIGURACIÓN
+// ============================================
+const HOURS_CONFIG = {
+  jsonUrl: 'data/hours.json',
+  timeZone: 'America/Lima',
+  utcOffset: '-05:00', // Lima no tiene horario de verano
+  refreshInterval: 60 * 1000, // Actualizar el indicador cada minuto
+  lookAheadDays: 14, // Días a revisar para encontrar la próxima apertura
+  weekdays: ['dom', 'lun', 'mar', 'mie', 'jue', 'vie', 'sab']
+};
+
+const HOURS_TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const HOURS_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+
+// ============================================
+// ESTADO
+// ============================================
+const HoursState = {
+  weekly: null, // { mar: [{ desde, hasta }], ... }
+  exceptions: {}, // { '2025-12-25': { horarios: [], motivo } }
+  timer: null
+};
+
+let hoursReady = null; // Promesa de la carga de data/hours.json
+
+
+// ============================================
+// CARGA Y VALIDACIÓN
+// ============================================
+
+/**
+ * Valida una franja { desde, hasta }; si "hasta" es menor o igual que
+ * "desde" la franja cruza la medianoche
+ *
+ * @returns {Object|null}
+ */
+function normalizeInterval(interval, label) {
+  if (!HOURS_TIME_PATTERN.test(interval?.desde) || !HOURS_TIME_PATTERN.test(interval?.hasta)) {
+    console.warn(`${label}: "desde"/"hasta" deben estar en formato HH:MM, franja ignorada`);
+    return null;
+  }
+  return { desde: interval.desde, hasta: interval.hasta };
+}
+
+/**
+ * Convierte el bloque "semanal" en franjas por día de la semana
+ * Formato: [{ "dias": ["mar", "mie"], "desde": "12:00", "hasta": "23:00" }]
+ */
+function normalizeWeekly(semanal = []) {
+  const weekly = Object.fromEntries(HOURS_CONFIG.weekdays.map(day => [day, []]));
+
+  (Array.isArray(semanal) ? semanal : []).forEach((rule, index) => {
+    const label = `semanal[${index}]`;
+    const interval = normalizeInterval(rule, label);
+    const dias = Array.isArray(rule?.dias) ? rule.dias : [];
+
+    if (!interval) return;
+    if (dias.length === 0 || dias.some(day => !HOURS_CONFIG.weekdays.includes(day))) {
+      console.warn(`${label}: "dias" inválidos (use ${HOURS_CONFIG.weekdays.join(', ')}), franja ignorada`);
+      return;
+    }
+
+    dias.forEach(day => weekly[day].push(interval));
+  });
+
+  Object.values(weekly).forEach(intervals => intervals.sort((a, b) => a.desde.localeCompare(b.desde)));
+  return weekly;
+}
+
+/**
+ * Convierte el bloque "excepciones" (feriados, horarios especiales)
+ * Formato: [{ "fecha": "2025-12-25", "cerrado": true, "motivo": "Navidad" }]
+ * o con "horarios": [{ "desde": "09:00", "hasta": "15:00" }] en vez de "cerrado".
+ */
+function normalizeExceptions(excepciones = []) {
+  const exceptions = {};
+
+  (Array.isArray(excepciones) ? excepciones : []).forEach((exception, index) => {
+    const label = `excepciones[${index}]`;
+
+    if (!HOURS_DATE_PATTERN.test(exception?.fecha)) {
+      console.warn(`${label}: "fecha" debe estar en formato AAAA-MM-DD, ignorada`);
+      return;
+    }
+
+    const horarios = exception.cerrado === true
+      ? []
+      : (Array.isArray(exception.horarios) ? exception.horarios : [])
+        .map((interval, i) => normalizeInterval(interval, `${label}.horarios[${i}]`))
+        .filter(Boolean);
+
+    if (exception.cerrado !== true && horarios.length === 0) {
+      console.warn(`${label}: indique "cerrado": true o al menos un horario, ignorada`);
+      return;
+    }
+
+    exceptions[exception.fecha] = {
+      horarios: horarios.sort((a, b) => a.desde.localeCompare(b.desde)),
+      motivo: exception.motivo ? String(exception.motivo) : ''
+    };
+  });
+
+  return exceptions;
+}
+
+/**
+ * Descarga data/hours.json
+ */
+async function loadHours() {
+  const response = await fetch(HOURS_CONFIG.jsonUrl);
+
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+
+  const doc = await response.json();
+  HoursState.weekly = normalizeWeekly(doc?.semanal);
+  HoursState.exceptions = normalizeExceptions(doc?.excepciones);
+}
+
+
+// ============================================
+// CONSULTAS
+// ============================================
+
+/**
+ * Convierte "HH:MM" a minutos desde la medianoche
+ */
+function hoursToMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Instante de una fecha y hora de Lima ("2025-12-24", "09:00")
+ */
+function toServiceDate(dateKey, time = '00:00') {
+  return new Date(`${dateKey}T${time}:00${HOURS_CONFIG.utcOffset}`);
+}
+
+/**
+ * Fecha "AAAA-MM-DD" de Lima desplazada un número de días
+ */
+function shiftDateKey(dateKey, days) {
+  const date = toServiceDate(dateKey, '12:00');
+  date.setTime(date.getTime() + days * 24 * 60 * 60 * 1000);
+  return Utils.getZonedTime(date, HOURS_CONFIG.timeZone).dateKey;
+}
+
+/**
+ * Indica si el horario ya se cargó
+ */
+function isHoursLoaded() {
+  return HoursState.weekly !== null;
+}
+
+/**
+ * Franjas de atención de una fecha de Lima, con las excepciones aplicadas
+ *
+ * @param {string} dateKey - Fecha "AAAA-MM-DD"
+ * @returns {Array<{ desde: string, hasta: string }>} Vacío si ese día está cerrado
+ */
+function getIntervals(dateKey) {
+  if (!isHoursLoaded()) return [];
+
+  if (HoursState.exceptions[dateKey]) {
+    return HoursState.exceptions[dateKey].horarios;
+  }
+
+  const { weekday } = Utils.getZonedTime(toServiceDate(dateKey, '12:00'), HOURS_CONFIG.timeZone);
+  return HoursState.weekly[HOURS_CONFIG.weekdays[weekday]];
+}
+
+/**
+ * Franjas como instantes de inicio y fin (las que cruzan la medianoche
+ * terminan al día siguiente)
+ */
+function getServiceRanges(dateKey) {
+  return getIntervals(dateKey).map(({ desde, hasta }) => {
+    const start = toServiceDate(dateKey, desde);
+    const end = hoursToMinutes(hasta) > hoursToMinutes(desde)
+      ? toServiceDate(dateKey, hasta)
+      : toServiceDate(shiftDateKey(dateKey, 1), hasta);
+    return { start, end };
+  });
+}
+
+/**
+ * Franja de atención que contiene un instante, si la hay
+ *
+ * @returns {{ start: Date, end: Date }|null}
+ */
+function findRange(date) {
+  const today = Utils.getZonedTime(date, HOURS_CONFIG.timeZone).dateKey;
+
+  // Las franjas de ayer que cruzan la medianoche también cuentan
+  return [...getServiceRanges(shiftDateKey(today, -1)), ...getServiceRanges(today)]
+    .find(range => date >= range.start && date < range.end) || null;
+}
+
+/**
+ * Indica si el club atiende en un instante y, opcionalmente, durante
+ * los minutos siguientes (p. ej. la duración de una reserva)
+ *
+ * @param {Date} date - Instante a evaluar (por defecto ahora)
+ * @param {number} duration - Minutos que deben quedar antes del cierre
+ * @returns {boolean}
+ */
+function isWithinService(date = new Date(), duration = 0) {
+  const range = findRange(date);
+  return Boolean(range) && range.end - date >= duration * 60 * 1000;
+}
+
+/**
+ * Próxima apertura después de un instante
+ *
+ * @returns {Date|null} null si no abre en los próximos días revisados
+ */
+function getNextOpening(date = new Date()) {
+  const today = Utils.getZonedTime(date, HOURS_CONFIG.timeZone).dateKey;
+
+  for (let offset = 0; offset <= HOURS_CONFIG.lookAheadDays; offset++) {
+    const next = getServiceRanges(shiftDateKey(today, offset))
+      .find(range => range.start > date);
+    if (next) return next.start;
+  }
+
+  return null;
+}
+
+/**
+ * Estado del club en un instante
+ *
+ * @param {Date} date - Instante a evaluar (por defecto ahora)
+ * @returns {{ open: boolean, closesAt: Date|null, opensAt: Date|null, motivo: string }}
+ *   motivo: texto de la excepción del día (p. ej. "Navidad"), si la hay
+ */
+function getHoursStatus(date = new Date()) {
+  const range = findRange(date);
+  const today = Utils.getZonedTime(date, HOURS_CONFIG.timeZone).dateKey;
+
+  return {
+    open: Boolean(range),
+    closesAt: range ? range.end : null,
+    opensAt: range ? null : getNextOpening(date),
+    motivo: HoursState.exceptions[today]?.motivo || ''
+  };
+}
+
+
+// ============================================
+// INDICADOR "ABIERTO AHORA"
+// ============================================
+
+/**
+ * Hora "HH:MM" de Lima de un instante
+ */
+function formatServiceTime(date) {
+  const { hours, minutes } = Utils.getZonedTime(date, HOURS_CONFIG.timeZone);
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+/**
+ * Texto del indicador: "Abierto ahora · Cierra a las 17:00",
+ * "Cerrado · Abre mañana a las 09:00"
+ */
+function getStatusLabel(status, now = new Date()) {
+  if (status.open) {
+    return `${I18n.t('hours.openNow')} · ${I18n.t('hours.closesAt', { time: formatServiceTime(status.closesAt) })}`;
+  }
+
+  const closed = status.motivo
+    ? I18n.t('hours.closedFor', { reason: status.motivo })
+    : I18n.t('hours.closed');
+
+  if (!status.opensAt) return closed;
+
+  const time = formatServiceTime(status.opensAt);
+  const today = Utils.getZonedTime(now, HOURS_CONFIG.timeZone).dateKey;
+  const openingDay = Utils.getZonedTime(status.opensAt, HOURS_CONFIG.timeZone).dateKey;
+
+  let opens;
+  if (openingDay === today) {
+    opens = I18n.t('hours.opensToday', { time });
+  } else if (openingDay === shiftDateKey(today, 1)) {
+    opens = I18n.t('hours.opensTomorrow', { time });
+  } else {
+    const day = Utils.formatDate(status.opensAt, {
+      year: undefined,
+      month: undefined,
+      day: undefined,
+      timeZone: HOURS_CONFIG.timeZone
+    }, I18n.getLanguage() === 'en' ? 'en-US' : 'es-PE');
+    opens = I18n.t('hours.opensOn', { day, time });
+  }
+
+  return `${closed} · ${opens}`;
+}
+
+/**
+ * Actualiza todos los indicadores [data-hours-status] de la página
+ */
+function renderHoursStatus() {
+  const elements = document.querySelectorAll('[data-hours-status]');
+  if (elements.length === 0 || !isHoursLoaded()) return;
+
+  const now = new Date();
+  const status = getHoursStatus(now);
+  const label = getStatusLabel(status, now);
+
+  elements.forEach(element => {
+    element.hidden = false;
+    element.classList.toggle('hours-status--open', status.open);
+    element.classList.toggle('hours-status--closed', !status.open);
+    element.innerHTML = '<span class="hours-status__dot" aria-hidden="true"></span><span class="hours-status__text"></span>';
+    element.querySelector('.hours-status__text').textContent = label;
+  });
+}
+
+
+// ============================================
+// INICIALIZACIÓN
+// ============================================
+
+/**
+ * Carga el horario y muestra el indicador; se puede llamar varias veces
+ *
+ * @returns {Promise<void>} Se resuelve al terminar la carga (aunque falle)
+ */
+function initOpeningHours() {
+  if (hoursReady) return hoursReady;
+
+  hoursReady = loadHours()
+    .then(() => {
+      renderHoursStatus();
+
+      // Cambios de abierto/cerrado mientras la página está abierta
+      HoursState.timer = setInterval(renderHoursStatus, HOURS_CONFIG.refreshInterval);
+      document.addEventListener('visibilitychange', () => {
+        if (!document.hidden) renderHoursStatus();
+      });
+      I18n.onChange(renderHoursStatus);
+
+      console.log('✅ Horario de atención cargado');
+    })
+    .catch(error => {
+      console.error('❌ Error al cargar el horario de atención:', error);
+    });
+
+  return hoursReady;
+}
+
+
+// ============================================
+// EXPORTAR API PÚBLICA
+// ============================================
+
+export const OpeningHours = {
+  init: initOpeningHours,
+  isLoaded: isHoursLoaded,
+  isOpen: (date = new Date()) => isWithinService(date),
+  isWithinService,
+  getStatus: getHoursStatus,
+  getIntervals,
+  getNextOpening,
+  toDate: toServiceDate,
+  render: renderHoursStatus
+};
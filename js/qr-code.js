@@ -0,0 +1,463 @@
+/**
+ * QR-CODE.JS
+ * Generador de códigos QR sin dependencias ni conexión (modo byte,
+ * corrección de errores nivel M, versiones 1 a 10)
+ * La Arboleda Club - 2025
+ */
+
+// ============================================
+// CONFIGURACIÓN
+// ============================================
+
+// Nivel M (~15 % de corrección): tolera manchas y dobleces en la mesa.
+// Hasta la versión 10 caben 213 bytes, de sobra para la URL de una mesa.
+const QR_CONFIG = {
+  // Por versión: códigos de corrección por bloque y grupos [bloques, datos por bloque]
+  blocks: [
+    null,
+    { ec: 10, groups: [[1, 16]] },
+    { ec: 16, groups: [[1, 28]] },
+    { ec: 26, groups: [[1, 44]] },
+    { ec: 18, groups: [[2, 32]] },
+    { ec: 24, groups: [[2, 43]] },
+    { ec: 16, groups: [[4, 27]] },
+    { ec: 18, groups: [[4, 31]] },
+    { ec: 22, groups: [[2, 38], [2, 39]] },
+    { ec: 22, groups: [[3, 36], [2, 37]] },
+    { ec: 26, groups: [[4, 43], [1, 44]] }
+  ],
+  // Centros de los patrones de alineación por versión
+  alignment: [
+    null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34],
+    [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]
+  ],
+  levelBits: 0b00, // Nivel M en la información de formato
+  margin: 4 // Zona de silencio, en módulos
+};
+
+// Condiciones de las 8 máscaras (x = columna, y = fila)
+const QR_MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(y / 2) + Math.floor(x / 3)) % 2 === 0,
+  (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+  (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+
+// ============================================
+// REED-SOLOMON EN GF(256)
+// ============================================
+const GF_EXP = new Uint8Array(512);
+const GF_LOG = new Uint8Array(256);
+
+(function initGaloisField() {
+  let value = 1;
+  for (let i = 0; i < 255; i++) {
+    GF_EXP[i] = value;
+    GF_LOG[value] = i;
+    value <<= 1;
+    if (value & 0x100) value ^= 0x11d;
+  }
+  for (let i = 255; i < 512; i++) {
+    GF_EXP[i] = GF_EXP[i - 255];
+  }
+})();
+
+function gfMultiply(a, b) {
+  return a === 0 || b === 0 ? 0 : GF_EXP[GF_LOG[a] + GF_LOG[b]];
+}
+
+/**
+ * Polinomio generador de grado n (sin el coeficiente principal)
+ */
+function rsGenerator(degree) {
+  let poly = [1];
+
+  for (let i = 0; i < degree; i++) {
+    const next = new Array(poly.length + 1).fill(0);
+    poly.forEach((coef, j) => {
+      next[j] ^= coef;
+      next[j + 1] ^= gfMultiply(coef, GF_EXP[i]);
+    });
+    poly = next;
+  }
+
+  return poly.slice(1);
+}
+
+/**
+ * Códigos de corrección de un bloque de datos
+ */
+function rsRemainder(data, generator) {
+  const result = new Array(generator.length).fill(0);
+
+  data.forEach(byte => {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    generator.forEach((coef, i) => {
+      result[i] ^= gfMultiply(coef, factor);
+    });
+  });
+
+  return result;
+}
+
+
+// ============================================
+// CODIFICACIÓN DE LOS DATOS
+// ============================================
+
+/**
+ * Bytes de datos que admite una versión
+ */
+function getDataCapacity(version) {
+  return QR_CONFIG.blocks[version].groups
+    .reduce((total, [count, size]) => total + count * size, 0);
+}
+
+/**
+ * Convierte el texto en la secuencia de bits a dibujar (datos y
+ * corrección intercalados), eligiendo la versión más pequeña en que cabe
+ *
+ * @returns {{ version: number, codewords: number[] }}
+ */
+function encodeData(text) {
+  const bytes = new TextEncoder().encode(text);
+
+  let version = 1;
+  const fits = v => 4 + (v < 10 ? 8 : 16) + bytes.length * 8 <= getDataCapacity(v) * 8;
+  while (version < QR_CONFIG.blocks.length && !fits(version)) version++;
+
+  if (version >= QR_CONFIG.blocks.length) {
+    throw new Error(`Texto demasiado largo para el código QR (${bytes.length} bytes, máximo ${getDataCapacity(10) - 3})`);
+  }
+
+  // Modo byte + longitud + datos + terminador
+  const capacity = getDataCapacity(version) * 8;
+  const bits = [];
+  const push = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+
+  push(0b0100, 4);
+  push(bytes.length, version < 10 ? 8 : 16);
+  bytes.forEach(byte => push(byte, 8));
+  push(0, Math.min(4, capacity - bits.length));
+  push(0, (8 - bits.length % 8) % 8);
+
+  const data = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  for (let pad = 0xec; data.length < capacity / 8; pad ^= 0xec ^ 0x11) {
+    data.push(pad);
+  }
+
+  // Bloques con su corrección, intercalados byte a byte
+  const { ec, groups } = QR_CONFIG.blocks[version];
+  const generator = rsGenerator(ec);
+  const dataBlocks = [];
+  let offset = 0;
+
+  groups.forEach(([count, size]) => {
+    for (let i = 0; i < count; i++) {
+      dataBlocks.push(data.slice(offset, offset + size));
+      offset += size;
+    }
+  });
+
+  const ecBlocks = dataBlocks.map(block => rsRemainder(block, generator));
+  const codewords = [];
+  const maxSize = Math.max(...dataBlocks.map(block => block.length));
+
+  for (let i = 0; i < maxSize; i++) {
+    dataBlocks.forEach(block => {
+      if (i < block.length) codewords.push(block[i]);
+    });
+  }
+  for (let i = 0; i < ec; i++) {
+    ecBlocks.forEach(block => codewords.push(block[i]));
+  }
+
+  return { version, codewords };
+}
+
+
+// ============================================
+// MATRIZ DEL CÓDIGO
+// ============================================
+
+/**
+ * Dibuja los patrones fijos (localización, alineación, sincronización) y
+ * reserva las zonas de formato y versión
+ */
+function drawFunctionPatterns(qr) {
+  const { size, version } = qr;
+  const set = (x, y, dark) => {
+    qr.modules[y][x] = dark;
+    qr.reserved[y][x] = true;
+  };
+
+  // Patrones de localización con su separador
+  [[0, 0], [size - 7, 0], [0, size - 7]].forEach(([left, top]) => {
+    for (let dy = -1; dy <= 7; dy++) {
+      for (let dx = -1; dx <= 7; dx++) {
+        const x = left + dx;
+        const y = top + dy;
+        if (x < 0 || y < 0 || x >= size || y >= size) continue;
+
+        const distance = Math.max(Math.abs(dx - 3), Math.abs(dy - 3));
+        set(x, y, distance !== 2 && distance !== 4);
+      }
+    }
+  });
+
+  // Patrones de alineación (excepto donde chocan con los de localización)
+  const centers = QR_CONFIG.alignment[version];
+  const last = centers.length - 1;
+  centers.forEach((cy, i) => {
+    centers.forEach((cx, j) => {
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    });
+  });
+
+  // Patrones de sincronización
+  for (let i = 8; i < size - 8; i++) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+
+  // Zonas de formato (se escriben después de elegir la máscara)
+  for (let i = 0; i < 9; i++) {
+    qr.reserved[8][i] = true;
+    qr.reserved[i][8] = true;
+  }
+  for (let i = 0; i < 8; i++) {
+    qr.reserved[8][size - 1 - i] = true;
+    qr.reserved[size - 1 - i][8] = true;
+  }
+
+  // Información de versión (desde la versión 7)
+  if (version >= 7) {
+    let rem = version;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+    const bits = (version << 12) | rem;
+
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) === 1;
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      set(a, b, dark);
+      set(b, a, dark);
+    }
+  }
+}
+
+/**
+ * Coloca los bits de datos en zigzag, de abajo a la derecha hacia arriba
+ */
+function drawCodewords(qr, codewords) {
+  const { size } = qr;
+  let index = 0;
+
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5; // Se salta la columna de sincronización
+
+    for (let vertical = 0; vertical < size; vertical++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vertical : vertical;
+
+        if (qr.reserved[y][x]) continue;
+
+        // Los bits que sobran (restos) quedan en claro
+        if (index < codewords.length * 8) {
+          qr.modules[y][x] = ((codewords[index >>> 3] >>> (7 - (index & 7))) & 1) === 1;
+          index++;
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Invierte los módulos de datos según la máscara (aplicarla dos veces la quita)
+ */
+function applyMask(qr, mask) {
+  const condition = QR_MASKS[mask];
+
+  for (let y = 0; y < qr.size; y++) {
+    for (let x = 0; x < qr.size; x++) {
+      if (!qr.reserved[y][x] && condition(x, y)) {
+        qr.modules[y][x] = !qr.modules[y][x];
+      }
+    }
+  }
+}
+
+/**
+ * Escribe el nivel de corrección y la máscara (con su código BCH)
+ */
+function drawFormatBits(qr, mask) {
+  const { size, modules } = qr;
+  const data = (QR_CONFIG.levelBits << 3) | mask;
+  let rem = data;
+  for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  const bits = ((data << 10) | rem) ^ 0x5412;
+  const bit = i => ((bits >>> i) & 1) === 1;
+
+  // Copia junto a la esquina superior izquierda
+  for (let i = 0; i <= 5; i++) modules[i][8] = bit(i);
+  modules[7][8] = bit(6);
+  modules[8][8] = bit(7);
+  modules[8][7] = bit(8);
+  for (let i = 9; i < 15; i++) modules[8][14 - i] = bit(i);
+
+  // Copia repartida entre las otras dos esquinas
+  for (let i = 0; i < 8; i++) modules[8][size - 1 - i] = bit(i);
+  for (let i = 8; i < 15; i++) modules[size - 15 + i][8] = bit(i);
+  modules[size - 8][8] = true; // Módulo oscuro fijo
+}
+
+
+// ============================================
+// ELECCIÓN DE LA MÁSCARA
+// ============================================
+
+/**
+ * Penalización de una matriz según las cuatro reglas del estándar:
+ * rachas del mismo color, bloques 2x2, patrones parecidos a los de
+ * localización y desequilibrio entre claros y oscuros
+ */
+function getPenalty({ size, modules }) {
+  let penalty = 0;
+  let dark = 0;
+  const finderLike = [true, false, true, true, true, false, true];
+
+  const scanLine = get => {
+    let run = 1;
+    for (let i = 1; i <= size; i++) {
+      if (i < size && get(i) === get(i - 1)) {
+        run++;
+      } else {
+        if (run >= 5) penalty += run - 2;
+        run = 1;
+      }
+    }
+
+    // 1:1:3:1:1 con cuatro módulos claros a un lado
+    for (let i = 0; i + 7 <= size; i++) {
+      if (!finderLike.every((value, k) => get(i + k) === value)) continue;
+
+      const lightBefore = i >= 4 && [1, 2, 3, 4].every(k => !get(i - k));
+      const lightAfter = i + 11 <= size && [7, 8, 9, 10].every(k => !get(i + k));
+      if (lightBefore || lightAfter) penalty += 40;
+    }
+  };
+
+  for (let i = 0; i < size; i++) {
+    scanLine(x => modules[i][x]);
+    scanLine(y => modules[y][i]);
+  }
+
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) dark++;
+      if (x < size - 1 && y < size - 1) {
+        const color = modules[y][x];
+        if (modules[y][x + 1] === color && modules[y + 1][x] === color && modules[y + 1][x + 1] === color) {
+          penalty += 3;
+        }
+      }
+    }
+  }
+
+  const total = size * size;
+  penalty += Math.floor(Math.abs(dark * 20 - total * 10) / total) * 10;
+
+  return penalty;
+}
+
+
+// ============================================
+// API
+// ============================================
+
+/**
+ * Genera el código QR de un texto
+ *
+ * @param {string} text - Texto o URL a codificar
+ * @returns {{ version: number, size: number, mask: number, modules: boolean[][] }}
+ */
+function createQrCode(text) {
+  const { version, codewords } = encodeData(String(text));
+  const size = 17 + version * 4;
+  const qr = {
+    version,
+    size,
+    mask: 0,
+    modules: Array.from({ length: size }, () => new Array(size).fill(false)),
+    reserved: Array.from({ length: size }, () => new Array(size).fill(false))
+  };
+
+  drawFunctionPatterns(qr);
+  drawCodewords(qr, codewords);
+
+  // Probar las 8 máscaras y quedarse con la de menor penalización
+  let best = { mask: 0, penalty: Infinity };
+  for (let mask = 0; mask < QR_MASKS.length; mask++) {
+    applyMask(qr, mask);
+    drawFormatBits(qr, mask);
+    const penalty = getPenalty(qr);
+    if (penalty < best.penalty) best = { mask, penalty };
+    applyMask(qr, mask);
+  }
+
+  applyMask(qr, best.mask);
+  drawFormatBits(qr, best.mask);
+  qr.mask = best.mask;
+  delete qr.reserved;
+
+  return qr;
+}
+
+/**
+ * Dibuja el código como SVG (escalable, nítido al imprimir)
+ *
+ * @param {Object} qr - Resultado de createQrCode
+ * @param {Object} options - { margin: módulos de zona de silencio }
+ * @returns {string} Marcado SVG
+ */
+function qrToSvg(qr, { margin = QR_CONFIG.margin } = {}) {
+  const dimension = qr.size + margin * 2;
+  const path = [];
+
+  qr.modules.forEach((row, y) => {
+    row.forEach((dark, x) => {
+      if (dark) path.push(`M${x + margin} ${y + margin}h1v1h-1z`);
+    });
+  });
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dimension} ${dimension}" shape-rendering="crispEdges" aria-hidden="true"><rect width="100%" height="100%" fill="#fff"/><path d="${path.join('')}" fill="#000"/></svg>`;
+}
+
+
+// ============================================
+// EXPORTAR API PÚBLICA
+// ============================================
+
+export const QRCode = {
+  create: createQrCode,
+  toSvg: qrToSvg
+};
@@ -0,0 +1,459 @@
+/**
+ * RESERVATIONS.JS
+ * Formulario de reservas: validación con el horario de atención
+ * (opening-hours.js) y envío de la solicitud por WhatsApp o correo
+ * Las fechas y horas se interpretan siempre en hora de Lima.
+ * La Arboleda Club - 2025
+ */
+
+import { Utils } from './utils.js';
+import { I18n } from './i18n.js';
+import { OpeningHours } from './opening-hours.js';
+
+// ============================================
+// CONFIGURACIÓN
+// ============================================
+const RESERVATION_CONFIG = {
+  whatsappNumber: '51908881162',
+  email: 'contacto@laarboledaclub.pe',
+  storageKey: 'arboleda_reserva_cliente',
+  timeZone: 'America/Lima',
+  lastSeating: 60, // minutos antes del cierre para la última reserva
+  slotInterval: 30, // minutos entre horarios ofrecidos
+  minLeadTime: 120, // minutos de anticipación mínima
+  maxAdvanceDays: 60,
+  minPartySize: 1,
+  maxPartySize: 20, // Grupos más grandes coordinan por teléfono
+  maxNotesLength: 300,
+  areas: {
+    jardin: 'Jardín',
+    salon: 'Salón'
+  }
+};
+
+// Campos que se recuerdan para la próxima reserva
+const REMEMBERED_FIELDS = ['nombre', 'telefono', 'email'];
+
+
+// ============================================
+// ELEMENTOS DEL DOM
+// ============================================
+const ReservationDOM = {
+  form: null,
+  date: null,
+  time: null,
+  remember: null,
+  status: null,
+
+  init() {
+    this.form = document.getElementById('reservaForm');
+    if (!this.form) return;
+
+    this.date = this.form.elements.fecha;
+    this.time = this.form.elements.hora;
+    this.remember = this.form.elements.recordar;
+    this.status = document.getElementById('reservaStatus');
+  }
+};
+
+
+// ============================================
+// FECHAS Y HORARIOS
+// ============================================
+
+/**
+ * Convierte "HH:MM" a minutos desde la medianoche
+ */
+function timeToMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Convierte minutos desde la medianoche a "HH:MM"
+ */
+function minutesToTime(total) {
+  const hours = String(Math.floor(total / 60)).padStart(2, '0');
+  const minutes = String(total % 60).padStart(2, '0');
+  return `${hours}:${minutes}`;
+}
+
+/**
+ * Fecha "AAAA-MM-DD" de Lima desplazada un número de días desde un instante
+ */
+function getDateKey(now, offsetDays = 0) {
+  const date = new Date(now.getTime() + offsetDays * 24 * 60 * 60 * 1000);
+  return Utils.getZonedTime(date, RESERVATION_CONFIG.timeZone).dateKey;
+}
+
+/**
+ * Horarios que se ofrecen para reservar en una fecha: desde cada apertura
+ * hasta la última reserva antes del cierre
+ *
+ * @param {string} fecha - Fecha "AAAA-MM-DD" de Lima
+ * @returns {string[]} Horas "HH:MM"; vacío si ese día no se atiende
+ */
+function getTimeSlots(fecha) {
+  const { lastSeating, slotInterval } = RESERVATION_CONFIG;
+  const slots = new Set();
+
+  OpeningHours.getIntervals(fecha).forEach(({ desde, hasta }) => {
+    const start = timeToMinutes(desde);
+    let end = timeToMinutes(hasta);
+    if (end <= start) end += 24 * 60; // Cruza la medianoche
+
+    // Solo se ofrecen horas del mismo día
+    const last = Math.min(end - lastSeating, 24 * 60 - 1);
+    for (let minutes = start; minutes <= last; minutes += slotInterval) {
+      slots.add(minutesToTime(minutes));
+    }
+  });
+
+  return [...slots].sort();
+}
+
+
+// ============================================
+// VALIDACIÓN
+// ============================================
+
+/**
+ * Valida los datos de la reserva
+ *
+ * @param {Object} values - Valores del formulario (ver readForm)
+ * @param {Date} now - Momento de referencia
+ * @returns {Object} Mensaje de error por campo; vacío si todo es válido
+ */
+function validateReservation(values, now = new Date()) {
+  const config = RESERVATION_CONFIG;
+  const errors = {};
+
+  if (values.nombre.length < 2) {
+    errors.nombre = I18n.t('reservation.errorName');
+  }
+
+  if (!/^\+?[\d\s-]+$/.test(values.telefono) || values.telefono.replace(/\D/g, '').length < 9) {
+    errors.telefono = I18n.t('reservation.errorPhone');
+  }
+
+  if (values.email && !Utils.isValidEmail(values.email)) {
+    errors.email = I18n.t('reservation.errorEmail');
+  }
+
+  const personas = Number(values.personas);
+  if (!Number.isInteger(personas) || personas < config.minPartySize || personas > config.maxPartySize) {
+    errors.personas = I18n.t('reservation.errorPeople', { min: config.minPartySize, max: config.maxPartySize });
+  }
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(values.fecha) || Number.isNaN(OpeningHours.toDate(values.fecha).getTime())) {
+    errors.fecha = I18n.t('reservation.errorDate');
+  } else if (!OpeningHours.isLoaded()) {
+    errors.fecha = I18n.t('reservation.errorNoHours');
+  } else if (values.fecha > getDateKey(now, config.maxAdvanceDays)) {
+    errors.fecha = I18n.t('reservation.errorTooFar', { days: config.maxAdvanceDays });
+  } else if (OpeningHours.getIntervals(values.fecha).length === 0) {
+    errors.fecha = I18n.t('reservation.errorClosedDay');
+  }
+
+  if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(values.hora)) {
+    errors.hora = I18n.t('reservation.errorTime');
+  } else if (!errors.fecha) {
+    const date = OpeningHours.toDate(values.fecha, values.hora);
+
+    if (!OpeningHours.isWithinService(date, config.lastSeating)) {
+      errors.hora = I18n.t('reservation.errorHours');
+    } else if (date - now < config.minLeadTime * 60 * 1000) {
+      errors.hora = I18n.t('reservation.errorLeadTime', { hours: config.minLeadTime / 60 });
+    }
+  }
+
+  if (!config.areas[values.area]) {
+    errors.area = I18n.t('reservation.errorArea');
+  }
+
+  return errors;
+}
+
+
+// ============================================
+// FORMULARIO
+// ============================================
+
+/**
+ * Lee los valores del formulario, sin espacios sobrantes
+ */
+function readForm() {
+  const { elements } = ReservationDOM.form;
+
+  return {
+    nombre: elements.nombre.value.trim(),
+    telefono: elements.telefono.value.trim(),
+    email: elements.email.value.trim(),
+    personas: elements.personas.value.trim(),
+    fecha: elements.fecha.value,
+    hora: elements.hora.value,
+    area: elements.area.value,
+    notas: elements.notas.value.trim().slice(0, RESERVATION_CONFIG.maxNotesLength)
+  };
+}
+
+/**
+ * Muestra u oculta el error de un campo
+ *
+ * @param {string} name - Nombre del campo
+ * @param {string} message - Mensaje, o vacío para limpiarlo
+ */
+function setFieldError(name, message) {
+  const error = document.getElementById(`reserva-${name}-error`);
+  const field = ReservationDOM.form.elements[name];
+  const inputs = field instanceof RadioNodeList ? [...field] : [field];
+
+  inputs.forEach(input => {
+    if (message) {
+      input.setAttribute('aria-invalid', 'true');
+    } else {
+      input.removeAttribute('aria-invalid');
+    }
+  });
+
+  if (error) error.textContent = message || '';
+}
+
+/**
+ * Muestra los errores de validación y enfoca el primer campo con error
+ *
+ * @param {Object} errors - Mensaje de error por campo
+ */
+function showErrors(errors) {
+  const names = ['nombre', 'telefono', 'email', 'personas', 'fecha', 'hora', 'area'];
+  names.forEach(name => setFieldError(name, errors[name]));
+
+  const first = names.find(name => errors[name]);
+  if (first) {
+    const field = ReservationDOM.form.elements[first];
+    (field instanceof RadioNodeList ? field[0] : field).focus();
+  }
+}
+
+/**
+ * Muestra un mensaje de estado bajo el formulario
+ */
+function setStatus(message, isError = false) {
+  if (!ReservationDOM.status) return;
+
+  ReservationDOM.status.textContent = message;
+  ReservationDOM.status.classList.toggle('reserva-form__status--error', isError);
+}
+
+/**
+ * Rellena el selector de horas con los horarios de la fecha elegida
+ * (se llama de nuevo al cambiar de fecha o de idioma)
+ */
+function renderTimeOptions() {
+  const selected = ReservationDOM.time.value;
+  const fecha = ReservationDOM.date.value;
+  const slots = fecha ? getTimeSlots(fecha) : [];
+
+  let placeholder = 'reservation.timePlaceholder';
+  if (!fecha) {
+    placeholder = 'reservation.timePickDate';
+  } else if (slots.length === 0) {
+    placeholder = 'reservation.timeNoSlots';
+  }
+
+  ReservationDOM.time.replaceChildren(
+    new Option(I18n.t(placeholder), ''),
+    ...slots.map(slot => new Option(slot, slot))
+  );
+  ReservationDOM.time.value = slots.includes(selected) ? selected : '';
+}
+
+/**
+ * Limita el calendario a las fechas que se pueden reservar
+ */
+function updateDateLimits() {
+  const now = new Date();
+  ReservationDOM.date.min = getDateKey(now);
+  ReservationDOM.date.max = getDateKey(now, RESERVATION_CONFIG.maxAdvanceDays);
+}
+
+
+// ============================================
+// DATOS DEL CLIENTE
+// ============================================
+
+/**
+ * Rellena nombre, teléfono y correo con los de la última reserva
+ */
+function restoreCustomer() {
+  const saved = Utils.getLocalStorage(RESERVATION_CONFIG.storageKey);
+  if (!saved) return;
+
+  REMEMBERED_FIELDS.forEach(name => {
+    if (typeof saved[name] === 'string') {
+      ReservationDOM.form.elements[name].value = saved[name];
+    }
+  });
+}
+
+/**
+ * Guarda u olvida los datos del cliente según la casilla "Recordar mis datos"
+ */
+function saveCustomer(values) {
+  if (!ReservationDOM.remember.checked) {
+    Utils.removeLocalStorage(RESERVATION_CONFIG.storageKey);
+    return;
+  }
+
+  const customer = {};
+  REMEMBERED_FIELDS.forEach(name => {
+    customer[name] = values[name];
+  });
+  Utils.setLocalStorage(RESERVATION_CONFIG.storageKey, customer);
+}
+
+
+// ============================================
+// ENVÍO DE LA SOLICITUD
+// ============================================
+
+/**
+ * Compone la solicitud de reserva
+ * Siempre en español: la lee el personal.
+ *
+ * @param {Object} values - Valores validados del formulario
+ * @returns {string}
+ */
+function buildReservationMessage(values) {
+  const fecha = Utils.formatDate(OpeningHours.toDate(values.fecha, '12:00'), { timeZone: RESERVATION_CONFIG.timeZone });
+
+  const lines = [
+    '¡Hola La Arboleda Club! Quisiera reservar una mesa:',
+    '',
+    `• Nombre: ${values.nombre}`,
+    `• Teléfono: ${values.telefono}`
+  ];
+
+  if (values.email) lines.push(`• Correo: ${values.email}`);
+
+  lines.push(
+    `• Personas: ${values.personas}`,
+    `• Fecha: ${fecha}`,
+    `• Hora: ${values.hora}`,
+    `• Zona: ${RESERVATION_CONFIG.areas[values.area]}`
+  );
+
+  if (values.notas) lines.push(`• Notas: ${values.notas}`);
+
+  return lines.join('\n');
+}
+
+/**
+ * Abre WhatsApp o el correo con la solicitud lista para enviar
+ *
+ * @param {Object} values - Valores validados del formulario
+ * @param {string} channel - 'whatsapp' o 'email'
+ */
+function sendReservation(values, channel) {
+  const message = buildReservationMessage(values);
+
+  if (channel === 'email') {
+    const subject = `Reserva: ${values.fecha} ${values.hora} - ${values.personas} personas`;
+    window.location.href = `mailto:${RESERVATION_CONFIG.email}` +
+      `?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(message)}`;
+    setStatus(I18n.t('reservation.sentEmail'));
+  } else {
+    const text = encodeURIComponent(message);
+    window.open(`https://wa.me/${RESERVATION_CONFIG.whatsappNumber}?text=${text}`, '_blank', 'noopener');
+    setStatus(I18n.t('reservation.sentWhatsapp'));
+  }
+}
+
+/**
+ * Valida y envía el formulario por el canal del botón pulsado
+ */
+function handleSubmit(e) {
+  e.preventDefault();
+
+  const values = readForm();
+  const errors = validateReservation(values);
+  showErrors(errors);
+
+  if (Object.keys(errors).length > 0) {
+    setStatus(I18n.t('reservation.invalid'), true);
+    return;
+  }
+
+  saveCustomer(values);
+  sendReservation(values, e.submitter?.value === 'email' ? 'email' : 'whatsapp');
+}
+
+/**
+ * Al elegir la fecha: horarios de ese día y aviso inmediato si no se atiende
+ */
+function handleDateChange() {
+  renderTimeOptions();
+
+  const fecha = ReservationDOM.date.value;
+  if (fecha && OpeningHours.isLoaded() && getTimeSlots(fecha).length === 0) {
+    setFieldError('fecha', I18n.t('reservation.errorClosedDay'));
+  }
+}
+
+/**
+ * Vuelve a validar un campo con error al corregirlo
+ */
+function handleFieldChange(e) {
+  const name = e.target.name;
+  const field = ReservationDOM.form.elements[name];
+  const input = field instanceof RadioNodeList ? field[0] : field;
+
+  if (!input || input.getAttribute('aria-invalid') !== 'true') return;
+
+  setFieldError(name, validateReservation(readForm())[name]);
+}
+
+
+// ============================================
+// INICIALIZACIÓN
+// ============================================
+
+/**
+ * Inicializa el formulario de reservas
+ */
+function initReservations() {
+  ReservationDOM.init();
+  if (!ReservationDOM.form) return;
+
+  renderTimeOptions();
+  updateDateLimits();
+  restoreCustomer();
+
+  ReservationDOM.form.addEventListener('submit', handleSubmit);
+  ReservationDOM.date.addEventListener('change', handleDateChange);
+  ReservationDOM.form.addEventListener('change', handleFieldChange);
+  ReservationDOM.form.addEventListener('input', Utils.debounce(handleFieldChange, 300));
+
+  // Al cambiar de idioma: textos del selector de hora y errores visibles
+  I18n.onChange(() => {
+    renderTimeOptions();
+    if (ReservationDOM.form.querySelector('[aria-invalid="true"]')) {
+      const errors = validateReservation(readForm());
+      Object.keys(errors).forEach(name => setFieldError(name, errors[name]));
+    }
+  });
+
+  console.log('✅ Formulario de reservas inicializado');
+}
+
+
+// ============================================
+// EXPORTAR API PÚBLICA
+// ============================================
+
+export const Reservations = {
+  init: initReservations,
+  validate: validateReservation,
+  buildMessage: buildReservationMessage,
+  getTimeSlots
+};
@@ -0,0 +1,194 @@
+/**
+ * ROVING-FOCUS.JS
+ * Navegación con flechas dentro de un grupo de elementos con una sola
+ * parada de tabulación (tabindex itinerante): barra de filtros y grid de platos
+ * La Arboleda Club - 2025
+ */
+
+// ============================================
+// CONFIGURACIÓN
+// ============================================
+
+// Controles dentro de un elemento que solo son tabulables en el elemento activo
+const NESTED_CONTROLS = 'button, a[href], input, select, textarea';
+
+// Grupos inicializados: contenedor -> { selector, control, orientation, current }
+const groups = new WeakMap();
+
+
+// ============================================
+// PARADA DE TABULACIÓN
+// ============================================
+
+/**
+ * Elementos navegables del grupo, en orden del DOM
+ */
+function getItems(container) {
+  const { selector } = groups.get(container);
+  return [...container.querySelectorAll(selector)].filter(item => !item.hidden && !item.disabled);
+}
+
+/**
+ * Elemento que recibe el foco: el control indicado dentro del elemento
+ * (p. ej. el botón con el nombre del plato) o el propio elemento
+ */
+function getFocusTarget(container, item) {
+  const { control } = groups.get(container);
+  return control ? item.querySelector(control) : item;
+}
+
+/**
+ * Deja al elemento indicado como única parada de tabulación del grupo
+ * Los controles internos (p. ej. "Agregar al pedido") siguen al elemento.
+ */
+function setTabStop(container, items, target) {
+  const { control } = groups.get(container);
+  groups.get(container).current = target;
+
+  items.forEach(item => {
+    const isTarget = item === target;
+    if (!control) item.tabIndex = isTarget ? 0 : -1;
+
+    item.querySelectorAll(NESTED_CONTROLS).forEach(control => {
+      control.tabIndex = isTarget ? 0 : -1;
+    });
+  });
+}
+
+/**
+ * Recalcula la parada de tabulación tras re-renderizar el grupo
+ * En orden: el elemento con el foco, el preferido, la parada anterior si
+ * sigue en el grupo y, si no, el primero.
+ *
+ * @param {HTMLElement} container - Contenedor del grupo
+ * @param {HTMLElement} preferred - Elemento a usar si ninguno tiene el foco (p. ej. el filtro activo)
+ */
+function syncTabStop(container, preferred = null) {
+  if (!container || !groups.has(container)) return;
+
+  const items = getItems(container);
+  if (items.length === 0) return;
+
+  const { current } = groups.get(container);
+  const target = items.find(item => item.contains(document.activeElement)) ||
+    [preferred, current].find(item => items.includes(item)) ||
+    items[0];
+
+  setTabStop(container, items, target);
+}
+
+
+// ============================================
+// TECLADO
+// ============================================
+
+/**
+ * Columnas de la primera fila según la posición en pantalla
+ */
+function countColumns(items) {
+  const top = items[0].getBoundingClientRect().top;
+  const firstRow = items.findIndex(item => item.getBoundingClientRect().top !== top);
+  return firstRow === -1 ? items.length : firstRow;
+}
+
+/**
+ * Índice de destino para una tecla, o null si la tecla no navega
+ *
+ * @param {string} key - event.key
+ * @param {number} index - Índice actual
+ * @param {number} count - Número de elementos
+ * @param {number} columns - Elementos por fila (1 en una barra horizontal)
+ * @param {string} orientation - 'horizontal' o 'grid'
+ * @returns {number|null}
+ */
+function getTargetIndex(key, index, count, columns, orientation) {
+  const last = count - 1;
+
+  switch (key) {
+    case 'ArrowRight':
+      return Math.min(index + 1, last);
+    case 'ArrowLeft':
+      return Math.max(index - 1, 0);
+    case 'ArrowDown':
+      return orientation === 'grid' ? Math.min(index + columns, last) : null;
+    case 'ArrowUp':
+      return orientation === 'grid' ? Math.max(index - columns, 0) : null;
+    case 'Home':
+      return 0;
+    case 'End':
+      return last;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Mueve el foco con flechas, Inicio y Fin
+ * Los controles internos conservan sus teclas (p. ej. las flechas de un input).
+ */
+function handleKeydown(event) {
+  const container = event.currentTarget;
+  const { selector, orientation } = groups.get(container);
+
+  const item = event.target.closest(selector);
+  if (!item || getFocusTarget(container, item) !== event.target) return;
+  if (event.altKey || event.ctrlKey || event.metaKey) return;
+
+  const items = getItems(container);
+  const index = items.indexOf(item);
+  if (index === -1) return;
+
+  const columns = orientation === 'grid' ? countColumns(items) : 1;
+  const target = getTargetIndex(event.key, index, items.length, columns, orientation);
+  if (target === null) return;
+
+  event.preventDefault();
+  setTabStop(container, items, items[target]);
+  getFocusTarget(container, items[target])?.focus();
+}
+
+/**
+ * El elemento que recibe el foco (con clic o por código) pasa a ser la parada
+ */
+function handleFocusin(event) {
+  const container = event.currentTarget;
+  const item = event.target.closest(groups.get(container).selector);
+  if (!item || item === groups.get(container).current) return;
+
+  setTabStop(container, getItems(container), item);
+}
+
+
+// ============================================
+// INICIALIZACIÓN
+// ============================================
+
+/**
+ * Convierte un contenedor en un grupo con tabindex itinerante
+ * Los elementos se pueden volver a renderizar: llamar a sync después.
+ *
+ * @param {HTMLElement} container - Contenedor del grupo
+ * @param {Object} options
+ * @param {string} options.selector - Selector de los elementos navegables
+ * @param {string|null} options.control - Control de cada elemento que recibe el foco; null para el propio elemento
+ * @param {string} options.orientation - 'horizontal' (barra) o 'grid' (filas y columnas)
+ */
+function initRovingFocus(container, { selector, control = null, orientation = 'horizontal' }) {
+  if (!container || groups.has(container)) return;
+
+  groups.set(container, { selector, control, orientation, current: null });
+  container.addEventListener('keydown', handleKeydown);
+  container.addEventListener('focusin', handleFocusin);
+
+  syncTabStop(container);
+}
+
+
+// ============================================
+// EXPORTAR API PÚBLICA
+// ============================================
+
+export const RovingFocus = {
+  init: initRovingFocus,
+  sync: syncTabStop
+};
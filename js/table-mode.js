@@ -0,0 +1,186 @@
+/**
+ * TABLE-MODE.JS
+ * Modo mesa: la carta abierta desde el QR de una mesa (menu.html?mesa=12)
+ * muestra el número de mesa, lo incluye en el pedido y permite llamar al mozo
+ * La Arboleda Club - 2025
+ */
+
+import { I18n } from './i18n.js';
+
+// ============================================
+// CONFIGURACIÓN
+// ============================================
+const TABLE_CONFIG = {
+  param: 'mesa',
+  maxTable: 999,
+  whatsappNumber: '51908881162',
+  callCooldown: 30000 // ms antes de poder volver a llamar al mozo
+};
+
+
+// ============================================
+// ESTADO
+// ============================================
+const TableState = {
+  table: undefined, // Número de mesa (null fuera del modo mesa); se lee de la URL al consultarlo
+  cooldownTimer: null
+};
+
+
+// ============================================
+// ELEMENTOS DEL DOM
+// ============================================
+const TableDOM = {
+  banner: null,
+  label: null,
+  callButton: null,
+  status: null,
+
+  init() {
+    this.banner = document.getElementById('tableBanner');
+    this.label = document.getElementById('tableLabel');
+    this.callButton = document.getElementById('callWaiter');
+    this.status = document.getElementById('tableStatus');
+  }
+};
+
+
+// ============================================
+// MESA ACTUAL
+// ============================================
+
+/**
+ * Lee el número de mesa de la URL (?mesa=12)
+ *
+ * @returns {number|null} null si no hay mesa o no es un número válido
+ */
+function readTable() {
+  const value = new URL(window.location.href).searchParams.get(TABLE_CONFIG.param);
+  if (value === null) return null;
+
+  const table = Number(value.trim());
+  if (!Number.isInteger(table) || table < 1 || table > TABLE_CONFIG.maxTable) {
+    console.warn(`Número de mesa no válido: "${value}"`);
+    return null;
+  }
+
+  return table;
+}
+
+/**
+ * Número de mesa activo
+ *
+ * @returns {number|null}
+ */
+function getTable() {
+  if (TableState.table === undefined) {
+    TableState.table = readTable();
+  }
+  return TableState.table;
+}
+
+function isTableMode() {
+  return getTable() !== null;
+}
+
+/**
+ * Dirección para compartir sin el número de mesa
+ * Quien abra el enlace no debe entrar en modo mesa ni pedir para esa mesa.
+ *
+ * @param {string} href - Dirección de la página
+ * @returns {string}
+ */
+function getShareableUrl(href = window.location.href) {
+  const url = new URL(href);
+  url.searchParams.delete(TABLE_CONFIG.param);
+  return url.href;
+}
+
+
+// ============================================
+// LLAMAR AL MOZO
+// ============================================
+
+/**
+ * Mensaje de WhatsApp para llamar al mozo
+ * Siempre en español: lo lee el personal.
+ */
+function buildWaiterMessage() {
+  return `Mesa ${TableState.table}: ¿nos podrían atender, por favor?`;
+}
+
+/**
+ * Abre WhatsApp con el aviso para el mozo y bloquea el botón un momento
+ * para evitar avisos repetidos
+ */
+function callWaiter() {
+  if (!isTableMode()) return;
+
+  const text = encodeURIComponent(buildWaiterMessage());
+  window.open(`https://wa.me/${TABLE_CONFIG.whatsappNumber}?text=${text}`, '_blank', 'noopener');
+
+  if (TableDOM.status) {
+    TableDOM.status.textContent = I18n.t('table.waiterCalled');
+  }
+
+  if (TableDOM.callButton) {
+    TableDOM.callButton.disabled = true;
+    clearTimeout(TableState.cooldownTimer);
+    TableState.cooldownTimer = setTimeout(() => {
+      TableDOM.callButton.disabled = false;
+      if (TableDOM.status) TableDOM.status.textContent = '';
+    }, TABLE_CONFIG.callCooldown);
+  }
+}
+
+
+// ============================================
+// RENDERIZADO
+// ============================================
+
+/**
+ * Muestra el número de mesa en el aviso superior
+ */
+function renderTable() {
+  if (!TableDOM.banner || !isTableMode()) return;
+
+  TableDOM.label.textContent = I18n.t('table.label', { table: TableState.table });
+  TableDOM.banner.classList.remove('hidden');
+}
+
+
+// ============================================
+// INICIALIZACIÓN
+// ============================================
+
+/**
+ * Activa el modo mesa si la URL trae ?mesa=N
+ * Se llama antes de cargar el menú (main.js elige entonces la vista simple)
+ */
+function initTableMode() {
+  if (!isTableMode()) return;
+
+  TableDOM.init();
+  document.body.classList.add('table-mode');
+
+  TableDOM.callButton?.addEventListener('click', callWaiter);
+
+  renderTable();
+  I18n.onChange(renderTable);
+
+  console.log(`✅ Modo mesa activo (mesa ${TableState.table})`);
+}
+
+
+// ============================================
+// EXPORTAR API PÚBLICA
+// ============================================
+
+export const TableMode = {
+  init: initTableMode,
+  get: getTable,
+  isActive: isTableMode,
+  getShareableUrl,
+  callWaiter,
+  buildWaiterMessage
+};
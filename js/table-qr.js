@@ -0,0 +1,190 @@
+/**
+ * TABLE-QR.JS
+ * Generador de códigos QR para las mesas (mesas.html): una tarjeta
+ * imprimible por mesa que abre la carta en modo mesa, sin conexión
+ * La Arboleda Club - 2025
+ */
+
+import { QRCode } from './qr-code.js';
+import { Html } from './html.js';
+
+// ============================================
+// CONFIGURACIÓN
+// ============================================
+const TABLE_QR_CONFIG = {
+  menuPage: 'menu.html',
+  param: 'mesa', // Debe coincidir con TABLE_CONFIG.param (table-mode.js)
+  maxTable: 999,
+  maxBatch: 200 // Tarjetas por tanda, para no congelar la página
+};
+
+
+// ============================================
+// ELEMENTOS DEL DOM
+// ============================================
+const TableQrDOM = {
+  form: null,
+  status: null,
+  grid: null,
+  printButton: null,
+
+  init() {
+    this.form = document.getElementById('tableQrForm');
+    this.status = document.getElementById('tableQrStatus');
+    this.grid = document.getElementById('tableQrGrid');
+    this.printButton = document.getElementById('tableQrPrint');
+  }
+};
+
+
+// ============================================
+// VALIDACIÓN
+// ============================================
+
+/**
+ * Valida el rango de mesas y la dirección de la carta
+ *
+ * @param {Object} values - { desde, hasta, url } tal como vienen del formulario
+ * @returns {{ from: number, to: number, base: URL|null, error: string|null }}
+ */
+function validateTableRange({ desde, hasta, url }) {
+  const from = Number(desde);
+  const to = Number(hasta);
+  const result = { from, to, base: null, error: null };
+  const isTable = n => Number.isInteger(n) && n >= 1 && n <= TABLE_QR_CONFIG.maxTable;
+
+  if (!isTable(from) || !isTable(to)) {
+    result.error = `Los números de mesa deben ser enteros entre 1 y ${TABLE_QR_CONFIG.maxTable}.`;
+  } else if (from > to) {
+    result.error = 'La primera mesa no puede ser mayor que la última.';
+  } else if (to - from + 1 > TABLE_QR_CONFIG.maxBatch) {
+    result.error = `Genera como máximo ${TABLE_QR_CONFIG.maxBatch} mesas por tanda.`;
+  }
+
+  try {
+    result.base = new URL(url);
+    if (!['http:', 'https:'].includes(result.base.protocol)) throw new Error();
+  } catch {
+    result.base = null;
+    result.error = result.error || 'La dirección de la carta debe empezar con http:// o https://.';
+  }
+
+  return result;
+}
+
+/**
+ * Dirección de la carta para una mesa: .../menu.html?mesa=12
+ */
+function buildTableUrl(base, table) {
+  const url = new URL(base);
+  url.searchParams.set(TABLE_QR_CONFIG.param, table);
+  return url.href;
+}
+
+
+// ============================================
+// RENDERIZADO
+// ============================================
+
+/**
+ * Crea la tarjeta imprimible de una mesa
+ */
+function createTableCard(base, table) {
+  const url = buildTableUrl(base, table);
+
+  const card = document.createElement('article');
+  card.className = 'table-qr';
+  Html.render(card, Html.html`
+    <p class="table-qr__brand">La Arboleda Club</p>
+    <div class="table-qr__code">${Html.trusted(QRCode.toSvg(QRCode.create(url)))}</div>
+    <h2 class="table-qr__title"></h2>
+    <p class="table-qr__hint">Escanea para ver la carta, pedir y llamar al mozo</p>
+    <p class="table-qr__url"></p>
+  `);
+
+  card.querySelector('.table-qr__title').textContent = `Mesa ${table}`;
+  card.querySelector('.table-qr__url').textContent = url;
+  card.querySelector('.table-qr__code').setAttribute('aria-label', `Código QR de la mesa ${table}`);
+  card.querySelector('.table-qr__code').setAttribute('role', 'img');
+
+  return card;
+}
+
+/**
+ * Genera las tarjetas del rango del formulario
+ */
+function generateTableCards() {
+  const values = Object.fromEntries(new FormData(TableQrDOM.form));
+  const { from, to, base, error } = validateTableRange(values);
+
+  if (error) {
+    setTableQrStatus(error, true);
+    return;
+  }
+
+  const fragment = document.createDocumentFragment();
+  try {
+    for (let table = from; table <= to; table++) {
+      fragment.appendChild(createTableCard(base, table));
+    }
+  } catch (err) {
+    setTableQrStatus(err.message, true);
+    return;
+  }
+
+  TableQrDOM.grid.replaceChildren(fragment);
+  TableQrDOM.printButton.disabled = false;
+
+  const count = to - from + 1;
+  setTableQrStatus(count === 1 ? '1 código generado.' : `${count} códigos generados.`);
+}
+
+function setTableQrStatus(message, isError = false) {
+  if (!TableQrDOM.status) return;
+  TableQrDOM.status.textContent = message;
+  TableQrDOM.status.classList.toggle('admin-status--error', isError);
+}
+
+
+// ============================================
+// INICIALIZACIÓN
+// ============================================
+
+/**
+ * Inicializa el generador con la dirección de la carta de este sitio
+ */
+function initTableQr() {
+  TableQrDOM.init();
+
+  if (!TableQrDOM.form || !TableQrDOM.grid) {
+    console.warn('Generador de QR de mesas no encontrado');
+    return;
+  }
+
+  // Por defecto, la carta de este mismo sitio (si se abrió desde un servidor)
+  const urlInput = TableQrDOM.form.elements.url;
+  if (urlInput && !urlInput.value && window.location.protocol.startsWith('http')) {
+    urlInput.value = new URL(TABLE_QR_CONFIG.menuPage, window.location.href).href;
+  }
+
+  TableQrDOM.form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    generateTableCards();
+  });
+
+  TableQrDOM.printButton?.addEventListener('click', () => window.print());
+
+  console.log('✅ Generador de QR de mesas inicializado');
+}
+
+
+// ============================================
+// EXPORTAR API PÚBLICA
+// ============================================
+
+export const TableQr = {
+  init: initTableQr,
+  generate: generateTableCards,
+  validate: validateTableRange,
+  buildUrl: buildTableUrl
+};
@@ -4,6 +4,8 @@
  * La Arboleda Club - 2025
  */
 
+import { Html } from './html.js';
+
 // ============================================
 // DEBOUNCE Y THROTTLE
 // ============================================
@@ -56,10 +58,11 @@ function throttle(func, limit = 250) {
 
 /**
  * Crea un elemento HTML con atributos y contenido
+ * Los strings se insertan como texto; para marcado usar html`` o Html.trusted.
  * 
  * @param {string} tag - Etiqueta HTML
- * @param {Object} attributes - Atributos del elemento
- * @param {string|Node} content - Contenido del elemento
+ * @param {Object} attributes - Atributos del elemento (null o false los omite)
+ * @param {string|Node|Object|Array} content - Texto, nodo, plantilla o lista de ellos
  * @returns {HTMLElement}
  */
 function createElement(tag, attributes = {}, content = '') {
@@ -67,6 +70,8 @@ function createElement(tag, attributes = {}, content = '') {
   
   // Aplicar atributos
   Object.entries(attributes).forEach(([key, value]) => {
+    if (value === null || value === undefined || value === false) return;
+
     if (key === 'className') {
       element.className = value;
     } else if (key === 'dataset') {
@@ -74,18 +79,58 @@ function createElement(tag, attributes = {}, content = '') {
         element.dataset[dataKey] = dataValue;
       });
     } else {
-      element.setAttribute(key, value);
+      element.setAttribute(key, value === true ? '' : value);
     }
   });
   
   // Aplicar contenido
-  if (typeof content === 'string') {
-    element.innerHTML = content;
+  appendContent(element, content);
+  
+  return element;
+}
+
+/**
+ * Agrega contenido a un elemento sin interpretar los strings como HTML
+ * 
+ * @param {HTMLElement} element - Elemento de destino
+ * @param {string|Node|Object|Array} content - Texto, nodo, plantilla o lista de ellos
+ */
+function appendContent(element, content) {
+  if (content === null || content === undefined || content === false) return;
+
+  if (Array.isArray(content)) {
+    content.forEach(item => appendContent(element, item));
+  } else if (Html.isTrusted(content)) {
+    element.appendChild(Html.fragment(content));
   } else if (content instanceof Node) {
     element.appendChild(content);
+  } else {
+    element.appendChild(document.createTextNode(String(content)));
   }
-  
-  return element;
+}
+
+/**
+ * Anuncia un mensaje a los lectores de pantalla
+ * Toda la página comparte una sola región viva (#liveAnnouncer), que se
+ * crea la primera vez.
+ *
+ * @param {string} message - Texto a anunciar
+ */
+function announce(message) {
+  let region = document.getElementById('liveAnnouncer');
+
+  if (!region) {
+    region = createElement('div', {
+      id: 'liveAnnouncer',
+      className: 'sr-only',
+      role: 'status',
+      'aria-live': 'polite',
+      'aria-atomic': 'true'
+    });
+    document.body.appendChild(region);
+  }
+
+  region.textContent = message;
 }
 
 /**
@@ -242,13 +287,14 @@ function removeLocalStorage(key) {
 // ============================================
 
 /**
- * Formatea una fecha en español
+ * Formatea una fecha (en español salvo que se indique otro locale)
  * 
  * @param {Date|string} date - Fecha a formatear
  * @param {Object} options - Opciones de formato
+ * @param {string} locale - Locale de Intl (por defecto 'es-PE')
  * @returns {string}
  */
-function formatDate(date, options = {}) {
+function formatDate(date, options = {}, locale = 'es-PE') {
   const defaultOptions = {
     weekday: 'long',
     year: 'numeric',
@@ -259,7 +305,39 @@ function formatDate(date, options = {}) {
   
   const dateObj = date instanceof Date ? date : new Date(date);
   
-  return dateObj.toLocaleDateString('es-PE', defaultOptions);
+  return dateObj.toLocaleDateString(locale, defaultOptions);
+}
+
+/**
+ * Obtiene día de la semana y hora de una fecha en una zona horaria,
+ * independiente del reloj y la zona del dispositivo
+ * 
+ * @param {Date} date - Instante a convertir
+ * @param {string} timeZone - Zona IANA (por defecto America/Lima)
+ * @returns {{ weekday: number, hours: number, minutes: number, dateKey: string }}
+ *   weekday: 0 = domingo ... 6 = sábado; dateKey: 'AAAA-MM-DD' local de la zona
+ */
+function getZonedTime(date = new Date(), timeZone = 'America/Lima') {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    weekday: 'short',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  
+  const get = type => parts.find(part => part.type === type)?.value;
+  const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  
+  return {
+    weekday: weekdays.indexOf(get('weekday')),
+    hours: Number(get('hour')),
+    minutes: Number(get('minute')),
+    dateKey: `${get('year')}-${get('month')}-${get('day')}`
+  };
 }
 
 
@@ -377,14 +455,15 @@ function measurePerformance(func, label = 'Function') {
 // EXPORTAR UTILIDADES
 // ============================================
 
-// Hacer disponibles globalmente
-window.Utils = {
+export const Utils = {
   // Timing
   debounce,
   throttle,
   
   // DOM
   createElement,
+  appendContent,
+  announce,
   isElementInViewport,
   scrollToElement,
   
@@ -394,6 +473,7 @@ window.Utils = {
   capitalizeWords,
   truncateText,
   formatDate,
+  getZonedTime,
   
   // Storage
   setLocalStorage,
@@ -0,0 +1,241 @@
+/**
+ * SW.JS
+ * Service worker: carta disponible sin conexión
+ * La Arboleda Club - 2025
+ */
+
+// ============================================
+// CONFIGURACIÓN
+// ============================================
+
+// Incrementar en cada despliegue: fuerza la descarga de todos los archivos
+// precacheados y elimina las cachés de la versión anterior
+const CACHE_VERSION = 'v1';
+const CACHE_PREFIX = 'arboleda-';
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+
+// Cabecera que marca una respuesta servida desde la caché sin conexión
+const OFFLINE_HEADER = 'X-Arboleda-Offline';
+
+const MENU_DATA_PATH = 'data/menu.json';
+const EVENTS_DATA_PATH = 'data/events.json';
+const HOURS_DATA_PATH = 'data/hours.json';
+
+// Datos que se piden siempre a la red y solo sin conexión salen de la caché
+const DATA_PATHS = [MENU_DATA_PATH, EVENTS_DATA_PATH, HOURS_DATA_PATH];
+
+const PRECACHE_URLS = [
+  './',
+  'index.html',
+  'menu.html',
+  'css/base.css',
+  'css/layout.css',
+  'css/components.css',
+  'css/animations.css',
+  'css/responsive.css',
+  'js/utils.js',
+  'js/html.js',
+  'js/dialog.js',
+  'js/i18n.js',
+  'js/opening-hours.js',
+  'js/menu-schema.js',
+  'js/menu-availability.js',
+  'js/menu-options.js',
+  'js/menu-images.js',
+  'js/modal.js',
+  'js/cart.js',
+  'js/table-mode.js',
+  'js/menu-model.js',
+  'js/menu-render.js',
+  'js/menu-loader.js',
+  'js/menu-search.js',
+  'js/roving-focus.js',
+  'js/menu-filters.js',
+  'js/menu-sort.js',
+  'js/menu-views.js',
+  'js/menu-router.js',
+  'js/menu-print.js',
+  'js/events-loader.js',
+  'js/reservations.js',
+  'js/main.js',
+  MENU_DATA_PATH,
+  EVENTS_DATA_PATH,
+  HOURS_DATA_PATH,
+  'assets/logo-arboleda.png',
+  'assets/hero-menu.jpg',
+  // Imágenes provisionales de los platos sin foto
+  'assets/placeholders/entradas.svg',
+  'assets/placeholders/pollo.svg',
+  'assets/placeholders/carnes.svg',
+  'assets/placeholders/pescados.svg',
+  'assets/placeholders/pastas.svg',
+  'assets/placeholders/ensaladas.svg',
+  'assets/placeholders/kids.svg',
+  'assets/placeholders/sandwiches.svg',
+  'assets/placeholders/bebidas.svg',
+  'assets/placeholders/cocteles.svg',
+  'assets/placeholders/plato.svg'
+];
+
+
+// ============================================
+// INSTALACIÓN Y ACTIVACIÓN
+// ============================================
+
+/**
+ * Precachea el sitio y las imágenes de todos los platos del menú
+ */
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE_NAME);
+
+    // Los archivos del sitio son obligatorios: si alguno falla, la instalación falla
+    await cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' })));
+
+    // Las imágenes se leen del propio menú; una imagen faltante no bloquea la instalación
+    const images = await getMenuImages(cache);
+    await Promise.all(images.map(url =>
+      cache.add(new Request(url, { cache: 'reload' })).catch(() => {
+        console.warn(`[SW] Imagen no disponible para precache: ${url}`);
+      })
+    ));
+
+    await self.skipWaiting();
+  })());
+});
+
+/**
+ * Elimina cachés de versiones anteriores y toma control de las páginas
+ */
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(
+      keys
+        .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+        .map(key => caches.delete(key))
+    );
+
+    await self.clients.claim();
+  })());
+});
+
+/**
+ * Obtiene las rutas de imagen de los platos desde el menú precacheado
+ *
+ * @param {Cache} cache - Caché donde ya está data/menu.json
+ * @returns {Promise<string[]>}
+ */
+async function getMenuImages(cache) {
+  try {
+    const response = await cache.match(MENU_DATA_PATH);
+    const doc = await response.json();
+    const platos = Object.values(doc.categorias || {}).flat();
+
+    return [...new Set(platos.map(plato => plato.imagen).filter(Boolean))];
+  } catch (error) {
+    console.warn('[SW] No se pudieron leer las imágenes del menú:', error);
+    return [];
+  }
+}
+
+
+// ============================================
+// ESTRATEGIAS DE RESPUESTA
+// ============================================
+
+/**
+ * Red primero para los datos (menú, eventos y horario); sin red se sirve
+ * la copia cacheada marcada con OFFLINE_HEADER
+ *
+ * @param {Request} request - Petición interceptada
+ * @param {string} path - Clave de la copia en caché (sin ?v=)
+ */
+async function networkFirst(request, path) {
+  const cache = await caches.open(CACHE_NAME);
+
+  try {
+    const response = await fetch(request);
+    if (response.status === 200) {
+      await cache.put(path, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(path);
+    if (!cached) throw error;
+
+    const headers = new Headers(cached.headers);
+    headers.set(OFFLINE_HEADER, '1');
+
+    return new Response(await cached.blob(), {
+      status: 200,
+      statusText: 'OK',
+      headers
+    });
+  }
+}
+
+/**
+ * Caché primero para imágenes (cambian con el nombre de archivo)
+ */
+async function cacheFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    cache.put(request, response.clone());
+  }
+  return response;
+}
+
+/**
+ * Stale-while-revalidate para HTML, CSS y JS: respuesta inmediata
+ * desde caché y actualización en segundo plano
+ */
+async function staleWhileRevalidate(event) {
+  const { request } = event;
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+
+  const network = fetch(request)
+    .then(response => {
+      if (response.ok) {
+        cache.put(request, response.clone());
+      }
+      return response;
+    });
+
+  if (cached) {
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+  }
+
+  return network;
+}
+
+
+// ============================================
+// INTERCEPCIÓN DE PETICIONES
+// ============================================
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  // Fuentes, iconos y mapas externos quedan fuera del service worker
+  if (url.origin !== self.location.origin) return;
+
+  const dataPath = DATA_PATHS.find(path => url.pathname.endsWith(`/${path}`));
+
+  if (dataPath) {
+    event.respondWith(networkFirst(request, dataPath));
+  } else if (request.destination === 'image') {
+    event.respondWith(cacheFirst(request));
+  } else {
+    event.respondWith(staleWhileRevalidate(event));
+  }
+});
@@ -0,0 +1,124 @@
+/**
+ * CART.TEST.JS
+ * Pedido sobre jsdom: líneas guardadas en localStorage, foco al quitar
+ * una línea del panel y Escape con un diálogo encima
+ * La Arboleda Club - 2025
+ */
+
+import { describe, it, before, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom } from './helpers/dom.js';
+import { readMenuDocument } from './helpers/menu.js';
+
+setupDom(`
+  <button id="cartToggle" type="button"><span id="cartCount">0</span></button>
+  <aside id="cartPanel" aria-labelledby="cartTitle">
+    <h2 id="cartTitle" tabindex="-1">Tu pedido</h2>
+    <button id="cartClose" type="button">x</button>
+    <p id="cartEmpty">Vacío</p>
+    <ul id="cartItems"></ul>
+    <strong id="cartTotal"></strong>
+    <button id="cartCheckout" type="button">Enviar</button>
+    <button id="cartClear" type="button">Vaciar</button>
+  </aside>
+`);
+mock.method(console, 'log', () => {});
+mock.method(console, 'warn', () => {});
+
+const { Cart } = await import('../js/cart.js');
+const { Dialog } = await import('../js/dialog.js');
+const { MenuModel } = await import('../js/menu-model.js');
+const { MenuOptions } = await import('../js/menu-options.js');
+
+const STORAGE_KEY = 'arboleda_pedido';
+const list = document.getElementById('cartItems');
+const title = document.getElementById('cartTitle');
+const panel = document.getElementById('cartPanel');
+let platos;
+
+/**
+ * Guarda un pedido como lo haría otra pestaña y lo vuelve a cargar
+ */
+function storeCart(items) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(items));
+  window.dispatchEvent(new window.StorageEvent('storage', { key: STORAGE_KEY }));
+}
+
+const quantities = () => [...list.querySelectorAll('.cart-line__qty')].map(qty => Number(qty.textContent));
+
+before(() => {
+  MenuModel.applyDocument(readMenuDocument());
+  platos = Object.values(MenuModel.state.data).flat().filter(plato => !MenuOptions.needsChoice(plato));
+  Cart.init();
+  Dialog.init();
+});
+
+beforeEach(() => storeCart([]));
+
+
+describe('Cart: pedido guardado', () => {
+  it('descarta las cantidades que no son enteros positivos', () => {
+    storeCart([
+      { id: platos[0].id, cantidad: '3' },
+      { id: platos[1].id, cantidad: 1.5 },
+      { id: platos[2].id, cantidad: -2 },
+      { id: platos[3].id, cantidad: 0 },
+      { id: platos[4].id, cantidad: 2 }
+    ]);
+
+    assert.deepEqual([...list.children].map(line => line.dataset.key), [platos[4].id]);
+    assert.deepEqual(quantities(), [2]);
+  });
+
+  it('limita la cantidad al máximo por línea', () => {
+    storeCart([{ id: platos[0].id, cantidad: 500 }]);
+    assert.deepEqual(quantities(), [20]);
+  });
+});
+
+
+describe('Cart: foco al quitar una línea', () => {
+  beforeEach(() => storeCart(platos.slice(0, 2).map(plato => ({ id: plato.id, cantidad: 1 }))));
+
+  it('pasa a la línea siguiente al eliminar', () => {
+    list.children[0].querySelector('[data-action="remove"]').click();
+
+    assert.equal(list.children.length, 1);
+    assert.equal(document.activeElement, list.children[0].querySelector('[data-action="remove"]'));
+  });
+
+  it('pasa al título al bajar a cero la última línea', () => {
+    list.children[1].querySelector('[data-action="decrease"]').click();
+    assert.equal(document.activeElement, title);
+  });
+
+  it('mantiene el foco en la línea si sigue en el pedido', () => {
+    list.children[0].querySelector('[data-action="increase"]').click();
+
+    assert.deepEqual(quantities(), [2, 1]);
+    assert.equal(document.activeElement, list.children[0].querySelector('[data-action="increase"]'));
+  });
+});
+
+
+describe('Cart: Escape', () => {
+  const press = () => document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true, cancelable: true }));
+
+  beforeEach(() => mock.timers.enable({ apis: ['setTimeout'] }));
+  afterEach(() => {
+    Cart.close();
+    mock.timers.reset();
+  });
+
+  it('cierra solo el diálogo abierto sobre el panel', () => {
+    Cart.open();
+    Dialog.open('¿Vaciar el pedido?');
+
+    press();
+    assert.equal(Dialog.getTop(), null);
+    assert.ok(panel.classList.contains('cart-panel--open'));
+
+    press();
+    assert.equal(panel.classList.contains('cart-panel--open'), false);
+  });
+});
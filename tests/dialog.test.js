@@ -0,0 +1,297 @@
+/**
+ * DIALOG.TEST.JS
+ * Diálogos sobre jsdom: contenido y tamaños, focus trap que sigue los
+ * cambios de contenido, apilado, confirmación y el modal de platos
+ * construido sobre Dialog
+ * La Arboleda Club - 2025
+ */
+
+import { describe, it, before, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom } from './helpers/dom.js';
+import { readMenuDocument } from './helpers/menu.js';
+
+setupDom(`
+  <style>.hidden { display: none !important; }</style>
+  <button id="opener" type="button">Abrir</button>
+  <div class="modal" id="menuModal" role="dialog" aria-modal="true" aria-hidden="true">
+    <div class="modal__overlay" data-close-modal></div>
+    <div class="modal__content">
+      <button class="modal__close" id="modalClose" data-close-modal>x</button>
+      <h3 class="modal__title" id="modalTitle"></h3>
+      <p class="modal__price" id="modalPrice"></p>
+      <button id="modalAddToCart" type="button">Agregar</button>
+      <button id="modalShare" type="button"><span class="modal__share-label">Compartir plato</span></button>
+    </div>
+  </div>
+`);
+mock.method(console, 'log', () => {});
+mock.method(console, 'warn', () => {});
+
+const { Dialog } = await import('../js/dialog.js');
+const { Html } = await import('../js/html.js');
+const { Modal } = await import('../js/modal.js');
+const { MenuModel } = await import('../js/menu-model.js');
+
+const { html } = Html;
+const HOSTILE = '<img src=x onerror="alert(1)">';
+const opener = document.getElementById('opener');
+
+/**
+ * Pulsa una tecla sobre el elemento con el foco
+ */
+function press(key, { shiftKey = false } = {}) {
+  const event = new KeyboardEvent('keydown', { key, shiftKey, bubbles: true, cancelable: true });
+  (document.activeElement || document.body).dispatchEvent(event);
+  return event;
+}
+
+/**
+ * Espera a que MutationObserver avise de los cambios de contenido
+ */
+const flushMutations = () => Promise.resolve();
+
+// Animaciones de entrada (foco) y de salida (ocultar y devolver el foco)
+const FOCUS_DELAY = 100;
+const CLOSE_DELAY = 300;
+
+before(() => Dialog.init());
+
+beforeEach(() => {
+  mock.timers.enable({ apis: ['setTimeout'] });
+  opener.focus();
+});
+
+afterEach(() => {
+  while (Dialog.getTop()) Dialog.close();
+  mock.timers.tick(CLOSE_DELAY);
+  mock.timers.reset();
+});
+
+
+describe('Dialog: contenido y tamaños', () => {
+  it('crea un diálogo con título e inserta los strings como texto', () => {
+    const dialog = Dialog.open(HOSTILE, { title: 'Aviso', size: 'lg' });
+    const title = dialog.element.querySelector('.modal__title');
+
+    assert.ok(dialog.element.isConnected);
+    assert.equal(dialog.element.getAttribute('role'), 'dialog');
+    assert.equal(dialog.element.getAttribute('aria-labelledby'), title.id);
+    assert.equal(title.textContent, 'Aviso');
+    assert.ok(dialog.element.classList.contains('modal--lg'));
+    assert.equal(dialog.body.textContent, HOSTILE);
+    assert.equal(dialog.body.querySelector('img'), null);
+  });
+
+  it('acepta plantillas y reemplaza el contenido', () => {
+    const dialog = Dialog.open(html`<p class="intro">${HOSTILE}</p>`, { label: 'Detalle' });
+    assert.equal(dialog.element.getAttribute('aria-label'), 'Detalle');
+    assert.equal(dialog.body.querySelector('.intro').textContent, HOSTILE);
+
+    dialog.setContent(html`<ul><li>uno</li></ul>`);
+    assert.equal(dialog.body.querySelector('.intro'), null);
+    assert.equal(dialog.body.querySelectorAll('li').length, 1);
+  });
+
+  it('bloquea el scroll mientras está abierto y se elimina al cerrarlo', async () => {
+    const dialog = Dialog.open('Hola');
+    assert.equal(document.body.style.overflow, 'hidden');
+
+    dialog.close('listo');
+    assert.equal(await dialog.closed, 'listo');
+    assert.equal(dialog.status, 'closing');
+
+    mock.timers.tick(CLOSE_DELAY);
+    assert.equal(dialog.status, 'closed');
+    assert.equal(dialog.element.isConnected, false);
+    assert.equal(document.body.style.overflow, '');
+  });
+});
+
+
+describe('Dialog: foco', () => {
+  it('enfoca el primer elemento y devuelve el foco al cerrar', () => {
+    const dialog = Dialog.open('Hola');
+    mock.timers.tick(FOCUS_DELAY);
+    assert.equal(document.activeElement, dialog.element.querySelector('.modal__close'));
+
+    press('Escape');
+    mock.timers.tick(CLOSE_DELAY);
+    assert.equal(document.activeElement, opener);
+  });
+
+  it('mantiene Tab y Shift+Tab dentro del diálogo', () => {
+    const dialog = Dialog.open(html`<button class="a">A</button><button class="b">B</button>`);
+    const close = dialog.element.querySelector('.modal__close');
+    const last = dialog.body.querySelector('.b');
+
+    last.focus();
+    assert.equal(press('Tab').defaultPrevented, true);
+    assert.equal(document.activeElement, close);
+
+    press('Tab', { shiftKey: true });
+    assert.equal(document.activeElement, last);
+  });
+
+  it('recalcula los elementos enfocables cuando cambia el contenido', async () => {
+    const dialog = Dialog.open(html`<button class="a">A</button>`);
+    const close = dialog.element.querySelector('.modal__close');
+
+    dialog.body.querySelector('.a').focus();
+    press('Tab');
+    assert.equal(document.activeElement, close);
+
+    dialog.setContent(html`<button class="a">A</button><input class="c"><button class="d" disabled>D</button>`);
+    await flushMutations();
+
+    press('Tab', { shiftKey: true });
+    assert.equal(document.activeElement, dialog.body.querySelector('.c'));
+  });
+
+  it('salta los elementos ocultos con .hidden o display: none', async () => {
+    const dialog = Dialog.open(html`<button class="a">A</button><button class="b">B</button><button class="c" style="display: none">C</button>`);
+    const close = dialog.element.querySelector('.modal__close');
+    const a = dialog.body.querySelector('.a');
+    const b = dialog.body.querySelector('.b');
+
+    close.focus();
+    press('Tab', { shiftKey: true });
+    assert.equal(document.activeElement, b);
+
+    b.classList.add('hidden');
+    await flushMutations();
+    close.focus();
+    press('Tab', { shiftKey: true });
+    assert.equal(document.activeElement, a);
+
+    b.classList.remove('hidden');
+    await flushMutations();
+    close.focus();
+    press('Tab', { shiftKey: true });
+    assert.equal(document.activeElement, b);
+  });
+
+  it('Escape no cierra un diálogo que no se puede descartar', () => {
+    const dialog = Dialog.open('Procesando...', { dismissible: false });
+
+    assert.equal(dialog.element.querySelector('.modal__close'), null);
+    press('Escape');
+    assert.equal(dialog.isOpen(), true);
+  });
+});
+
+
+describe('Dialog: apilado', () => {
+  it('abre un diálogo encima de otro y Escape cierra solo el de arriba', () => {
+    const first = Dialog.open(html`<button class="next">Siguiente</button>`);
+    const trigger = first.body.querySelector('.next');
+    trigger.focus();
+
+    const second = Dialog.open('Encima');
+    assert.equal(Dialog.getTop(), second);
+    assert.ok(first.element.hasAttribute('inert'));
+    assert.ok(second.element.classList.contains('modal--stacked'));
+    assert.equal(second.element.style.getPropertyValue('--modal-depth'), '1');
+
+    press('Escape');
+    mock.timers.tick(CLOSE_DELAY);
+    assert.equal(Dialog.getTop(), first);
+    assert.equal(first.isOpen(), true);
+    assert.equal(first.element.hasAttribute('inert'), false);
+    assert.equal(document.body.style.overflow, 'hidden');
+    assert.equal(document.activeElement, trigger);
+
+    press('Escape');
+    mock.timers.tick(CLOSE_DELAY);
+    assert.equal(Dialog.getTop(), null);
+    assert.equal(document.body.style.overflow, '');
+    assert.equal(document.activeElement, opener);
+  });
+});
+
+
+describe('Dialog: confirmación', () => {
+  it('resuelve true al confirmar y empieza en Cancelar', async () => {
+    const answer = Dialog.confirm({ title: '¿Eliminar?', message: HOSTILE, confirmLabel: 'Eliminar' });
+    const dialog = Dialog.getTop();
+    mock.timers.tick(FOCUS_DELAY);
+
+    assert.equal(dialog.element.getAttribute('role'), 'alertdialog');
+    assert.ok(dialog.element.classList.contains('modal--sm'));
+    assert.equal(document.getElementById(dialog.element.getAttribute('aria-describedby')).textContent, HOSTILE);
+    assert.equal(document.activeElement, dialog.body.querySelector('[data-dialog-cancel]'));
+
+    dialog.body.querySelector('[data-dialog-confirm]').click();
+    assert.equal(await answer, true);
+  });
+
+  it('resuelve false al cancelar, con Escape o con el overlay', async () => {
+    const cancel = Dialog.confirm({ title: 'A' });
+    Dialog.getTop().body.querySelector('[data-dialog-cancel]').click();
+    assert.equal(await cancel, false);
+
+    const escape = Dialog.confirm({ title: 'B' });
+    press('Escape');
+    assert.equal(await escape, false);
+
+    const overlay = Dialog.confirm({ title: 'C' });
+    Dialog.getTop().element.querySelector('.modal__overlay').click();
+    assert.equal(await overlay, false);
+  });
+});
+
+
+describe('Modal de platos sobre Dialog', () => {
+  const modal = document.getElementById('menuModal');
+  let plato;
+
+  before(() => {
+    MenuModel.applyDocument(readMenuDocument());
+    plato = Object.values(MenuModel.state.data).flat()[0];
+    Modal.init();
+  });
+
+  it('reutiliza #menuModal y lo muestra con el plato', () => {
+    Modal.open(plato);
+
+    assert.equal(Dialog.getTop()?.element, modal);
+    assert.equal(modal.getAttribute('aria-hidden'), 'false');
+    assert.equal(document.getElementById('modalTitle').textContent, plato.nombre);
+
+    Modal.close();
+    mock.timers.tick(CLOSE_DELAY);
+    assert.equal(modal.isConnected, true);
+    assert.equal(modal.getAttribute('aria-hidden'), 'true');
+  });
+
+  it('queda debajo de una confirmación y vuelve a recibir el teclado', async () => {
+    Modal.open(plato);
+    mock.timers.tick(FOCUS_DELAY);
+
+    const answer = Dialog.confirm({ title: '¿Vaciar el pedido?' });
+    assert.ok(modal.hasAttribute('inert'));
+
+    press('Escape');
+    assert.equal(await answer, false);
+    assert.equal(Dialog.getTop()?.element, modal);
+
+    press('Escape');
+    mock.timers.tick(CLOSE_DELAY);
+    assert.equal(Dialog.getTop(), null);
+    assert.equal(modal.getAttribute('aria-hidden'), 'true');
+  });
+
+  it('comparte el enlace del plato sin el número de mesa', async () => {
+    const share = mock.fn(async () => {});
+    Object.defineProperty(navigator, 'share', { value: share, configurable: true });
+    history.replaceState(null, '', '/menu.html?categoria=pescados&mesa=12#plato=ceviche');
+
+    Modal.open(plato);
+    document.getElementById('modalShare').click();
+
+    assert.equal(share.mock.callCount(), 1);
+    assert.equal(share.mock.calls[0].arguments[0].url, 'http://localhost/menu.html?categoria=pescados#plato=ceviche');
+
+    delete navigator.share;
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * DOM.JS
+ * Documento de jsdom para las pruebas de renderizado: instala window,
+ * document y las APIs del navegador que usan los módulos como globales
+ * La Arboleda Club - 2025
+ */
+
+import { JSDOM } from 'jsdom';
+
+const BROWSER_GLOBALS = [
+  'window',
+  'document',
+  'navigator',
+  'location',
+  'history',
+  'localStorage',
+  'Node',
+  'HTMLElement',
+  'HTMLImageElement',
+  'DocumentFragment',
+  'Event',
+  'KeyboardEvent',
+  'MouseEvent',
+  'MutationObserver',
+  'requestAnimationFrame',
+  'cancelAnimationFrame'
+];
+
+/**
+ * Crea un documento y expone sus globales en globalThis
+ * Debe llamarse antes de importar los módulos de js/.
+ *
+ * @param {string} body - HTML del <body>
+ * @param {Object} options
+ * @param {string} options.url - Dirección de la página
+ * @returns {JSDOM}
+ */
+export function setupDom(body = '', { url = 'http://localhost/menu.html' } = {}) {
+  const dom = new JSDOM(`<!DOCTYPE html><html lang="es"><body>${body}</body></html>`, {
+    url,
+    pretendToBeVisual: true
+  });
+
+  BROWSER_GLOBALS.forEach(name => {
+    const value = dom.window[name];
+    Object.defineProperty(globalThis, name, {
+      value: typeof value === 'function' && /^[a-z]/.test(name) ? value.bind(dom.window) : value,
+      configurable: true,
+      writable: true
+    });
+  });
+
+  return dom;
+}
@@ -0,0 +1,50 @@
+/**
+ * MENU.JS
+ * Datos y dobles de prueba para el modelo de la carta: data/menu.json,
+ * un localStorage en memoria y un fetch que responde con un documento
+ * La Arboleda Club - 2025
+ */
+
+import { readFileSync } from 'node:fs';
+
+const MENU_PATH = new URL('../../data/menu.json', import.meta.url);
+
+/**
+ * Copia nueva de data/menu.json
+ */
+export function readMenuDocument() {
+  return JSON.parse(readFileSync(MENU_PATH, 'utf8'));
+}
+
+/**
+ * localStorage en memoria con la misma interfaz que el del navegador
+ * (Object.keys devuelve las claves guardadas, como en los navegadores)
+ */
+export function createMemoryStorage() {
+  const storage = {};
+
+  Object.defineProperties(storage, {
+    getItem: { value: key => (Object.hasOwn(storage, key) ? storage[key] : null) },
+    setItem: { value: (key, value) => { storage[key] = String(value); } },
+    removeItem: { value: key => { delete storage[key]; } },
+    clear: { value: () => Object.keys(storage).forEach(key => delete storage[key]) }
+  });
+
+  return storage;
+}
+
+/**
+ * fetch de prueba: responde siempre con el documento indicado
+ *
+ * @param {Function} respond - Devuelve { body, status, headers } para cada petición
+ * @returns {Function} fetch con la lista de peticiones en .calls
+ */
+export function createFetch(respond) {
+  const fetch = async (url, options = {}) => {
+    fetch.calls.push({ url, options });
+    const { body = null, status = 200, headers = {} } = respond(url, options);
+    return new Response(body === null ? null : JSON.stringify(body), { status, headers });
+  };
+  fetch.calls = [];
+  return fetch;
+}
@@ -0,0 +1,107 @@
+/**
+ * HTML.TEST.JS
+ * Plantillas seguras: escapado de texto y atributos, HTML confiable
+ * explícito y Utils.createElement sin interpretar strings como HTML
+ * La Arboleda Club - 2025
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom } from './helpers/dom.js';
+
+setupDom('<div id="target"></div>');
+
+const { Html } = await import('../js/html.js');
+const { Utils } = await import('../js/utils.js');
+
+const { html } = Html;
+const HOSTILE = '"><img src=x onerror="alert(1)"><script>alert(2)</script>';
+const target = document.getElementById('target');
+
+
+describe('Html: escapado', () => {
+  it('escapa los caracteres especiales de HTML', () => {
+    assert.equal(Html.escape(`<a href="x">'&'</a>`), '&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;');
+  });
+
+  it('deja vacíos null y undefined y convierte los números', () => {
+    assert.equal(Html.escape(null), '');
+    assert.equal(Html.escape(undefined), '');
+    assert.equal(Html.escape(14.5), '14.5');
+  });
+
+  it('inserta los valores de una plantilla como texto', () => {
+    Html.render(target, html`<p class="name">${HOSTILE}</p>`);
+
+    assert.equal(target.querySelector('img'), null);
+    assert.equal(target.querySelector('script'), null);
+    assert.equal(target.querySelector('.name').textContent, HOSTILE);
+  });
+
+  it('no deja que un valor cierre el atributo entre comillas', () => {
+    Html.render(target, html`<span title="${HOSTILE}" data-id='${"' onclick='x"}'></span>`);
+
+    const span = target.querySelector('span');
+    assert.equal(span.getAttribute('title'), HOSTILE);
+    assert.equal(span.getAttribute('onclick'), null);
+    assert.equal(span.attributes.length, 2);
+  });
+});
+
+
+describe('Html: composición y HTML confiable', () => {
+  it('anida plantillas y listas sin escaparlas de nuevo', () => {
+    const items = ['a & b', '<c>'].map(text => html`<li>${text}</li>`);
+    Html.render(target, html`<ul>${items}</ul>`);
+
+    assert.deepEqual([...target.querySelectorAll('li')].map(li => li.textContent), ['a & b', '<c>']);
+  });
+
+  it('omite null, undefined y false', () => {
+    assert.equal(String(html`<p>${null}${undefined}${false}${0}</p>`), '<p>0</p>');
+  });
+
+  it('inserta tal cual solo lo marcado como confiable', () => {
+    Html.render(target, html`<div>${Html.trusted('<svg class="qr"></svg>')}</div>`);
+    assert.ok(target.querySelector('svg.qr'));
+  });
+
+  it('no acepta un objeto del JSON que imite un fragmento confiable', () => {
+    const fake = JSON.parse('{ "markup": "<img src=x>", "trusted": true }');
+    Html.render(target, html`<p>${fake}</p>`);
+
+    assert.equal(target.querySelector('img'), null);
+  });
+
+  it('rechaza un string suelto en render', () => {
+    assert.throws(() => Html.render(target, '<b>x</b>'), TypeError);
+  });
+});
+
+
+describe('Utils.createElement', () => {
+  it('inserta los strings como texto', () => {
+    const element = Utils.createElement('p', {}, HOSTILE);
+
+    assert.equal(element.children.length, 0);
+    assert.equal(element.textContent, HOSTILE);
+  });
+
+  it('asigna los atributos sin interpretarlos', () => {
+    const element = Utils.createElement('img', { src: HOSTILE, alt: 'x', hidden: true, title: null });
+
+    assert.equal(element.getAttribute('src'), HOSTILE);
+    assert.equal(element.getAttribute('hidden'), '');
+    assert.equal(element.hasAttribute('title'), false);
+  });
+
+  it('acepta plantillas, nodos y listas como contenido', () => {
+    const element = Utils.createElement('div', { className: 'box' }, [
+      html`<strong>${'<b>'}</strong>`,
+      document.createElement('hr'),
+      'fin'
+    ]);
+
+    assert.equal(element.innerHTML, '<strong>&lt;b&gt;</strong><hr>fin');
+  });
+});
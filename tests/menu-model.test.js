@@ -0,0 +1,381 @@
+/**
+ * MENU-MODEL.TEST.JS
+ * Modelo de la carta sin DOM: carga y caché, filtros, búsqueda, orden,
+ * suscripciones y preferencias guardadas
+ * La Arboleda Club - 2025
+ */
+
+import { describe, it, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { readMenuDocument, createMemoryStorage, createFetch } from './helpers/menu.js';
+
+// Sin document ni window: el modelo solo necesita localStorage y fetch
+globalThis.localStorage = createMemoryStorage();
+mock.method(console, 'log', () => {});
+mock.method(console, 'warn', () => {});
+
+const { MenuModel } = await import('../js/menu-model.js');
+const state = MenuModel.state;
+
+function resetModel() {
+  localStorage.clear();
+  MenuModel.clearFilters();
+  MenuModel.setSortMode('default');
+  MenuModel.setHideUnavailable(false);
+  MenuModel.setView('detailed');
+  MenuModel.applyDocument(readMenuDocument());
+}
+
+const ids = platos => platos.map(plato => plato.id);
+
+
+describe('MenuModel: datos', () => {
+  beforeEach(resetModel);
+
+  it('valida el documento y calcula los límites de precio', () => {
+    assert.deepEqual(Object.keys(state.data).slice(0, 3), ['entradas', 'pollo', 'carnes']);
+    assert.equal(state.report.errors.length, 0);
+    assert.ok(state.priceBounds.min <= state.priceBounds.max);
+    assert.equal(state.priceRange, null);
+  });
+
+  it('rechaza un documento inutilizable', () => {
+    assert.throws(() => MenuModel.applyDocument({ schemaVersion: 2 }));
+    assert.throws(() => MenuModel.applyDocument({ ...readMenuDocument(), schemaVersion: 3 }), /no soportada: 3/);
+  });
+
+  it('acepta un documento de la versión 1 y lo actualiza', () => {
+    const categorias = Object.keys(state.data);
+    MenuModel.applyDocument({ ...readMenuDocument(), schemaVersion: 1 });
+
+    assert.deepEqual(Object.keys(state.data), categorias);
+    assert.deepEqual(state.report.warnings, ['schemaVersion: documento v1 actualizado a v2']);
+  });
+
+  it('busca platos por id', () => {
+    assert.equal(MenuModel.findDish('ceviche-mixto').nombre, 'Ceviche Mixto');
+    assert.equal(MenuModel.findDish('no-existe'), null);
+  });
+
+  it('usa la clave capitalizada como nombre de una categoría sin traducción', () => {
+    assert.equal(MenuModel.categoryLabel('pescados'), 'Pescados');
+  });
+});
+
+
+describe('MenuModel: filtros', () => {
+  beforeEach(resetModel);
+
+  it('muestra todas las categorías con "Todos"', () => {
+    const total = Object.values(state.data).flat().length;
+    assert.equal(MenuModel.getVisibleList().length, total);
+    assert.equal(MenuModel.countVisible(), total);
+    assert.equal(MenuModel.hasActiveFilters(), false);
+  });
+
+  it('limita la lista a la categoría activa', () => {
+    assert.equal(MenuModel.setCategory('pescados'), 'pescados');
+    assert.deepEqual(ids(MenuModel.getVisibleList()), ids(state.data.pescados));
+    assert.equal(MenuModel.hasActiveFilters(), true);
+  });
+
+  it('vuelve a "Todos" con una categoría desconocida', () => {
+    assert.equal(MenuModel.setCategory('postres'), 'all');
+  });
+
+  it('exige las etiquetas de dieta y excluye las de tipo "contiene"', () => {
+    MenuModel.toggleTag('vegetariano');
+    assert.ok(MenuModel.getVisibleList().every(plato => plato.etiquetas.includes('vegetariano')));
+
+    MenuModel.toggleTag('contiene-huevo');
+    const visibles = MenuModel.getVisibleList();
+    assert.ok(visibles.length > 0);
+    assert.ok(visibles.every(plato => !plato.etiquetas.includes('contiene-huevo')));
+    assert.ok(!ids(visibles).includes('pisco-sour'));
+  });
+
+  it('desactiva una etiqueta al repetirla', () => {
+    assert.equal(MenuModel.toggleTag('picante'), true);
+    assert.equal(MenuModel.toggleTag('picante'), false);
+    assert.deepEqual(state.activeTags, []);
+  });
+
+  it('ajusta el rango de precios a los límites del menú', () => {
+    const { min, max } = state.priceBounds;
+
+    MenuModel.setPriceRange(min - 10, max + 10);
+    assert.equal(state.priceRange, null);
+
+    MenuModel.setPriceRange(min, 15);
+    assert.deepEqual(state.priceRange, { min, max: 15 });
+    assert.ok(MenuModel.getVisibleList().every(plato => plato.precioValor <= 15));
+  });
+
+  it('cuenta cada etiqueta junto con las ya activas', () => {
+    MenuModel.setCategory('bebidas');
+    const conVegetariano = MenuModel.countVisible(['vegetariano']);
+    assert.equal(conVegetariano, state.data.bebidas.filter(p => p.etiquetas.includes('vegetariano')).length);
+  });
+
+  it('limpia categoría, etiquetas, precio y búsqueda de una vez', () => {
+    MenuModel.setCategory('pollo');
+    MenuModel.toggleTag('picante');
+    MenuModel.setPriceRange(0, 20);
+    MenuModel.setSearch('lomo');
+
+    MenuModel.clearFilters();
+    assert.equal(MenuModel.hasActiveFilters(), false);
+  });
+});
+
+
+describe('MenuModel: búsqueda', () => {
+  beforeEach(resetModel);
+
+  it('ignora tildes y mayúsculas', () => {
+    MenuModel.setSearch('HUANCAINA');
+    const visibles = ids(MenuModel.getVisibleList());
+    assert.ok(visibles.includes('papa-a-la-huancaina'));
+    assert.ok(visibles.includes('fetuccini-a-la-huancaina-con-lomo-saltado'));
+  });
+
+  it('exige todos los términos', () => {
+    MenuModel.setSearch('ceviche mixto');
+    assert.deepEqual(ids(MenuModel.getVisibleList()), ['ceviche-mixto']);
+  });
+
+  it('no filtra con una búsqueda en blanco', () => {
+    MenuModel.setSearch('   ');
+    assert.equal(MenuModel.getActiveQuery(), '');
+    assert.equal(MenuModel.hasActiveFilters(), false);
+  });
+
+  it('ubica las coincidencias en el texto original', () => {
+    const text = 'Papa a la Huancaína';
+    const ranges = MenuModel.findMatchRanges(text, MenuModel.getSearchTerms('huancaina'));
+    assert.deepEqual(ranges, [[10, 19]]);
+    assert.equal(text.slice(...ranges[0]), 'Huancaína');
+  });
+});
+
+
+describe('MenuModel: orden', () => {
+  beforeEach(resetModel);
+
+  it('conserva el orden del JSON por defecto', () => {
+    MenuModel.setCategory('entradas');
+    assert.deepEqual(ids(MenuModel.getVisibleList()), ids(state.data.entradas));
+  });
+
+  it('ordena por precio sin modificar los datos', () => {
+    const original = ids(state.data.carnes);
+    MenuModel.setCategory('carnes');
+    MenuModel.setSortMode('price-desc');
+
+    const precios = MenuModel.getVisibleList().map(plato => plato.precioValor);
+    assert.deepEqual(precios, [...precios].sort((a, b) => b - a));
+    assert.deepEqual(ids(state.data.carnes), original);
+  });
+
+  it('ordena por nombre', () => {
+    const nombres = MenuModel.sortDishes(state.data.pollo, 'name').map(plato => plato.nombre);
+    assert.deepEqual(nombres, [...nombres].sort((a, b) => a.localeCompare(b, 'es')));
+  });
+});
+
+
+describe('MenuModel: disponibilidad', () => {
+  beforeEach(resetModel);
+
+  // Sábado 15/03/2025 a la 01:00 en Lima (UTC-5)
+  const sabadoMadrugada = new Date('2025-03-15T06:00:00Z');
+
+  it('evalúa las franjas en la hora de Lima, también pasada la medianoche', () => {
+    assert.equal(MenuModel.isRuleOpen({ dias: ['sab'], desde: null, hasta: null }, sabadoMadrugada), true);
+    assert.equal(MenuModel.isRuleOpen({ dias: ['vie'], desde: '22:00', hasta: '02:00' }, sabadoMadrugada), true);
+    assert.equal(MenuModel.isRuleOpen({ dias: null, desde: '12:00', hasta: '23:00' }, sabadoMadrugada), false);
+  });
+
+  it('oculta los platos agotados solo si se pide', () => {
+    const plato = state.data.entradas[0];
+    plato.agotado = true;
+
+    assert.equal(MenuModel.getDishStatus(plato).reason, 'agotado');
+    assert.ok(ids(MenuModel.getVisibleList()).includes(plato.id));
+
+    MenuModel.setHideUnavailable(true);
+    assert.ok(!ids(MenuModel.getVisibleList()).includes(plato.id));
+  });
+});
+
+
+describe('MenuModel: suscripciones', () => {
+  beforeEach(resetModel);
+
+  it('avisa una vez por acción con las claves que cambiaron', () => {
+    const calls = [];
+    const unsubscribe = MenuModel.subscribe(changed => calls.push(changed));
+
+    MenuModel.setCategory('carnes');
+    MenuModel.toggleTag('vegetariano');
+    MenuModel.clearFilters();
+    unsubscribe();
+
+    assert.deepEqual(calls, [['activeCategory'], ['activeTags'], ['activeCategory', 'activeTags']]);
+  });
+
+  it('no avisa si la acción no cambia nada', () => {
+    const listener = mock.fn();
+    const unsubscribe = MenuModel.subscribe(listener);
+
+    MenuModel.setCategory('all');
+    MenuModel.setSearch('');
+    MenuModel.setView('vista-inventada');
+    unsubscribe();
+
+    assert.equal(listener.mock.callCount(), 0);
+  });
+
+  it('deja de avisar al cancelar la suscripción', () => {
+    const listener = mock.fn();
+    MenuModel.subscribe(listener)();
+
+    MenuModel.setSearch('ceviche');
+    assert.equal(listener.mock.callCount(), 0);
+  });
+
+  it('avisa con "data" al aplicar un documento nuevo', () => {
+    const listener = mock.fn();
+    const unsubscribe = MenuModel.subscribe(listener);
+
+    MenuModel.applyDocument(readMenuDocument());
+    unsubscribe();
+
+    assert.ok(listener.mock.calls[0].arguments[0].includes('data'));
+  });
+
+  it('sigue avisando aunque un suscriptor falle', () => {
+    mock.method(console, 'error', () => {});
+    const listener = mock.fn();
+    const unsubscribeFailing = MenuModel.subscribe(() => { throw new Error('falla'); });
+    const unsubscribe = MenuModel.subscribe(listener);
+
+    MenuModel.setSortMode('name');
+    unsubscribeFailing();
+    unsubscribe();
+
+    assert.equal(listener.mock.callCount(), 1);
+  });
+});
+
+
+describe('MenuModel: preferencias', () => {
+  beforeEach(resetModel);
+
+  it('recuerda la vista, el orden y "ocultar no disponibles"', () => {
+    MenuModel.setView('simple');
+    MenuModel.setSortMode('price-desc');
+    MenuModel.setHideUnavailable(true);
+
+    // Otra visita: el estado vuelve a los valores por defecto sin guardarlos
+    MenuModel.setView('detailed', { persist: false });
+    MenuModel.setSortMode('default', { persist: false });
+    MenuModel.setHideUnavailable(false, { persist: false });
+
+    MenuModel.restorePreferences();
+    assert.equal(state.activeView, 'simple');
+    assert.equal(state.sortMode, 'price-desc');
+    assert.equal(state.hideUnavailable, true);
+  });
+
+  it('no guarda los cambios hechos con persist: false', () => {
+    localStorage.clear();
+    MenuModel.setView('simple', { persist: false });
+    MenuModel.setView('detailed', { persist: false });
+    assert.equal(localStorage.getItem('arboleda_menu_preferencias'), null);
+  });
+
+  it('ignora preferencias guardadas no válidas', () => {
+    localStorage.setItem('arboleda_menu_preferencias', JSON.stringify({
+      activeView: 'galeria',
+      sortMode: 'azar',
+      hideUnavailable: 'si'
+    }));
+
+    MenuModel.restorePreferences();
+    assert.equal(state.activeView, 'detailed');
+    assert.equal(state.sortMode, 'default');
+    assert.equal(state.hideUnavailable, false);
+  });
+});
+
+
+describe('MenuModel: carga y caché', () => {
+  beforeEach(resetModel);
+
+  it('descarga el menú la primera vez y luego lo lee del caché', async () => {
+    const doc = readMenuDocument();
+    globalThis.fetch = createFetch(() => ({ body: doc, headers: { ETag: '"v1"' } }));
+
+    const first = await MenuModel.load();
+    assert.equal(first.fromCache, false);
+    assert.equal(fetch.calls.length, 1);
+    assert.match(fetch.calls[0].url, /^data\/menu\.json\?v=/);
+
+    const second = await MenuModel.load();
+    assert.equal(second.fromCache, true);
+    assert.equal(fetch.calls.length, 1);
+    assert.deepEqual(Object.keys(second.data), Object.keys(first.data));
+  });
+
+  it('revalida con el ETag guardado y no cambia nada con un 304', async () => {
+    globalThis.fetch = createFetch(() => ({ body: readMenuDocument(), headers: { ETag: '"v1"' } }));
+    await MenuModel.load();
+
+    globalThis.fetch = createFetch(() => ({ status: 304 }));
+    assert.equal(await MenuModel.revalidate(), false);
+    assert.equal(fetch.calls[0].options.headers['If-None-Match'], '"v1"');
+  });
+
+  it('aplica el documento nuevo cuando el servidor lo cambió', async () => {
+    globalThis.fetch = createFetch(() => ({ body: readMenuDocument() }));
+    await MenuModel.load();
+
+    const updated = readMenuDocument();
+    updated.categorias.entradas[0].agotado = true;
+    globalThis.fetch = createFetch(() => ({ body: updated }));
+
+    assert.equal(await MenuModel.revalidate(), true);
+    assert.equal(MenuModel.findDish(updated.categorias.entradas[0].id).agotado, true);
+  });
+
+  it('marca la copia como sin conexión si la red falla al revalidar', async () => {
+    globalThis.fetch = createFetch(() => ({ body: readMenuDocument() }));
+    await MenuModel.load();
+
+    globalThis.fetch = async () => { throw new TypeError('Failed to fetch'); };
+    assert.equal(await MenuModel.revalidate(), false);
+    assert.equal(state.isOffline, true);
+  });
+
+  it('no marca la copia como sin conexión si el servidor envía un documento no válido', async () => {
+    globalThis.fetch = createFetch(() => ({ body: readMenuDocument() }));
+    await MenuModel.load();
+    const categories = Object.keys(state.data);
+
+    globalThis.fetch = createFetch(() => ({ body: { schemaVersion: 99, categorias: {} } }));
+    mock.method(console, 'error', () => {});
+
+    assert.equal(await MenuModel.revalidate(), false);
+    assert.equal(state.isOffline, false);
+    assert.deepEqual(Object.keys(state.data), categories);
+  });
+
+  it('guarda el error si no hay copia y el servidor falla', async () => {
+    globalThis.fetch = createFetch(() => ({ status: 500 }));
+    mock.method(console, 'error', () => {});
+
+    await assert.rejects(MenuModel.load(), /500/);
+    assert.match(state.error, /500/);
+  });
+});
@@ -0,0 +1,385 @@
+/**
+ * MENU-RENDER.TEST.JS
+ * Renderizado de la carta sobre jsdom: filtros, tarjetas, vista simple,
+ * resaltado de búsqueda y carta impresa
+ * La Arboleda Club - 2025
+ */
+
+import { describe, it, before, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom } from './helpers/dom.js';
+import { readMenuDocument } from './helpers/menu.js';
+
+setupDom(`
+  <div id="menuFilters"></div>
+  <div id="menuFacets"></div>
+  <div id="menuGrid"></div>
+  <div id="menuSimple"></div>
+  <div id="printTarget"></div>
+`);
+mock.method(console, 'log', () => {});
+mock.method(console, 'warn', () => {});
+
+const { MenuModel } = await import('../js/menu-model.js');
+const { MenuRender } = await import('../js/menu-render.js');
+const { I18n } = await import('../js/i18n.js');
+const { MenuImages } = await import('../js/menu-images.js');
+
+const grid = document.getElementById('menuGrid');
+const simple = document.getElementById('menuSimple');
+const total = () => Object.values(MenuModel.state.data).flat().length;
+
+function resetModel() {
+  MenuModel.clearFilters();
+  MenuModel.setSortMode('default');
+  MenuModel.setHideUnavailable(false);
+  MenuModel.applyDocument(readMenuDocument());
+}
+
+before(() => MenuRender.init());
+
+
+describe('MenuRender: filtros', () => {
+  beforeEach(resetModel);
+
+  it('crea "Todos" y un botón por categoría', () => {
+    MenuRender.renderFilters(MenuModel.state.data);
+
+    const buttons = document.querySelectorAll('#menuFilters .filter-btn');
+    assert.equal(buttons.length, Object.keys(MenuModel.state.data).length + 1);
+    assert.equal(buttons[0].dataset.category, 'all');
+    assert.ok(buttons[0].classList.contains('filter-btn--active'));
+  });
+
+  it('crea las etiquetas con su contador', () => {
+    MenuRender.renderFilters(MenuModel.state.data);
+    MenuRender.updateFacetCounts();
+
+    const facets = document.querySelectorAll('#menuFacets .facet-btn');
+    assert.equal(facets.length, Object.keys(MenuModel.state.tags).length);
+    assert.ok([...facets].every(button => button.dataset.tag));
+  });
+
+  it('usa los nombres de categoría del idioma activo', () => {
+    I18n.setLanguage('en', { persist: false });
+    try {
+      MenuRender.renderFilters(MenuModel.state.data);
+      const pescados = document.querySelector('#menuFilters [data-category="pescados"]');
+      assert.equal(pescados.textContent.trim(), MenuModel.state.categoryNames.en.pescados);
+    } finally {
+      I18n.setLanguage('es', { persist: false });
+    }
+  });
+});
+
+
+describe('MenuRender: vista detallada', () => {
+  beforeEach(resetModel);
+
+  it('crea una tarjeta por plato visible', () => {
+    MenuRender.renderDetailedView(MenuModel.state.data);
+    assert.equal(grid.querySelectorAll('.menu-item').length, total());
+  });
+
+  it('respeta la categoría y el orden del modelo', () => {
+    MenuModel.setCategory('carnes');
+    MenuModel.setSortMode('price-asc');
+    MenuRender.renderActiveView();
+
+    const rendered = [...grid.querySelectorAll('.menu-item')].map(card => card.dataset.id);
+    assert.deepEqual(rendered, MenuModel.getVisibleList().map(plato => plato.id));
+  });
+
+  it('muestra un mensaje si la búsqueda no encuentra nada', () => {
+    MenuModel.setSearch('pizza hawaiana');
+    MenuRender.renderActiveView();
+
+    assert.equal(grid.querySelectorAll('.menu-item').length, 0);
+    assert.match(grid.textContent, /pizza hawaiana/);
+  });
+
+  it('resalta las coincidencias de la búsqueda sin tildes', () => {
+    MenuModel.setSearch('huancaina');
+    MenuRender.renderActiveView();
+
+    const card = grid.querySelector('[data-id="papa-a-la-huancaina"]');
+    assert.equal(card.querySelector('.menu-item__title mark').textContent, 'Huancaína');
+  });
+
+  it('omite "Agregar al pedido" en la vista previa del editor', () => {
+    const plato = MenuModel.findDish('papa-a-la-huancaina');
+
+    assert.ok(MenuRender.createMenuCard(plato, 0).querySelector('.add-to-cart'));
+    assert.equal(MenuRender.createMenuCard(plato, 0, { orderable: false }).querySelector('.add-to-cart'), null);
+  });
+
+  it('reutiliza las tarjetas por id al cambiar de filtro y de orden', () => {
+    MenuRender.renderActiveView();
+    const before = grid.querySelector('[data-id="papa-a-la-huancaina"]');
+
+    MenuModel.setCategory('carnes');
+    MenuRender.renderActiveView();
+    assert.equal(grid.querySelector('[data-id="papa-a-la-huancaina"]'), null);
+
+    MenuModel.setCategory('all');
+    MenuModel.setSortMode('price-desc');
+    MenuRender.renderActiveView();
+
+    assert.equal(grid.querySelector('[data-id="papa-a-la-huancaina"]'), before);
+    const rendered = [...grid.querySelectorAll('.menu-item')].map(card => card.dataset.id);
+    assert.deepEqual(rendered, MenuModel.getVisibleList().map(plato => plato.id));
+  });
+
+  it('da carga inmediata a las primeras tarjetas del orden actual', () => {
+    MenuRender.renderActiveView();
+    MenuModel.setSortMode('price-desc');
+    MenuRender.renderActiveView();
+
+    const loading = [...grid.querySelectorAll('.menu-item__image')].map(img => img.loading);
+    const eager = MenuImages.eagerCount;
+    assert.deepEqual(loading.slice(0, eager), Array(eager).fill('eager'));
+    assert.ok(loading.slice(eager).every(value => value === 'lazy'));
+    assert.equal(grid.querySelector('.menu-item__image').getAttribute('fetchpriority'), 'high');
+  });
+
+  it('ofrece srcset y la miniatura desenfocada del bloque "imagenes"', () => {
+    MenuModel.applyDocument({ ...readMenuDocument(), imagenes: { anchos: [480, 960], miniatura: true } });
+    MenuRender.renderDetailedView(MenuModel.state.data, 'entradas');
+
+    const img = grid.querySelector('.menu-item__image');
+    assert.equal(img.getAttribute('srcset'), 'assets/menu/papa-huancaina-480.jpg 480w, assets/menu/papa-huancaina-960.jpg 960w');
+    assert.ok(img.getAttribute('sizes'));
+    assert.equal(img.closest('.dish-image').style.backgroundImage, 'url("assets/menu/papa-huancaina-lqip.jpg")');
+
+    img.dispatchEvent(new Event('load'));
+    assert.ok(img.closest('.dish-image').classList.contains('dish-image--loaded'));
+  });
+
+  it('vuelve a crear la tarjeta si cambian el idioma o la disponibilidad', () => {
+    MenuRender.renderActiveView();
+    const first = grid.querySelector('[data-id="papa-a-la-huancaina"]');
+
+    I18n.setLanguage('en', { persist: false });
+    try {
+      MenuRender.renderActiveView();
+    } finally {
+      I18n.setLanguage('es', { persist: false });
+    }
+    const translated = grid.querySelector('[data-id="papa-a-la-huancaina"]');
+    assert.notEqual(translated, first);
+
+    MenuModel.findDish('papa-a-la-huancaina').agotado = true;
+    MenuRender.renderActiveView();
+    const soldOut = grid.querySelector('[data-id="papa-a-la-huancaina"]');
+    assert.notEqual(soldOut, translated);
+    assert.ok(soldOut.classList.contains('menu-item--unavailable'));
+  });
+
+  it('muestra de inmediato las tarjetas pendientes al volver a renderizar', () => {
+    MenuRender.renderActiveView();
+    assert.ok(grid.querySelectorAll('.menu-item:not(.visible)').length > 0);
+
+    MenuModel.setSortMode('name');
+    MenuRender.renderActiveView();
+    assert.equal(grid.querySelectorAll('.menu-item:not(.visible)').length, 0);
+  });
+
+  it('anima las tarjetas nuevas en un bucle de animationFrame', async () => {
+    MenuModel.setCategory('entradas');
+    MenuRender.renderActiveView();
+
+    await new Promise(resolve => setTimeout(resolve, MenuModel.state.data.entradas.length * 50 + 100));
+    assert.equal(grid.querySelectorAll('.menu-item:not(.visible)').length, 0);
+  });
+
+  it('desactiva el botón de los platos agotados', () => {
+    const plato = MenuModel.findDish('papa-a-la-huancaina');
+    plato.agotado = true;
+
+    const card = MenuRender.createMenuCard(plato, 0);
+    assert.ok(card.classList.contains('menu-item--unavailable'));
+    assert.equal(card.querySelector('.add-to-cart').disabled, true);
+  });
+});
+
+
+describe('MenuRender: vista simple', () => {
+  beforeEach(resetModel);
+
+  it('agrupa los platos bajo el nombre de su categoría', () => {
+    MenuModel.setView('simple');
+    MenuModel.setCategory('pastas');
+    MenuRender.renderActiveView();
+
+    assert.equal(simple.querySelector('h3').textContent, MenuModel.categoryLabel('pastas'));
+    assert.equal(simple.querySelectorAll('li[data-id]').length, MenuModel.state.data.pastas.length);
+    MenuModel.setView('detailed');
+  });
+
+  it('imprime toda la carta, sin filtros ni botones', () => {
+    const target = document.getElementById('printTarget');
+    MenuModel.setSearch('ceviche');
+    MenuRender.renderSimpleView(MenuModel.state.data, 'all', { target, print: true });
+
+    assert.equal(target.querySelectorAll('.menu-print__category').length, Object.keys(MenuModel.state.data).length);
+    assert.equal(target.querySelectorAll('.menu-print__item').length, total());
+    assert.equal(target.querySelector('.add-to-cart'), null);
+    assert.equal(target.querySelector('.menu-print__image'), null);
+  });
+
+  it('añade las fotos en la variante con fotos', () => {
+    const target = document.getElementById('printTarget');
+    MenuRender.renderSimpleView(MenuModel.state.data, 'entradas', { target, print: true, photos: true });
+
+    assert.equal(target.querySelectorAll('.menu-print__image').length, MenuModel.state.data.entradas.length);
+  });
+});
+
+
+describe('MenuRender: datos hostiles', () => {
+  const HOSTILE = '"><img src=x onerror="alert(1)"><script>alert(2)</script>';
+
+  beforeEach(() => {
+    resetModel();
+
+    const doc = readMenuDocument();
+    const [first] = doc.categorias.entradas;
+    first.nombre = HOSTILE;
+    first.imagen = `x.jpg" onerror="alert(3)`;
+    doc.etiquetas.vegetariano.nombre = HOSTILE;
+    doc.etiquetas.vegetariano.icono = `fa-leaf"><b class="injected`;
+    MenuModel.applyDocument(doc);
+  });
+
+  const injected = root => root.querySelector('script, [onerror], .injected, img[src="x"]');
+
+  it('muestra nombres, imágenes y etiquetas como texto en la vista detallada', () => {
+    MenuRender.renderDetailedView(MenuModel.state.data, 'entradas');
+
+    assert.equal(injected(grid), null);
+    assert.equal(grid.querySelector('.menu-item__title').textContent, HOSTILE);
+  });
+
+  it('pone la imagen provisional de fondo como url() de CSS', () => {
+    MenuRender.renderDetailedView(MenuModel.state.data, 'entradas');
+
+    const wrapper = grid.querySelector('.dish-image');
+    assert.equal(wrapper.style.backgroundImage, 'url("assets/placeholders/entradas.svg")');
+  });
+
+  it('muestra los nombres como texto en la vista simple', () => {
+    MenuRender.renderSimpleView(MenuModel.state.data, 'entradas');
+
+    assert.equal(injected(simple), null);
+    assert.equal(simple.querySelector('li[data-id] span').textContent, HOSTILE);
+  });
+
+  it('escapa los tamaños de la lista de precios', () => {
+    const plato = MenuModel.state.data.entradas[0];
+    plato.variantes = [{ id: 'x', nombre: HOSTILE, precioValor: 10 }];
+    MenuRender.renderSimpleView(MenuModel.state.data, 'entradas');
+
+    assert.equal(injected(simple), null);
+    assert.equal(simple.querySelector('.menu-simple__variant small').textContent, HOSTILE);
+  });
+
+  it('escapa las etiquetas del filtro', () => {
+    MenuRender.renderFilters(MenuModel.state.data);
+
+    assert.equal(injected(document.getElementById('menuFacets')), null);
+  });
+});
+
+
+describe('MenuRender: teclado', () => {
+  beforeEach(resetModel);
+
+  const filters = document.getElementById('menuFilters');
+  const press = (element, key) => element.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true }));
+  const tabStops = root => [...root.querySelectorAll('[tabindex="0"]')];
+
+  it('deja solo el filtro activo en el orden de tabulación', () => {
+    MenuModel.setCategory('carnes');
+    MenuRender.renderFilters(MenuModel.state.data);
+
+    assert.deepEqual(tabStops(filters).map(button => button.dataset.category), ['carnes']);
+  });
+
+  it('recorre los filtros con flechas, Inicio y Fin sin activarlos', () => {
+    MenuRender.renderFilters(MenuModel.state.data);
+    const buttons = [...filters.querySelectorAll('.filter-btn')];
+    buttons[0].focus();
+
+    press(buttons[0], 'ArrowRight');
+    assert.equal(document.activeElement, buttons[1]);
+    assert.deepEqual(tabStops(filters), [buttons[1]]);
+
+    press(buttons[1], 'End');
+    assert.equal(document.activeElement, buttons.at(-1));
+
+    press(buttons.at(-1), 'Home');
+    assert.equal(document.activeElement, buttons[0]);
+    assert.equal(MenuModel.state.activeCategory, 'all');
+  });
+
+  it('deja una sola parada de tabulación en el grid, con su botón', () => {
+    MenuRender.renderActiveView();
+
+    const [open] = tabStops(grid);
+    const card = open.closest('.menu-item');
+    assert.ok(open.matches('.menu-item__open'));
+    assert.equal(tabStops(grid).filter(element => element.matches('.menu-item__open')).length, 1);
+    assert.ok(tabStops(grid).every(element => card.contains(element)));
+  });
+
+  it('abre el detalle con un botón y sin anidar controles en la tarjeta', () => {
+    MenuRender.renderActiveView();
+    const card = grid.querySelector('.menu-item');
+    const open = card.querySelector('.menu-item__open');
+
+    assert.equal(card.hasAttribute('role'), false);
+    assert.equal(card.hasAttribute('tabindex'), false);
+    assert.equal(open.tagName, 'BUTTON');
+    assert.equal(open.querySelector('button'), null);
+    assert.equal(open.contains(card.querySelector('.menu-item__add')), false);
+  });
+
+  it('mueve el foco entre tarjetas con las flechas', () => {
+    MenuModel.setCategory('entradas');
+    MenuRender.renderActiveView();
+    const buttons = [...grid.querySelectorAll('.menu-item__open')];
+    buttons[0].focus();
+
+    press(buttons[0], 'ArrowRight');
+    assert.equal(document.activeElement, buttons[1]);
+
+    press(buttons[1], 'ArrowLeft');
+    assert.equal(document.activeElement, buttons[0]);
+
+    press(buttons[0], 'End');
+    assert.equal(document.activeElement, buttons.at(-1));
+    assert.deepEqual(tabStops(grid).filter(element => element.matches('.menu-item__open')), [buttons.at(-1)]);
+  });
+
+  it('conserva la parada de tabulación si la tarjeta sigue tras filtrar', () => {
+    MenuRender.renderActiveView();
+    const open = grid.querySelector('[data-id="papa-a-la-huancaina"] .menu-item__open');
+    open.focus();
+
+    MenuModel.setSortMode('price-desc');
+    MenuRender.renderActiveView();
+    assert.equal(open.tabIndex, 0);
+    assert.equal(document.activeElement, open);
+  });
+
+  it('anuncia en una sola región viva compartida', async () => {
+    const { Utils } = await import('../js/utils.js');
+
+    Utils.announce('uno');
+    Utils.announce('dos');
+
+    const regions = document.querySelectorAll('[aria-live]');
+    assert.equal(regions.length, 1);
+    assert.equal(regions[0].textContent, 'dos');
+  });
+});